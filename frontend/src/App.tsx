@@ -4,6 +4,8 @@ import { OverviewDashboard } from './components/OverviewDashboard'
 import { WatchlistManager } from './components/WatchlistManager'
 import { StockAnalysis } from './components/StockAnalysis'
 import { AlertsCenter } from './components/AlertsCenter'
+import { PortfolioManager } from './components/PortfolioManager'
+import { CorrelationHeatmap } from './components/CorrelationHeatmap'
 import { Navigation } from './components/Navigation'
 
 function App() {
@@ -23,6 +25,8 @@ function App() {
           <Tab>Overview</Tab>
           <Tab>Watchlist</Tab>
           <Tab>Analysis</Tab>
+          <Tab>Portfolio</Tab>
+          <Tab>Correlations</Tab>
           <Tab>Alerts</Tab>
         </TabList>
 
@@ -36,6 +40,12 @@ function App() {
           <TabPanel p={0}>
             <StockAnalysis />
           </TabPanel>
+          <TabPanel p={0}>
+            <PortfolioManager />
+          </TabPanel>
+          <TabPanel p={0}>
+            <CorrelationHeatmap />
+          </TabPanel>
           <TabPanel p={0}>
             <AlertsCenter />
           </TabPanel>
@@ -0,0 +1,238 @@
+import { Box, Card, CardHeader, CardBody, Heading, Flex, Input, Button, Text, Badge, Select, useColorModeValue, SimpleGrid, VStack, HStack, Spinner, Wrap, WrapItem } from '@chakra-ui/react'
+import { useCallback, useEffect, useState } from 'react'
+import { apiService, CorrelationMatrix, CorrelationResponse } from '../services/api'
+
+const CELL_SIZE = 16
+
+// Blue for positive, red for negative correlation, fading to transparent at zero
+const cellColor = (value: number | null) => {
+  if (value === null) return 'transparent'
+  const alpha = Math.min(1, Math.abs(value)).toFixed(2)
+  return value >= 0 ? `rgba(49, 130, 206, ${alpha})` : `rgba(229, 62, 62, ${alpha})`
+}
+
+interface HeatmapProps {
+  symbols: string[]
+  order: string[]
+  matrix: CorrelationMatrix
+}
+
+const Heatmap = ({ symbols, order, matrix }: HeatmapProps) => {
+  const index = new Map(symbols.map((symbol, i) => [symbol, i]))
+  const labelColor = useColorModeValue('gray.600', 'gray.400')
+
+  return (
+    <Box overflowX="auto">
+      <Box display="grid" gridTemplateColumns={`auto repeat(${order.length}, ${CELL_SIZE}px)`} gap="1px" w="max-content">
+        <Box />
+        {order.map(symbol => (
+          <Box key={symbol} h="56px" position="relative">
+            <Text
+              position="absolute"
+              bottom={0}
+              left="4px"
+              fontSize="9px"
+              color={labelColor}
+              transform="rotate(-60deg)"
+              transformOrigin="left bottom"
+              whiteSpace="nowrap"
+            >
+              {symbol}
+            </Text>
+          </Box>
+        ))}
+        {order.map(row => (
+          <Box key={row} display="contents">
+            <Text fontSize="9px" color={labelColor} pr={2} textAlign="right" lineHeight={`${CELL_SIZE}px`}>
+              {row}
+            </Text>
+            {order.map(column => {
+              const value = matrix[index.get(row)!][index.get(column)!]
+              return (
+                <Box
+                  key={column}
+                  w={`${CELL_SIZE}px`}
+                  h={`${CELL_SIZE}px`}
+                  bg={cellColor(value)}
+                  title={`${row} / ${column}: ${value === null ? 'n/a' : value.toFixed(2)}`}
+                />
+              )
+            })}
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  )
+}
+
+export const CorrelationHeatmap = () => {
+  const [input, setInput] = useState('')
+  const [rollingWindow, setRollingWindow] = useState(60)
+  const [data, setData] = useState<CorrelationResponse | null>(null)
+  // -1 for the full period, otherwise an index into data.rolling
+  const [period, setPeriod] = useState(-1)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const cardBg = useColorModeValue('white', 'gray.800')
+  const borderColor = useColorModeValue('gray.200', 'gray.700')
+
+  const load = useCallback(async (symbols: string[], windowDays: number) => {
+    setLoading(true)
+    setError('')
+    try {
+      setData(await apiService.getCorrelations(symbols, windowDays))
+      setPeriod(-1)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown error')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    load([], 60)
+  }, [load])
+
+  const handleLoad = () => {
+    const symbols = input.split(/[\s,]+/).map(s => s.trim().toUpperCase()).filter(Boolean)
+    load(symbols, rollingWindow)
+  }
+
+  const matrix = data ? (period >= 0 ? data.rolling[period].matrix : data.matrix) : null
+
+  return (
+    <Box p={6}>
+      <Flex justify="space-between" align="center" mb={6} gap={3} wrap="wrap">
+        <Heading size="lg" color="brand.400">
+          Correlations
+        </Heading>
+        <Flex gap={3} align="center">
+          <Input
+            placeholder="Symbols (blank for the watchlist)"
+            value={input}
+            onChange={(e) => setInput(e.target.value.toUpperCase())}
+            onKeyDown={(e) => e.key === 'Enter' && handleLoad()}
+            maxW="300px"
+          />
+          <Select value={rollingWindow} onChange={(e) => setRollingWindow(parseInt(e.target.value, 10))} maxW="140px">
+            {[20, 60, 120].map(days => (
+              <option key={days} value={days}>{days}-day window</option>
+            ))}
+          </Select>
+          <Button colorScheme="brand" onClick={handleLoad} isLoading={loading}>
+            Analyze
+          </Button>
+        </Flex>
+      </Flex>
+
+      {error && <Text color="red.500" mb={4}>{error}</Text>}
+
+      {loading && !data && (
+        <Flex justify="center">
+          <Spinner />
+        </Flex>
+      )}
+
+      {data && matrix && (
+        <SimpleGrid columns={{ base: 1, lg: 3 }} spacing={6}>
+          <Card bg={cardBg} borderColor={borderColor} borderWidth={1} gridColumn={{ lg: 'span 2' }}>
+            <CardHeader>
+              <Flex justify="space-between" align="center" gap={3}>
+                <Heading size="md">Return Correlation</Heading>
+                <Select value={period} onChange={(e) => setPeriod(parseInt(e.target.value, 10))} maxW="260px" size="sm">
+                  <option value={-1}>Full period ({data.startDate} to {data.endDate})</option>
+                  {data.rolling.map((w, i) => (
+                    <option key={w.endDate} value={i}>
+                      {w.startDate} to {w.endDate} (avg {w.averageCorrelation?.toFixed(2) ?? 'n/a'})
+                    </option>
+                  ))}
+                </Select>
+              </Flex>
+            </CardHeader>
+            <CardBody>
+              <Heatmap symbols={data.symbols} order={data.clustering.order} matrix={matrix} />
+              <Text fontSize="sm" color="gray.500" mt={3}>
+                {data.observations} daily returns, ordered by hierarchical clustering
+                {data.excluded.length > 0 && ` · no stored prices for ${data.excluded.join(', ')}`}
+              </Text>
+            </CardBody>
+          </Card>
+
+          <VStack spacing={6} align="stretch">
+            <Card bg={cardBg} borderColor={borderColor} borderWidth={1}>
+              <CardHeader>
+                <Heading size="md">Diversification</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={3} align="stretch">
+                  <HStack justify="space-between">
+                    <Text>Effective Bets</Text>
+                    <Text fontWeight="bold">{data.diversification.effectiveBets} of {data.symbols.length}</Text>
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text>Score</Text>
+                    <Badge colorScheme={data.diversification.score >= 0.5 ? 'green' : data.diversification.score >= 0.25 ? 'yellow' : 'red'} variant="solid">
+                      {(data.diversification.score * 100).toFixed(0)}%
+                    </Badge>
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text>Average Correlation</Text>
+                    <Text>{data.diversification.averageCorrelation?.toFixed(2) ?? 'n/a'}</Text>
+                  </HStack>
+                  <HStack justify="space-between">
+                    <Text>Diversification Ratio</Text>
+                    <Text>{data.diversification.diversificationRatio?.toFixed(2) ?? 'n/a'}</Text>
+                  </HStack>
+                </VStack>
+              </CardBody>
+            </Card>
+
+            <Card bg={cardBg} borderColor={borderColor} borderWidth={1}>
+              <CardHeader>
+                <Heading size="md">Clusters (correlation ≥ {data.threshold})</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={3} align="stretch">
+                  {data.clustering.clusters.filter(c => c.symbols.length > 1).map(cluster => (
+                    <Box key={cluster.symbols.join(',')}>
+                      <Wrap spacing={1}>
+                        {cluster.symbols.map(symbol => (
+                          <WrapItem key={symbol}>
+                            <Badge colorScheme="brand" variant="subtle">{symbol}</Badge>
+                          </WrapItem>
+                        ))}
+                      </Wrap>
+                      <Text fontSize="xs" color="gray.500">avg {cluster.averageCorrelation?.toFixed(2)}</Text>
+                    </Box>
+                  ))}
+                  {data.clustering.clusters.every(c => c.symbols.length === 1) && (
+                    <Text color="gray.500">No symbols move together above the threshold</Text>
+                  )}
+                </VStack>
+              </CardBody>
+            </Card>
+
+            <Card bg={cardBg} borderColor={borderColor} borderWidth={1}>
+              <CardHeader>
+                <Heading size="md">Most Correlated Pairs</Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={2} align="stretch">
+                  {data.diversification.correlatedPairs.slice(0, 10).map(pair => (
+                    <HStack key={pair.symbols.join('/')} justify="space-between">
+                      <Text>{pair.symbols.join(' / ')}</Text>
+                      <Text fontWeight="bold">{pair.correlation.toFixed(2)}</Text>
+                    </HStack>
+                  ))}
+                  {data.diversification.correlatedPairs.length === 0 && (
+                    <Text color="gray.500">None above {data.threshold}</Text>
+                  )}
+                </VStack>
+              </CardBody>
+            </Card>
+          </VStack>
+        </SimpleGrid>
+      )}
+    </Box>
+  )
+}
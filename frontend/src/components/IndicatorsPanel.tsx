@@ -1,21 +1,34 @@
 import { Box, VStack, HStack, Text, Progress, Badge, useColorModeValue } from '@chakra-ui/react'
+import type { MacdValue, BollingerValue, StochasticValue, IchimokuValue } from '../services/api'
 
 interface IndicatorsPanelProps {
   data: {
     rsi: number
-    macd: { macd: number; signal: number; histogram: number }
-    bollinger: { upper: number; middle: number; lower: number }
+    macd: MacdValue | null
+    bollinger: BollingerValue | null
+    stochastic: StochasticValue | null
+    ichimoku: IchimokuValue | null
     sma50: number
     price: number
   }
 }
 
+const NotEnoughHistory = () => (
+  <Text fontSize="sm" color="gray.500">Not enough history</Text>
+)
+
 export const IndicatorsPanel = ({ data }: IndicatorsPanelProps) => {
   const cardBg = useColorModeValue('white', 'gray.800')
   const borderColor = useColorModeValue('gray.200', 'gray.700')
 
   const rsiColor = data.rsi < 30 ? 'green' : data.rsi > 70 ? 'red' : 'yellow'
-  const macdColor = data.macd.histogram > 0 ? 'green' : 'red'
+  const macdColor = data.macd && data.macd.histogram > 0 ? 'green' : 'red'
+  const stochColor = data.stochastic
+    ? data.stochastic.k < 20 ? 'green' : data.stochastic.k > 80 ? 'red' : 'yellow'
+    : 'gray'
+  const ichimokuColor = data.ichimoku
+    ? data.ichimoku.state.bias === 'bullish' ? 'green' : data.ichimoku.state.bias === 'bearish' ? 'red' : 'yellow'
+    : 'gray'
 
   return (
     <Box bg={cardBg} borderRadius="md" p={4} borderColor={borderColor} borderWidth={1}>
@@ -30,46 +43,112 @@ export const IndicatorsPanel = ({ data }: IndicatorsPanelProps) => {
         <Text fontSize="sm" color="gray.500">Value: {data.rsi}</Text>
 
         <HStack justify="space-between" mt={4}>
-          <Text fontWeight="bold">MACD</Text>
-          <Badge colorScheme={macdColor} variant="subtle">
-            {data.macd.histogram > 0 ? 'Bullish' : 'Bearish'}
-          </Badge>
-        </HStack>
-        <HStack spacing={4}>
-          <Box flex="1">
-            <Text fontSize="sm" color="gray.500">MACD</Text>
-            <Text>{data.macd.macd.toFixed(2)}</Text>
-          </Box>
-          <Box flex="1">
-            <Text fontSize="sm" color="gray.500">Signal</Text>
-            <Text>{data.macd.signal.toFixed(2)}</Text>
-          </Box>
-          <Box flex="1">
-            <Text fontSize="sm" color="gray.500">Histogram</Text>
-            <Text color={macdColor}>{data.macd.histogram.toFixed(2)}</Text>
-          </Box>
+          <Text fontWeight="bold">MACD (12, 26, 9)</Text>
+          {data.macd && (
+            <Badge colorScheme={macdColor} variant="subtle">
+              {data.macd.histogram > 0 ? 'Bullish' : 'Bearish'}
+            </Badge>
+          )}
         </HStack>
+        {data.macd ? (
+          <HStack spacing={4}>
+            <Box flex="1">
+              <Text fontSize="sm" color="gray.500">MACD</Text>
+              <Text>{data.macd.macd.toFixed(2)}</Text>
+            </Box>
+            <Box flex="1">
+              <Text fontSize="sm" color="gray.500">Signal</Text>
+              <Text>{data.macd.signal.toFixed(2)}</Text>
+            </Box>
+            <Box flex="1">
+              <Text fontSize="sm" color="gray.500">Histogram</Text>
+              <Text color={macdColor}>{data.macd.histogram.toFixed(2)}</Text>
+            </Box>
+          </HStack>
+        ) : <NotEnoughHistory />}
 
         <HStack justify="space-between" mt={4}>
-          <Text fontWeight="bold">Bollinger Bands</Text>
+          <Text fontWeight="bold">Bollinger Bands (20, 2σ)</Text>
           <Badge colorScheme="blue" variant="subtle">
             Price: ${data.price.toFixed(2)}
           </Badge>
         </HStack>
-        <VStack spacing={2} align="stretch">
-          <HStack justify="space-between">
-            <Text fontSize="sm" color="gray.500">Upper</Text>
-            <Text>${data.bollinger.upper.toFixed(2)}</Text>
-          </HStack>
-          <HStack justify="space-between">
-            <Text fontSize="sm" color="gray.500">Middle (SMA 20)</Text>
-            <Text>${data.bollinger.middle.toFixed(2)}</Text>
-          </HStack>
-          <HStack justify="space-between">
-            <Text fontSize="sm" color="gray.500">Lower</Text>
-            <Text>${data.bollinger.lower.toFixed(2)}</Text>
+        {data.bollinger ? (
+          <VStack spacing={2} align="stretch">
+            <HStack justify="space-between">
+              <Text fontSize="sm" color="gray.500">Upper</Text>
+              <Text>${data.bollinger.upper.toFixed(2)}</Text>
+            </HStack>
+            <HStack justify="space-between">
+              <Text fontSize="sm" color="gray.500">Middle (SMA 20)</Text>
+              <Text>${data.bollinger.middle.toFixed(2)}</Text>
+            </HStack>
+            <HStack justify="space-between">
+              <Text fontSize="sm" color="gray.500">Lower</Text>
+              <Text>${data.bollinger.lower.toFixed(2)}</Text>
+            </HStack>
+          </VStack>
+        ) : <NotEnoughHistory />}
+
+        <HStack justify="space-between" mt={4}>
+          <Text fontWeight="bold">Stochastic (14, 3, 3)</Text>
+          {data.stochastic && (
+            <Badge colorScheme={stochColor} variant="subtle">
+              {data.stochastic.k < 20 ? 'Oversold' : data.stochastic.k > 80 ? 'Overbought' : 'Neutral'}
+            </Badge>
+          )}
+        </HStack>
+        {data.stochastic ? (
+          <HStack spacing={4}>
+            <Box flex="1">
+              <Text fontSize="sm" color="gray.500">%K</Text>
+              <Text>{data.stochastic.k.toFixed(2)}</Text>
+            </Box>
+            <Box flex="1">
+              <Text fontSize="sm" color="gray.500">%D</Text>
+              <Text>{data.stochastic.d.toFixed(2)}</Text>
+            </Box>
           </HStack>
-        </VStack>
+        ) : <NotEnoughHistory />}
+
+        <HStack justify="space-between" mt={4}>
+          <Text fontWeight="bold">Ichimoku Cloud</Text>
+          {data.ichimoku && (
+            <Badge colorScheme={ichimokuColor} variant="subtle">
+              {data.ichimoku.state.bias === 'neutral' ? 'Neutral' : data.ichimoku.state.bias === 'bullish' ? 'Bullish' : 'Bearish'}
+            </Badge>
+          )}
+        </HStack>
+        {data.ichimoku ? (
+          <VStack spacing={2} align="stretch">
+            <HStack justify="space-between">
+              <Text fontSize="sm" color="gray.500">Price vs cloud</Text>
+              <Text>
+                {data.ichimoku.state.price === 'in' ? 'Inside' : data.ichimoku.state.price === 'above' ? 'Above' : 'Below'}
+                {' '}(${data.ichimoku.cloudBottom.toFixed(2)} - ${data.ichimoku.cloudTop.toFixed(2)})
+              </Text>
+            </HStack>
+            <HStack justify="space-between">
+              <Text fontSize="sm" color="gray.500">Tenkan / Kijun</Text>
+              <Text>${data.ichimoku.tenkan.toFixed(2)} / ${data.ichimoku.kijun.toFixed(2)}</Text>
+            </HStack>
+            <HStack justify="space-between">
+              <Text fontSize="sm" color="gray.500">TK cross</Text>
+              <Text>
+                {data.ichimoku.state.tkCross
+                  ? `${data.ichimoku.state.tkCross === 'bullish' ? 'Bullish' : 'Bearish'} (${data.ichimoku.state.tkCrossBarsAgo} bars ago)`
+                  : 'None recent'}
+              </Text>
+            </HStack>
+            <HStack justify="space-between">
+              <Text fontSize="sm" color="gray.500">Future cloud</Text>
+              <Text>
+                {data.ichimoku.state.futureCloud === 'bullish' ? 'Bullish' : 'Bearish'}
+                {data.ichimoku.state.cloudTwist && ' (twisting)'}
+              </Text>
+            </HStack>
+          </VStack>
+        ) : <NotEnoughHistory />}
 
         <HStack justify="space-between" mt={4}>
           <Text fontWeight="bold">SMA 50</Text>
@@ -78,4 +157,4 @@ export const IndicatorsPanel = ({ data }: IndicatorsPanelProps) => {
       </VStack>
     </Box>
   )
-}
\ No newline at end of file
+}
@@ -0,0 +1,435 @@
+import { Box, Card, CardHeader, CardBody, Heading, Flex, Input, Button, Text, Badge, Select, useColorModeValue, Table, Thead, Tbody, Tr, Th, Td, TableContainer, SimpleGrid, VStack, HStack, Spinner } from '@chakra-ui/react'
+import { useCallback, useEffect, useState } from 'react'
+import { StockChart } from './StockChart'
+import { RebalancePlanner } from './RebalancePlanner'
+import { apiService, Portfolio, PortfolioDetail, PortfolioTransaction, RiskReport, TransactionType, ValuationPoint } from '../services/api'
+
+const TRANSACTION_TYPES: TransactionType[] = ['BUY', 'SELL', 'DIVIDEND', 'SPLIT']
+
+const money = (value: number | null) =>
+  value === null ? 'n/a' : value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const pnlColor = (value: number | null) => (value === null || value === 0 ? undefined : value > 0 ? 'green.500' : 'red.500')
+
+const today = () => new Date().toISOString().split('T')[0]
+
+export const PortfolioManager = () => {
+  const [portfolios, setPortfolios] = useState<Portfolio[]>([])
+  const [selectedId, setSelectedId] = useState<number | null>(null)
+  const [detail, setDetail] = useState<PortfolioDetail | null>(null)
+  const [transactions, setTransactions] = useState<PortfolioTransaction[]>([])
+  const [valuation, setValuation] = useState<Record<string, ValuationPoint[]>>({})
+  const [risk, setRisk] = useState<RiskReport | null>(null)
+  const [riskError, setRiskError] = useState('')
+  const [reportingCurrency, setReportingCurrency] = useState<'USD' | 'CAD'>('USD')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [newName, setNewName] = useState('')
+  const [form, setForm] = useState({ symbol: '', type: 'BUY' as TransactionType, tradeDate: today(), quantity: '', price: '', amount: '', ratio: '', fees: '' })
+  const cardBg = useColorModeValue('white', 'gray.800')
+  const borderColor = useColorModeValue('gray.200', 'gray.700')
+
+  const loadPortfolios = useCallback(async () => {
+    try {
+      const list = await apiService.getPortfolios()
+      setPortfolios(list)
+      setSelectedId(current => (current !== null && list.some(p => p.id === current) ? current : list[0]?.id ?? null))
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown error')
+    }
+  }, [])
+
+  const loadPortfolio = useCallback(async (id: number) => {
+    setLoading(true)
+    try {
+      const [portfolio, ledger, history] = await Promise.all([
+        apiService.getPortfolio(id),
+        apiService.getPortfolioTransactions(id),
+        apiService.getPortfolioValuation(id)
+      ])
+      setDetail(portfolio)
+      setTransactions(ledger)
+      setValuation(history)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown error')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  // Risk needs stored prices for the open positions, so its errors stay in the risk card
+  const loadRisk = useCallback(async (id: number, currency: 'USD' | 'CAD') => {
+    setRiskError('')
+    try {
+      setRisk(await apiService.getPortfolioRisk(id, currency))
+    } catch (err) {
+      setRisk(null)
+      setRiskError(err instanceof Error ? err.message : 'Unknown error')
+    }
+  }, [])
+
+  useEffect(() => {
+    loadPortfolios()
+  }, [loadPortfolios])
+
+  useEffect(() => {
+    if (detail) loadRisk(detail.id, reportingCurrency)
+  }, [detail, reportingCurrency, loadRisk])
+
+  useEffect(() => {
+    if (selectedId === null) {
+      setDetail(null)
+      setTransactions([])
+      setValuation({})
+      setRisk(null)
+      return
+    }
+    loadPortfolio(selectedId)
+  }, [selectedId, loadPortfolio])
+
+  // Runs an action, surfaces its error and reloads the selected portfolio
+  const run = async (action: () => Promise<unknown>) => {
+    setError('')
+    try {
+      await action()
+      await loadPortfolios()
+      if (selectedId !== null) await loadPortfolio(selectedId)
+      return true
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown error')
+      return false
+    }
+  }
+
+  const handleCreatePortfolio = async () => {
+    if (!newName.trim()) return
+    setError('')
+    try {
+      const portfolio = await apiService.createPortfolio(newName.trim())
+      setNewName('')
+      await loadPortfolios()
+      setSelectedId(portfolio.id)
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown error')
+    }
+  }
+
+  const handleDeletePortfolio = async () => {
+    if (selectedId === null || !window.confirm(`Delete ${detail?.name ?? 'this portfolio'} and all its transactions?`)) return
+    await run(() => apiService.deletePortfolio(selectedId))
+  }
+
+  const handleAddTransaction = async () => {
+    if (selectedId === null) return
+    const number = (value: string) => (value.trim() ? parseFloat(value) : undefined)
+    const added = await run(() => apiService.addPortfolioTransaction(selectedId, {
+      symbol: form.symbol.trim(),
+      type: form.type,
+      tradeDate: form.tradeDate,
+      quantity: number(form.quantity),
+      price: number(form.price),
+      amount: number(form.amount),
+      ratio: number(form.ratio),
+      fees: number(form.fees)
+    }))
+    if (added) setForm({ ...form, quantity: '', price: '', amount: '', ratio: '', fees: '' })
+  }
+
+  const handleDeleteTransaction = (transactionId: number) => {
+    if (selectedId === null) return
+    run(() => apiService.deletePortfolioTransaction(selectedId, transactionId))
+  }
+
+  const openPositions = detail?.positions.filter(p => p.quantity > 0) ?? []
+  const closedPositions = detail?.positions.filter(p => p.quantity === 0) ?? []
+
+  return (
+    <Box p={6}>
+      <Flex justify="space-between" align="center" mb={6} gap={3} wrap="wrap">
+        <Heading size="lg" color="brand.400">
+          Portfolio
+        </Heading>
+        <Flex gap={3} align="center">
+          <Select
+            placeholder={portfolios.length === 0 ? 'No portfolios yet' : undefined}
+            value={selectedId ?? ''}
+            onChange={(e) => setSelectedId(e.target.value ? parseInt(e.target.value, 10) : null)}
+            maxW="220px"
+          >
+            {portfolios.map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </Select>
+          <Input
+            placeholder="New portfolio name"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleCreatePortfolio()}
+            maxW="220px"
+          />
+          <Button colorScheme="brand" onClick={handleCreatePortfolio}>
+            Create
+          </Button>
+          {selectedId !== null && (
+            <Button colorScheme="red" variant="ghost" onClick={handleDeletePortfolio}>
+              Delete
+            </Button>
+          )}
+        </Flex>
+      </Flex>
+
+      {error && <Text color="red.500" mb={4}>{error}</Text>}
+
+      {loading && !detail && (
+        <Flex justify="center">
+          <Spinner />
+        </Flex>
+      )}
+
+      {detail && (
+        <>
+          <SimpleGrid columns={{ base: 1, md: 2 }} spacing={6} mb={8}>
+            {Object.entries(detail.totals).map(([currency, totals]) => (
+              <Card key={currency} bg={cardBg} borderColor={borderColor} borderWidth={1}>
+                <CardHeader>
+                  <Heading size="md">{currency} Holdings</Heading>
+                </CardHeader>
+                <CardBody>
+                  <VStack spacing={3} align="stretch">
+                    <HStack justify="space-between">
+                      <Text>Market Value</Text>
+                      <Text fontWeight="bold">{money(totals.marketValue)}</Text>
+                    </HStack>
+                    <HStack justify="space-between">
+                      <Text>Cost Basis</Text>
+                      <Text>{money(totals.costBasis)}</Text>
+                    </HStack>
+                    <HStack justify="space-between">
+                      <Text>Unrealized P&L</Text>
+                      <Text color={pnlColor(totals.unrealizedPnl)}>{money(totals.unrealizedPnl)}</Text>
+                    </HStack>
+                    <HStack justify="space-between">
+                      <Text>Realized P&L</Text>
+                      <Text color={pnlColor(totals.realizedPnl)}>{money(totals.realizedPnl)}</Text>
+                    </HStack>
+                    <HStack justify="space-between">
+                      <Text>Dividends</Text>
+                      <Text>{money(totals.dividends)}</Text>
+                    </HStack>
+                    <HStack justify="space-between">
+                      <Text>Total P&L</Text>
+                      <Text fontWeight="bold" color={pnlColor(totals.totalPnl)}>{money(totals.totalPnl)}</Text>
+                    </HStack>
+                    {totals.unpriced > 0 && (
+                      <Text fontSize="sm" color="gray.500">
+                        {totals.unpriced} open position{totals.unpriced === 1 ? '' : 's'} without stored prices
+                      </Text>
+                    )}
+                  </VStack>
+                  {valuation[currency]?.length > 1 && (
+                    <Box mt={4}>
+                      <StockChart
+                        symbol={currency}
+                        height={160}
+                        data={valuation[currency].map(point => ({ x: new Date(point.date), y: point.marketValue }))}
+                      />
+                    </Box>
+                  )}
+                </CardBody>
+              </Card>
+            ))}
+          </SimpleGrid>
+
+          <Card bg={cardBg} borderColor={borderColor} borderWidth={1} mb={8}>
+            <CardHeader>
+              <Flex justify="space-between" align="center">
+                <Heading size="md">Risk</Heading>
+                <Select value={reportingCurrency} onChange={(e) => setReportingCurrency(e.target.value as 'USD' | 'CAD')} maxW="100px" size="sm">
+                  <option value="USD">USD</option>
+                  <option value="CAD">CAD</option>
+                </Select>
+              </Flex>
+            </CardHeader>
+            <CardBody>
+              {riskError && <Text color="gray.500">{riskError}</Text>}
+              {risk && (
+                <>
+                  <SimpleGrid columns={{ base: 2, md: 4 }} spacing={4} mb={4}>
+                    <Box>
+                      <Text fontSize="sm" color="gray.500">Volatility</Text>
+                      <Text fontWeight="bold">{risk.volatilityPct.toFixed(2)}%</Text>
+                    </Box>
+                    <Box>
+                      <Text fontSize="sm" color="gray.500">Beta ({risk.benchmark ?? 'n/a'})</Text>
+                      <Text fontWeight="bold">{risk.relative?.beta?.toFixed(2) ?? 'n/a'}</Text>
+                    </Box>
+                    <Box>
+                      <Text fontSize="sm" color="gray.500">Sharpe / Sortino</Text>
+                      <Text fontWeight="bold">{risk.sharpe?.toFixed(2) ?? 'n/a'} / {risk.sortino?.toFixed(2) ?? 'n/a'}</Text>
+                    </Box>
+                    <Box>
+                      <Text fontSize="sm" color="gray.500">Max Drawdown</Text>
+                      <Text fontWeight="bold" color="red.500">{risk.maxDrawdownPct.toFixed(2)}%</Text>
+                    </Box>
+                  </SimpleGrid>
+                  <TableContainer>
+                    <Table variant="simple" size="sm">
+                      <Thead>
+                        <Tr>
+                          <Th>One-day loss</Th>
+                          <Th isNumeric>Historical VaR</Th>
+                          <Th isNumeric>Historical CVaR</Th>
+                          <Th isNumeric>Parametric VaR</Th>
+                          <Th isNumeric>Parametric CVaR</Th>
+                        </Tr>
+                      </Thead>
+                      <Tbody>
+                        {risk.valueAtRisk.map(v => (
+                          <Tr key={v.level}>
+                            <Td>{(v.level * 100).toFixed(0)}%</Td>
+                            {[v.historical.var, v.historical.cvar, v.parametric.var, v.parametric.cvar].map((loss, i) => (
+                              <Td key={i} isNumeric>{money(loss.amount)} ({loss.pct.toFixed(2)}%)</Td>
+                            ))}
+                          </Tr>
+                        ))}
+                      </Tbody>
+                    </Table>
+                  </TableContainer>
+                  <Text fontSize="sm" color="gray.500" mt={3}>
+                    {risk.days} daily returns from {risk.startDate} to {risk.endDate}, value {money(risk.value)} {risk.currency}
+                    {risk.excluded?.length ? ` · excludes ${risk.excluded.join(', ')} (no stored prices)` : ''}
+                  </Text>
+                </>
+              )}
+            </CardBody>
+          </Card>
+
+          <Card bg={cardBg} borderColor={borderColor} borderWidth={1} mb={8}>
+            <CardHeader>
+              <Heading size="md">Positions</Heading>
+            </CardHeader>
+            <CardBody>
+              <TableContainer>
+                <Table variant="simple" size="sm">
+                  <Thead>
+                    <Tr>
+                      <Th>Symbol</Th>
+                      <Th isNumeric>Quantity</Th>
+                      <Th isNumeric>Avg Cost</Th>
+                      <Th isNumeric>Price</Th>
+                      <Th isNumeric>Market Value</Th>
+                      <Th isNumeric>Unrealized</Th>
+                      <Th isNumeric>Realized</Th>
+                      <Th isNumeric>Dividends</Th>
+                      <Th isNumeric>Weight</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {[...openPositions, ...closedPositions].map(p => (
+                      <Tr key={p.symbol} opacity={p.quantity === 0 ? 0.6 : 1}>
+                        <Td>
+                          <Badge colorScheme="brand" variant="solid">{p.symbol}</Badge>
+                          <Text as="span" ml={2} fontSize="xs" color="gray.500">{p.currency}</Text>
+                        </Td>
+                        <Td isNumeric>{p.quantity}</Td>
+                        <Td isNumeric>{money(p.averageCost)}</Td>
+                        <Td isNumeric>{money(p.price)}</Td>
+                        <Td isNumeric>{money(p.marketValue)}</Td>
+                        <Td isNumeric color={pnlColor(p.unrealizedPnl)}>
+                          {money(p.unrealizedPnl)}
+                          {p.unrealizedPnlPct !== null && ` (${p.unrealizedPnlPct.toFixed(2)}%)`}
+                        </Td>
+                        <Td isNumeric color={pnlColor(p.realizedPnl)}>{money(p.realizedPnl)}</Td>
+                        <Td isNumeric>{money(p.dividends)}</Td>
+                        <Td isNumeric>{(p.weight * 100).toFixed(1)}%</Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </TableContainer>
+            </CardBody>
+          </Card>
+
+          <RebalancePlanner key={detail.id} portfolioId={detail.id} positions={detail.positions} currency={reportingCurrency} />
+
+          <Card bg={cardBg} borderColor={borderColor} borderWidth={1}>
+            <CardHeader>
+              <Heading size="md">Transactions</Heading>
+            </CardHeader>
+            <CardBody>
+              <Flex gap={3} mb={4} wrap="wrap">
+                <Input
+                  placeholder="Symbol"
+                  value={form.symbol}
+                  onChange={(e) => setForm({ ...form, symbol: e.target.value.toUpperCase() })}
+                  maxW="120px"
+                />
+                <Select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value as TransactionType })} maxW="130px">
+                  {TRANSACTION_TYPES.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </Select>
+                <Input type="date" value={form.tradeDate} onChange={(e) => setForm({ ...form, tradeDate: e.target.value })} maxW="170px" />
+                {(form.type === 'BUY' || form.type === 'SELL') && (
+                  <>
+                    <Input placeholder="Quantity" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: e.target.value })} maxW="110px" />
+                    <Input placeholder="Price" value={form.price} onChange={(e) => setForm({ ...form, price: e.target.value })} maxW="110px" />
+                  </>
+                )}
+                {form.type === 'DIVIDEND' && (
+                  <Input placeholder="Gross amount" value={form.amount} onChange={(e) => setForm({ ...form, amount: e.target.value })} maxW="140px" />
+                )}
+                {form.type === 'SPLIT' && (
+                  <Input placeholder="Ratio (e.g. 4)" value={form.ratio} onChange={(e) => setForm({ ...form, ratio: e.target.value })} maxW="140px" />
+                )}
+                {form.type !== 'SPLIT' && (
+                  <Input placeholder={form.type === 'DIVIDEND' ? 'Tax withheld' : 'Fees'} value={form.fees} onChange={(e) => setForm({ ...form, fees: e.target.value })} maxW="120px" />
+                )}
+                <Button colorScheme="brand" onClick={handleAddTransaction}>
+                  Add Transaction
+                </Button>
+              </Flex>
+
+              <TableContainer>
+                <Table variant="simple" size="sm">
+                  <Thead>
+                    <Tr>
+                      <Th>Date</Th>
+                      <Th>Type</Th>
+                      <Th>Symbol</Th>
+                      <Th isNumeric>Quantity</Th>
+                      <Th isNumeric>Price / Amount</Th>
+                      <Th isNumeric>Fees</Th>
+                      <Th>Actions</Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {[...transactions].reverse().map(t => (
+                      <Tr key={t.id}>
+                        <Td>{t.tradeDate}</Td>
+                        <Td>
+                          <Badge colorScheme={t.type === 'BUY' ? 'green' : t.type === 'SELL' ? 'red' : 'purple'} variant="subtle">
+                            {t.type}
+                          </Badge>
+                        </Td>
+                        <Td>{t.symbol}</Td>
+                        <Td isNumeric>{t.type === 'SPLIT' ? `${t.ratio}:1` : t.quantity ?? ''}</Td>
+                        <Td isNumeric>{t.type === 'DIVIDEND' ? money(t.amount) : t.type === 'SPLIT' ? '' : money(t.price)}</Td>
+                        <Td isNumeric>{t.fees ? money(t.fees) : ''}</Td>
+                        <Td>
+                          <Button size="sm" colorScheme="red" variant="ghost" onClick={() => handleDeleteTransaction(t.id)}>
+                            Remove
+                          </Button>
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </TableContainer>
+            </CardBody>
+          </Card>
+        </>
+      )}
+    </Box>
+  )
+}
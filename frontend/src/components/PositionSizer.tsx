@@ -0,0 +1,166 @@
+import { Box, Flex, Input, Button, Text, Select, SimpleGrid, FormControl, FormLabel, Badge } from '@chakra-ui/react'
+import { useCallback, useEffect, useState } from 'react'
+import { useStockContext } from '../context/StockContext'
+import { apiService, AccountSettings, PositionSizing, SizingMode } from '../services/api'
+
+const DEFAULT_ACCOUNT: AccountSettings = { equity: 10000, currency: 'USD', riskPct: 1, atrMultiple: 2, mode: 'fixed-fractional' }
+
+const money = (value: number) => value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const LIMITS: Record<PositionSizing['limitedBy'], string> = {
+  risk: 'risk per trade',
+  volatility: 'volatility target',
+  equity: 'account equity'
+}
+
+interface PositionSizerProps {
+  symbol: string
+}
+
+export const PositionSizer = ({ symbol }: PositionSizerProps) => {
+  const { state, dispatch } = useStockContext()
+  const saved = state.preferences.account
+  const [form, setForm] = useState(() => {
+    const account = saved ?? DEFAULT_ACCOUNT
+    return {
+      equity: String(account.equity),
+      currency: account.currency,
+      riskPct: String(account.riskPct),
+      atrMultiple: String(account.atrMultiple),
+      mode: account.mode,
+      targetVolatility: String((account.targetVolatility ?? 0.1) * 100)
+    }
+  })
+  const [sizing, setSizing] = useState<PositionSizing | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const calculate = useCallback(async (account: AccountSettings) => {
+    setLoading(true)
+    setError('')
+    try {
+      const { positionSizing } = await apiService.analyzeStock(symbol, [], account)
+      if (!positionSizing || 'error' in positionSizing) {
+        setSizing(null)
+        setError(positionSizing?.error ?? 'Position sizing unavailable')
+      } else {
+        setSizing(positionSizing)
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Unknown error')
+    } finally {
+      setLoading(false)
+    }
+  }, [symbol])
+
+  // Size straight away with the settings saved from an earlier visit
+  const [savedOnOpen] = useState(saved)
+  useEffect(() => {
+    if (savedOnOpen) calculate(savedOnOpen)
+  }, [calculate, savedOnOpen])
+
+  const handleCalculate = () => {
+    const account: AccountSettings = {
+      equity: parseFloat(form.equity),
+      currency: form.currency,
+      riskPct: parseFloat(form.riskPct),
+      atrMultiple: parseFloat(form.atrMultiple),
+      mode: form.mode,
+      ...(form.mode === 'volatility-target' ? { targetVolatility: parseFloat(form.targetVolatility) / 100 } : {})
+    }
+    if (![account.equity, account.riskPct, account.atrMultiple, account.targetVolatility ?? 1].every(v => v > 0)) {
+      setError('Equity, risk, ATR multiple and target volatility must be positive numbers')
+      return
+    }
+    dispatch({ type: 'SET_PREFERENCES', payload: { account } })
+    calculate(account)
+  }
+
+  return (
+    <Box>
+      <SimpleGrid columns={{ base: 2, md: 3, lg: 6 }} spacing={3} mb={4} alignItems="end">
+        <FormControl>
+          <FormLabel fontSize="sm" mb={1}>Account equity</FormLabel>
+          <Input size="sm" type="number" value={form.equity} onChange={(e) => setForm({ ...form, equity: e.target.value })} />
+        </FormControl>
+        <FormControl>
+          <FormLabel fontSize="sm" mb={1}>Currency</FormLabel>
+          <Select size="sm" value={form.currency} onChange={(e) => setForm({ ...form, currency: e.target.value as 'USD' | 'CAD' })}>
+            <option value="USD">USD</option>
+            <option value="CAD">CAD</option>
+          </Select>
+        </FormControl>
+        <FormControl>
+          <FormLabel fontSize="sm" mb={1}>Risk per trade %</FormLabel>
+          <Input size="sm" type="number" value={form.riskPct} onChange={(e) => setForm({ ...form, riskPct: e.target.value })} />
+        </FormControl>
+        <FormControl>
+          <FormLabel fontSize="sm" mb={1}>Stop (ATR multiple)</FormLabel>
+          <Input size="sm" type="number" value={form.atrMultiple} onChange={(e) => setForm({ ...form, atrMultiple: e.target.value })} />
+        </FormControl>
+        <FormControl>
+          <FormLabel fontSize="sm" mb={1}>Mode</FormLabel>
+          <Select size="sm" value={form.mode} onChange={(e) => setForm({ ...form, mode: e.target.value as SizingMode })}>
+            <option value="fixed-fractional">Fixed fractional</option>
+            <option value="volatility-target">Volatility target</option>
+          </Select>
+        </FormControl>
+        {form.mode === 'volatility-target' ? (
+          <FormControl>
+            <FormLabel fontSize="sm" mb={1}>Target volatility %</FormLabel>
+            <Input size="sm" type="number" value={form.targetVolatility} onChange={(e) => setForm({ ...form, targetVolatility: e.target.value })} />
+          </FormControl>
+        ) : (
+          <Box />
+        )}
+      </SimpleGrid>
+      <Button colorScheme="brand" size="sm" onClick={handleCalculate} isLoading={loading} mb={4}>
+        Calculate
+      </Button>
+
+      {error && <Text color="red.500">{error}</Text>}
+
+      {sizing && (
+        <>
+          <SimpleGrid columns={{ base: 2, md: 4 }} spacing={4} mb={3}>
+            <Box>
+              <Text fontSize="sm" color="gray.500">Shares</Text>
+              <Text fontSize="2xl" fontWeight="bold">{sizing.shares}</Text>
+              <Text fontSize="xs" color="gray.500">
+                {money(sizing.positionValue)} {sizing.currency} ({sizing.positionPct.toFixed(1)}% of equity)
+              </Text>
+            </Box>
+            <Box>
+              <Text fontSize="sm" color="gray.500">Stop</Text>
+              <Text fontSize="2xl" fontWeight="bold" color="red.500">{money(sizing.stopPrice)}</Text>
+              <Text fontSize="xs" color="gray.500">
+                {sizing.stopDistancePct.toFixed(2)}% below {money(sizing.entryPrice)} ({sizing.atrMultiple} × ATR)
+              </Text>
+            </Box>
+            <Box>
+              <Text fontSize="sm" color="gray.500">Risk at Stop</Text>
+              <Text fontSize="2xl" fontWeight="bold">{money(sizing.riskAmount)}</Text>
+              <Text fontSize="xs" color="gray.500">{sizing.riskPctOfEquity.toFixed(2)}% of equity</Text>
+            </Box>
+            <Box>
+              <Text fontSize="sm" color="gray.500">ATR ({sizing.atrPeriod})</Text>
+              <Text fontSize="2xl" fontWeight="bold">{money(sizing.atr)}</Text>
+              <Text fontSize="xs" color="gray.500">
+                {sizing.atrPct.toFixed(2)}% of price, {sizing.annualizedVolatilityPct.toFixed(1)}% annualized
+              </Text>
+            </Box>
+          </SimpleGrid>
+          <Flex gap={2} align="center" wrap="wrap">
+            <Badge colorScheme="brand" variant="subtle">Limited by {LIMITS[sizing.limitedBy]}</Badge>
+            <Text fontSize="sm" color="gray.500">
+              {sizing.accountCurrency !== sizing.currency &&
+                `${money(sizing.accountEquity)} ${sizing.accountCurrency} is ${money(sizing.equity)} ${sizing.currency}. `}
+              {sizing.shares === 0 && 'The budget does not cover one share. '}
+              A suggestion only; no order is placed.
+            </Text>
+          </Flex>
+        </>
+      )}
+    </Box>
+  )
+}
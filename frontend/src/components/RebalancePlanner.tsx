@@ -0,0 +1,219 @@
+import { Box, Card, CardHeader, CardBody, Heading, Flex, Input, Button, Text, Badge, Checkbox, useColorModeValue, Table, Thead, Tbody, Tr, Th, Td, TableContainer, SimpleGrid, HStack, FormControl, FormLabel } from '@chakra-ui/react'
+import { useState } from 'react'
+import { apiService, PortfolioPosition, RebalancePlan } from '../services/api'
+
+const money = (value: number | null) =>
+  value === null ? 'n/a' : value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const pct = (weight: number) => `${(weight * 100).toFixed(1)}%`
+
+const gainColor = (value: number) => (value === 0 ? undefined : value > 0 ? 'green.500' : 'red.500')
+
+interface RebalancePlannerProps {
+  portfolioId: number
+  positions: PortfolioPosition[]
+  currency: 'USD' | 'CAD'
+}
+
+export const RebalancePlanner = ({ portfolioId, positions, currency }: RebalancePlannerProps) => {
+  const held = positions.filter(p => p.quantity > 0).map(p => p.symbol)
+  const [added, setAdded] = useState<string[]>([])
+  const [newSymbol, setNewSymbol] = useState('')
+  // Target weights in percent as typed
+  const [targets, setTargets] = useState<Record<string, string>>({})
+  const [settings, setSettings] = useState({ cashCAD: '', cashUSD: '', driftBand: '2', minTrade: '100', commission: '0' })
+  const [wholeShares, setWholeShares] = useState(true)
+  const [plan, setPlan] = useState<RebalancePlan | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const cardBg = useColorModeValue('white', 'gray.800')
+  const borderColor = useColorModeValue('gray.200', 'gray.700')
+
+  const symbols = [...held, ...added.filter(s => !held.includes(s))]
+  const allocated = symbols.reduce((sum, s) => sum + (parseFloat(targets[s]) || 0), 0)
+
+  const handleAdd = () => {
+    const symbol = newSymbol.trim().toUpperCase()
+    if (symbol && !symbols.includes(symbol)) setAdded([...added, symbol])
+    setNewSymbol('')
+  }
+
+  const handlePlan = async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const weights = Object.fromEntries(
+        symbols.filter(s => targets[s]?.trim()).map(s => [s, parseFloat(targets[s]) / 100])
+      )
+      setPlan(await apiService.planRebalance(portfolioId, {
+        targets: weights,
+        cash: { CAD: parseFloat(settings.cashCAD) || 0, USD: parseFloat(settings.cashUSD) || 0 },
+        currency,
+        driftBand: (parseFloat(settings.driftBand) || 0) / 100,
+        minTrade: parseFloat(settings.minTrade) || 0,
+        commission: parseFloat(settings.commission) || 0,
+        wholeShares
+      }))
+    } catch (err) {
+      setPlan(null)
+      setError(err instanceof Error ? err.message : 'Unknown error')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <Card bg={cardBg} borderColor={borderColor} borderWidth={1} mb={8}>
+      <CardHeader>
+        <Flex justify="space-between" align="center">
+          <Heading size="md">Rebalance</Heading>
+          <Button colorScheme="brand" size="sm" onClick={handlePlan} isLoading={loading}>
+            Plan Trades
+          </Button>
+        </Flex>
+      </CardHeader>
+      <CardBody>
+        <SimpleGrid columns={{ base: 2, md: 4, lg: 6 }} spacing={3} mb={3}>
+          {symbols.map(symbol => (
+            <FormControl key={symbol}>
+              <FormLabel fontSize="sm" mb={1}>{symbol} target %</FormLabel>
+              <Input
+                size="sm"
+                type="number"
+                placeholder="0"
+                value={targets[symbol] ?? ''}
+                onChange={(e) => setTargets({ ...targets, [symbol]: e.target.value })}
+              />
+            </FormControl>
+          ))}
+          <FormControl>
+            <FormLabel fontSize="sm" mb={1}>Add symbol</FormLabel>
+            <HStack spacing={1}>
+              <Input
+                size="sm"
+                placeholder="e.g. XIU.TO"
+                value={newSymbol}
+                onChange={(e) => setNewSymbol(e.target.value.toUpperCase())}
+                onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+              />
+              <Button size="sm" onClick={handleAdd}>Add</Button>
+            </HStack>
+          </FormControl>
+        </SimpleGrid>
+        <Text fontSize="sm" color={allocated > 100 ? 'red.500' : 'gray.500'} mb={4}>
+          {allocated.toFixed(1)}% allocated, {Math.max(0, 100 - allocated).toFixed(1)}% cash. Held symbols without a target are sold.
+        </Text>
+
+        <SimpleGrid columns={{ base: 2, md: 3, lg: 6 }} spacing={3} mb={4} alignItems="end">
+          {([
+            ['cashCAD', 'CAD cash'],
+            ['cashUSD', 'USD cash'],
+            ['driftBand', 'Drift band %'],
+            ['minTrade', `Min trade (${currency})`],
+            ['commission', 'Commission per trade']
+          ] as const).map(([key, label]) => (
+            <FormControl key={key}>
+              <FormLabel fontSize="sm" mb={1}>{label}</FormLabel>
+              <Input size="sm" type="number" value={settings[key]} onChange={(e) => setSettings({ ...settings, [key]: e.target.value })} />
+            </FormControl>
+          ))}
+          <Checkbox isChecked={wholeShares} onChange={(e) => setWholeShares(e.target.checked)} pb={1}>
+            Whole shares
+          </Checkbox>
+        </SimpleGrid>
+
+        {error && <Text color="red.500" mb={4}>{error}</Text>}
+
+        {plan && (
+          <>
+            <TableContainer mb={4}>
+              <Table variant="simple" size="sm">
+                <Thead>
+                  <Tr>
+                    <Th>Order</Th>
+                    <Th>Symbol</Th>
+                    <Th isNumeric>Quantity</Th>
+                    <Th isNumeric>Price</Th>
+                    <Th isNumeric>Value</Th>
+                    <Th isNumeric>Weight → Target</Th>
+                    <Th isNumeric>After</Th>
+                    <Th isNumeric>Costs</Th>
+                    <Th isNumeric>Realized Gain</Th>
+                  </Tr>
+                </Thead>
+                <Tbody>
+                  {plan.trades.map(t => (
+                    <Tr key={t.symbol}>
+                      <Td>
+                        <Badge colorScheme={t.action === 'BUY' ? 'green' : 'red'}>{t.action}</Badge>
+                      </Td>
+                      <Td fontWeight="bold">{t.symbol}</Td>
+                      <Td isNumeric>{t.quantity}</Td>
+                      <Td isNumeric>{money(t.price)}</Td>
+                      <Td isNumeric>{money(t.value)} {t.currency}</Td>
+                      <Td isNumeric>{pct(t.currentWeight)} → {pct(t.targetWeight)}</Td>
+                      <Td isNumeric>{pct(t.resultingWeight)}</Td>
+                      <Td isNumeric>{money(t.costs.total)}</Td>
+                      <Td isNumeric>
+                        {t.tax ? (
+                          <Box>
+                            <Text color={gainColor(t.tax.realizedGain)}>{money(t.tax.realizedGain)}</Text>
+                            <Text fontSize="xs" color="gray.500">
+                              FIFO {money(t.tax.fifo.shortTermGain)} short / {money(t.tax.fifo.longTermGain)} long
+                            </Text>
+                          </Box>
+                        ) : '—'}
+                      </Td>
+                    </Tr>
+                  ))}
+                </Tbody>
+              </Table>
+            </TableContainer>
+            {plan.trades.length === 0 && <Text color="gray.500" mb={4}>No trades needed</Text>}
+
+            <SimpleGrid columns={{ base: 2, md: 4 }} spacing={4} mb={3}>
+              <Box>
+                <Text fontSize="sm" color="gray.500">Estimated Costs</Text>
+                <Text fontWeight="bold">{money(plan.costs.total)} {plan.currency}</Text>
+                <Text fontSize="xs" color="gray.500">
+                  {money(plan.costs.commissions)} commission, {money(plan.costs.slippage)} slippage, {money(plan.costs.fx)} FX
+                </Text>
+              </Box>
+              <Box>
+                <Text fontSize="sm" color="gray.500">Realized Gain (average cost)</Text>
+                <Text fontWeight="bold" color={gainColor(plan.tax.realizedGain)}>{money(plan.tax.realizedGain)} {plan.currency}</Text>
+                <Text fontSize="xs" color="gray.500">
+                  FIFO {money(plan.tax.shortTermGain)} short / {money(plan.tax.longTermGain)} long term
+                </Text>
+              </Box>
+              <Box>
+                <Text fontSize="sm" color="gray.500">Cash After</Text>
+                <Text fontWeight="bold">
+                  {Object.entries(plan.cash.after).map(([c, amount]) => `${money(amount)} ${c}`).join(' · ')}
+                </Text>
+                {plan.fxConversions.map(c => (
+                  <Text key={`${c.from}-${c.to}`} fontSize="xs" color="gray.500">
+                    Convert {money(c.amount)} {c.from} → {money(c.received)} {c.to}
+                  </Text>
+                ))}
+              </Box>
+              <Box>
+                <Text fontSize="sm" color="gray.500">Turnover</Text>
+                <Text fontWeight="bold">{plan.turnoverPct.toFixed(1)}%</Text>
+                <Text fontSize="xs" color="gray.500">of {money(plan.totalValue)} {plan.currency}</Text>
+              </Box>
+            </SimpleGrid>
+            {plan.held.length > 0 && (
+              <Text fontSize="sm" color="gray.500">
+                Not traded: {plan.held.map(h => `${h.symbol} (${h.reason})`).join(', ')}
+              </Text>
+            )}
+            <Text fontSize="sm" color="gray.500">
+              A plan only: no orders are placed. Prices are the latest stored closes.
+            </Text>
+          </>
+        )}
+      </CardBody>
+    </Card>
+  )
+}
@@ -0,0 +1,28 @@
+import { VStack, HStack, Text, Badge } from '@chakra-ui/react'
+import type { SignalReason } from '../services/api'
+
+interface SignalReasonsProps {
+  reasons: SignalReason[]
+  limit?: number
+}
+
+export const SignalReasons = ({ reasons, limit }: SignalReasonsProps) => {
+  const shown = limit ? reasons.slice(0, limit) : reasons
+
+  if (shown.length === 0) {
+    return <Text fontSize="sm" color="gray.500">No strong drivers</Text>
+  }
+
+  return (
+    <VStack align="stretch" spacing={1}>
+      {shown.map(reason => (
+        <HStack key={reason.indicator} justify="space-between" fontSize="sm">
+          <Text>{reason.text}</Text>
+          <Badge colorScheme={reason.direction === 'bullish' ? 'green' : 'red'} variant="subtle">
+            {reason.direction === 'bullish' ? 'Bullish' : 'Bearish'}
+          </Badge>
+        </HStack>
+      ))}
+    </VStack>
+  )
+}
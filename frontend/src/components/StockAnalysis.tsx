@@ -1,27 +1,52 @@
-import { Box, Card, CardHeader, CardBody, Heading, Flex, Text, Badge, useColorModeValue, SimpleGrid, VStack } from '@chakra-ui/react'
-import { StockChart } from './StockChart'
+import { Box, Card, CardHeader, CardBody, Heading, Flex, Text, Badge, useColorModeValue, SimpleGrid, VStack, Spinner } from '@chakra-ui/react'
+import { StockChart, ChartLevel } from './StockChart'
 import { IndicatorsPanel } from './IndicatorsPanel'
+import { SignalReasons } from './SignalReasons'
+import { PositionSizer } from './PositionSizer'
+import { useStockData } from '../hooks/useStockData'
 
-export const StockAnalysis = () => {
+interface StockAnalysisProps {
+  symbol?: string
+}
+
+export const StockAnalysis = ({ symbol = 'AAPL' }: StockAnalysisProps) => {
   const cardBg = useColorModeValue('white', 'gray.800')
   const borderColor = useColorModeValue('gray.200', 'gray.700')
+  const { stockData, loading, error } = useStockData(symbol)
 
-  const stockData = {
-    symbol: 'AAPL',
-    name: 'Apple Inc.',
-    price: 150.25,
-    change: 2.50,
-    changePercent: 1.7,
-    signal: 'BUY',
-    rsi: 45,
-    macd: { macd: 1.2, signal: 0.8, histogram: 0.4 },
-    bollinger: { upper: 160, middle: 150, lower: 140 },
-    sma50: 145.50,
-    volume: 45000000
+  if (error) {
+    return (
+      <Box p={6}>
+        <Text color="red.500">Failed to load {symbol}: {error}</Text>
+      </Box>
+    )
+  }
+
+  if (loading || !stockData) {
+    return (
+      <Flex p={6} justify="center">
+        <Spinner />
+      </Flex>
+    )
   }
 
   const isPositive = stockData.change >= 0
 
+  const levels: ChartLevel[] = [
+    ...(stockData.pivots
+      ? [
+          { value: stockData.pivots.classic.r1, label: 'R1', color: '#E53E3E' },
+          { value: stockData.pivots.classic.pp, label: 'PP', color: '#A0AEC0' },
+          { value: stockData.pivots.classic.s1, label: 'S1', color: '#38A169' }
+        ]
+      : []),
+    ...stockData.zones.map(zone => ({
+      value: zone.level,
+      label: `${zone.type === 'support' ? 'S' : 'R'} x${zone.touches}`,
+      color: zone.type === 'support' ? '#68D391' : '#FC8181'
+    }))
+  ]
+
   return (
     <Box p={6}>
       <Flex justify="space-between" align="center" mb={6}>
@@ -50,7 +75,12 @@ export const StockAnalysis = () => {
             <Heading size="md">Price Chart</Heading>
           </CardHeader>
           <CardBody>
-            <StockChart symbol={stockData.symbol} height={300} />
+            <StockChart
+              symbol={stockData.symbol}
+              height={300}
+              data={stockData.historical.map(h => ({ x: new Date(h.date), y: h.close }))}
+              levels={levels}
+            />
           </CardBody>
         </Card>
 
@@ -64,6 +94,24 @@ export const StockAnalysis = () => {
         </Card>
       </SimpleGrid>
 
+      <Card bg={cardBg} borderColor={borderColor} borderWidth={1} mb={6}>
+        <CardHeader>
+          <Heading size="md">Why {stockData.signal}?</Heading>
+        </CardHeader>
+        <CardBody>
+          <SignalReasons reasons={stockData.reasons} />
+        </CardBody>
+      </Card>
+
+      <Card bg={cardBg} borderColor={borderColor} borderWidth={1} mb={6}>
+        <CardHeader>
+          <Heading size="md">Position Size</Heading>
+        </CardHeader>
+        <CardBody>
+          <PositionSizer key={symbol} symbol={symbol} />
+        </CardBody>
+      </Card>
+
       <Card bg={cardBg} borderColor={borderColor} borderWidth={1}>
         <CardHeader>
           <Heading size="md">Analysis Summary</Heading>
@@ -80,22 +128,38 @@ export const StockAnalysis = () => {
 
             <VStack align="stretch" spacing={4}>
               <Heading size="sm" color="brand.400">MACD</Heading>
-              <Text>MACD: {stockData.macd.macd}</Text>
-              <Text>Signal: {stockData.macd.signal}</Text>
-              <Text>Histogram: {stockData.macd.histogram}</Text>
-              <Text color={stockData.macd.histogram > 0 ? 'green.500' : 'red.500'}>
-                {stockData.macd.histogram > 0 ? 'Bullish Momentum' : 'Bearish Momentum'}
-              </Text>
+              {stockData.macd ? (
+                <>
+                  <Text>MACD: {stockData.macd.macd}</Text>
+                  <Text>Signal: {stockData.macd.signal}</Text>
+                  <Text>Histogram: {stockData.macd.histogram}</Text>
+                  <Text color={stockData.macd.histogram > 0 ? 'green.500' : 'red.500'}>
+                    {stockData.macd.histogram > 0 ? 'Bullish Momentum' : 'Bearish Momentum'}
+                  </Text>
+                </>
+              ) : (
+                <Text color="gray.500">Not enough history</Text>
+              )}
             </VStack>
 
             <VStack align="stretch" spacing={4}>
               <Heading size="sm" color="brand.400">Bollinger Bands</Heading>
-              <Text>Upper: ${stockData.bollinger.upper}</Text>
-              <Text>Middle: ${stockData.bollinger.middle}</Text>
-              <Text>Lower: ${stockData.bollinger.lower}</Text>
-              <Text color="blue.500">
-                Price near middle band - Neutral trend
-              </Text>
+              {stockData.bollinger ? (
+                <>
+                  <Text>Upper: ${stockData.bollinger.upper}</Text>
+                  <Text>Middle: ${stockData.bollinger.middle}</Text>
+                  <Text>Lower: ${stockData.bollinger.lower}</Text>
+                  <Text color={stockData.price > stockData.bollinger.upper ? 'red.500' : stockData.price < stockData.bollinger.lower ? 'green.500' : 'blue.500'}>
+                    {stockData.price > stockData.bollinger.upper
+                      ? 'Price above upper band - Overextended'
+                      : stockData.price < stockData.bollinger.lower
+                        ? 'Price below lower band - Oversold'
+                        : 'Price inside the bands - Neutral trend'}
+                  </Text>
+                </>
+              ) : (
+                <Text color="gray.500">Not enough history</Text>
+              )}
             </VStack>
           </SimpleGrid>
         </CardBody>
@@ -1,11 +1,15 @@
 import { Card, CardHeader, CardBody, Heading, Text, Badge, Flex, Box, useColorModeValue } from '@chakra-ui/react'
 import { StockChart } from './StockChart'
+import { SignalReasons } from './SignalReasons'
+import type { SignalReason } from '../services/api'
 
 interface StockCardProps {
   symbol: string
+  // Top-picks rationale, when the card shows a pick
+  reasons?: SignalReason[]
 }
 
-export const StockCard = ({ symbol }: StockCardProps) => {
+export const StockCard = ({ symbol, reasons }: StockCardProps) => {
   const cardBg = useColorModeValue('white', 'gray.800')
   const borderColor = useColorModeValue('gray.200', 'gray.700')
 
@@ -69,6 +73,12 @@ export const StockCard = ({ symbol }: StockCardProps) => {
           <Text>SMA 50: ${stockData.sma50.toFixed(2)}</Text>
           <Text>Signal: {stockData.signal}</Text>
         </Flex>
+
+        {reasons && (
+          <Box mt={3}>
+            <SignalReasons reasons={reasons} limit={3} />
+          </Box>
+        )}
       </CardBody>
     </Card>
   )
@@ -1,14 +1,21 @@
 import React from 'react'
 import { VictoryChart, VictoryLine, VictoryAxis, VictoryTheme, VictoryTooltip, VictoryScatter } from 'victory'
 
+export interface ChartLevel {
+  value: number
+  label: string
+  color?: string
+}
+
 interface StockChartProps {
   symbol: string
   height?: number
   width?: number
   data?: Array<{ x: Date | string; y: number }>
+  levels?: ChartLevel[]
 }
 
-export const StockChart = ({ symbol, height = 200, width = 400, data }: StockChartProps) => {
+export const StockChart = ({ symbol, height = 200, width = 400, data, levels = [] }: StockChartProps) => {
   // Generate mock data if none provided
   const chartData = data || Array.from({ length: 30 }, (_, i) => ({
     x: new Date(Date.now() - (29 - i) * 24 * 60 * 60 * 1000),
@@ -37,6 +44,20 @@ export const StockChart = ({ symbol, height = 200, width = 400, data }: StockCha
           tickLabels: { fill: "#888", fontSize: 8 }
         }}
       />
+      {levels.map(level => (
+        <VictoryLine
+          key={`${level.label}-${level.value}`}
+          data={[
+            { x: chartData[0].x, y: level.value },
+            { x: chartData[chartData.length - 1].x, y: level.value, label: level.label }
+          ]}
+          labels={({ datum }) => datum.label}
+          style={{
+            data: { stroke: level.color || "#888", strokeWidth: 1, strokeDasharray: "4,3" },
+            labels: { fill: level.color || "#888", fontSize: 7 }
+          }}
+        />
+      ))}
       <VictoryLine
         data={chartData}
         style={{
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect, ReactNode } from 'react'
+import type { MacdValue, BollingerValue, StochasticValue, IchimokuValue, PivotsValue, PriceZone, SignalReason, AccountSettings } from '../services/api'
 
 // Types
 export interface StockData {
@@ -9,19 +10,16 @@ export interface StockData {
   changePercent: number
   currency: string
   rsi: number
-  macd: {
-    macd: number
-    signal: number
-    histogram: number
-  }
-  bollinger: {
-    upper: number
-    middle: number
-    lower: number
-  }
+  macd: MacdValue | null
+  bollinger: BollingerValue | null
+  stochastic: StochasticValue | null
+  ichimoku: IchimokuValue | null
+  pivots: PivotsValue | null
+  zones: PriceZone[]
   sma50: number
   volume: number
   signal: 'BUY' | 'SELL' | 'HOLD'
+  reasons: SignalReason[]
   historical: Array<{
     date: string
     close: number
@@ -45,6 +43,8 @@ export interface UserPreferences {
   refreshInterval: number
   chartTheme: 'light' | 'dark'
   notifications: boolean
+  // Position sizing inputs, kept once entered on a stock's analysis
+  account?: AccountSettings
 }
 
 interface State {
@@ -17,26 +17,23 @@ export const useStockData = (symbol: string) => {
         
         // Transform API response to our StockData format
         const stockData = {
-          symbol: data.symbol,
-          name: `${data.symbol} Inc.`,
+          symbol,
+          name: `${symbol} Inc.`,
           price: data.currentPrice,
           change: 0, // Would need additional API call for change
           changePercent: 0,
           currency: data.currency,
           rsi: data.rsi,
-          macd: {
-            macd: 1.2, // Would need additional calculation
-            signal: 0.8,
-            histogram: 0.4
-          },
-          bollinger: {
-            upper: data.currentPrice * 1.05,
-            middle: data.sma50,
-            lower: data.currentPrice * 0.95
-          },
+          macd: data.indicators.MACD,
+          bollinger: data.indicators.BOLLINGER,
+          stochastic: data.indicators.STOCH,
+          ichimoku: data.indicators.ICHIMOKU,
+          pivots: data.indicators.PIVOTS,
+          zones: data.indicators.SR_ZONES || [],
           sma50: data.sma50,
           volume: 1000000, // Would need additional API call
-          signal: data.signal as 'BUY' | 'SELL' | 'HOLD',
+          signal: data.signal.toUpperCase() as 'BUY' | 'SELL' | 'HOLD',
+          reasons: data.reasons || [],
           historical: data.historical
         }
 
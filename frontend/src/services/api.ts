@@ -1,5 +1,241 @@
 const API_BASE_URL = '/api'
 
+export interface MacdValue {
+  macd: number
+  signal: number
+  histogram: number
+}
+
+export interface BollingerValue {
+  upper: number
+  middle: number
+  lower: number
+  bandwidth: number | null
+  percentB: number | null
+}
+
+export interface StochasticValue {
+  k: number
+  d: number
+}
+
+export interface AdxValue {
+  adx: number
+  plusDI: number
+  minusDI: number
+}
+
+export interface KeltnerValue {
+  upper: number
+  middle: number
+  lower: number
+}
+
+export interface ObvValue {
+  obv: number
+  trend: number
+}
+
+export interface VwapValue {
+  vwap: number
+  anchorDate: string
+  distancePct: number
+}
+
+export interface IchimokuState {
+  price: 'above' | 'in' | 'below'
+  tkCross: 'bullish' | 'bearish' | null
+  tkCrossBarsAgo: number | null
+  cloudTwist: 'bullish' | 'bearish' | null
+  futureCloud: 'bullish' | 'bearish'
+  chikou: 'above' | 'below' | 'flat'
+  bias: 'bullish' | 'bearish' | 'neutral'
+}
+
+export interface IchimokuValue {
+  tenkan: number
+  kijun: number
+  senkouA: number
+  senkouB: number
+  chikou: number
+  cloudTop: number
+  cloudBottom: number
+  futureSenkouA: number
+  futureSenkouB: number
+  state: IchimokuState
+}
+
+export interface PivotLevels {
+  pp: number
+  r1: number
+  r2: number
+  r3: number
+  r4?: number
+  s1: number
+  s2: number
+  s3: number
+  s4?: number
+}
+
+export interface PivotsValue {
+  classic: PivotLevels
+  fibonacci: PivotLevels
+  camarilla: PivotLevels
+}
+
+export interface PriceZone {
+  level: number
+  low: number
+  high: number
+  touches: number
+  type: 'support' | 'resistance'
+  lastTouch: string
+}
+
+export interface CandlestickPattern {
+  date: string
+  pattern: string
+  direction: 'bullish' | 'bearish' | 'neutral'
+  strength: number
+}
+
+export interface Divergence {
+  indicator: 'RSI' | 'MACD'
+  type: 'regular' | 'hidden'
+  direction: 'bullish' | 'bearish'
+  startDate: string
+  endDate: string
+  barsAgo: number
+  priceStart: number
+  priceEnd: number
+  oscillatorStart: number
+  oscillatorEnd: number
+}
+
+// Point forecast and prediction interval for one horizon (in bars)
+export interface PriceForecast {
+  horizon: number
+  price: number
+  changePct: number
+  lower: number
+  upper: number
+}
+
+export interface ForecastValue {
+  // Prediction interval coverage
+  confidence: number
+  models: {
+    holtWinters: { alpha: number; beta: number; gamma: number; seasonLength: number; forecasts: PriceForecast[] }
+    ar: { order: number; intercept: number; coefficients: number[]; forecasts: PriceForecast[] }
+    randomWalk: { driftPct: number; volatilityPct: number; forecasts: PriceForecast[] }
+  }
+  ensemble: PriceForecast[]
+}
+
+// Latest indicator values keyed by registry name; null when history is too short
+export interface IndicatorValues {
+  RSI: number | null
+  SMA: number | null
+  MACD: MacdValue | null
+  BOLLINGER: BollingerValue | null
+  STOCH: StochasticValue | null
+  ATR: number | null
+  ADX: AdxValue | null
+  KELTNER: KeltnerValue | null
+  OBV: ObvValue | null
+  VWAP: VwapValue | null
+  ADL: number | null
+  CMF: number | null
+  ICHIMOKU: IchimokuValue | null
+  PIVOTS: PivotsValue | null
+  SR_ZONES: PriceZone[] | null
+  CANDLES: CandlestickPattern[] | null
+  DIVERGENCE: Divergence[] | null
+  // Only computed when requested with ?indicators=FORECAST
+  FORECAST?: ForecastValue | null
+  [name: string]: unknown
+}
+
+export type Timeframe = '1d' | '1wk' | '1mo'
+
+export interface TimeframeState {
+  trend: 'up' | 'down' | 'sideways'
+  momentum: 'oversold' | 'overbought' | 'neutral'
+  signal: string
+}
+
+export interface TimeframeAlignment {
+  bias: 'bullish' | 'bearish' | 'mixed'
+  aligned: boolean
+  byTimeframe: Partial<Record<Timeframe, TimeframeState>>
+  notes: string[]
+}
+
+export type WeightProfile = 'conservative' | 'balanced' | 'aggressive'
+
+export interface ScoreContribution {
+  indicator: string
+  // Component reading from -1 (bearish) to 1 (bullish)
+  signal: number
+  weight: number
+  // Points added to (or taken from) the neutral score of 50
+  points: number
+}
+
+export type RegimeName = 'trending_up' | 'trending_down' | 'range_bound' | 'high_volatility'
+
+interface VolatilityState {
+  // Per-bar standard deviation of log returns, in percent
+  current: number | null
+  baseline: number | null
+  ratio: number | null
+}
+
+// Trend from the benchmark (SPY) when available, else the symbol itself
+export interface MarketRegime {
+  regime: RegimeName
+  source: string
+  trend: {
+    direction: 'up' | 'down' | 'sideways'
+    smaPeriod: number
+    distancePct: number | null
+    sma50SlopePct: number | null
+  }
+  volatility: {
+    symbol: VolatilityState
+    benchmark: VolatilityState | null
+  }
+  // RSI thresholds the regime implies
+  thresholds: { oversold: number; overbought: number }
+}
+
+// Direction classifier output; null when no model has been trained
+export interface MlPrediction {
+  // Probability that the close rises over `horizon` trading days
+  probabilityUp: number
+  horizon: number
+  version: number | null
+}
+
+export interface CompositeScore {
+  compositeScore: number
+  // Indicator agreement (0-1)
+  confidence: number
+  signal: 'STRONG_BUY' | 'BUY' | 'HOLD' | 'SELL' | 'STRONG_SELL'
+  profile: WeightProfile
+  // Regime whose weight and threshold adjustments were applied
+  regime: RegimeName | null
+  contributions: ScoreContribution[]
+}
+
+// e.g. { indicator: 'RSI', text: 'RSI 27 oversold (+7.5)', points: 7.5, direction: 'bullish' }
+export interface SignalReason {
+  indicator: string
+  text: string
+  points: number
+  direction: 'bullish' | 'bearish'
+}
+
 export interface AnalysisResponse {
   symbol: string
   currentPrice: number
@@ -7,45 +243,408 @@ export interface AnalysisResponse {
   sma50: number
   rsi: number
   signal: string
+  regime: MarketRegime
+  ml: MlPrediction | null
+  // Resolved settings for RSI, SMA and any indicator overridden with ?NAME.param=
+  parameters: Record<string, Record<string, number>>
+  indicators: IndicatorValues
+  composite: CompositeScore
+  reasons: SignalReason[]
   historical: Array<{
     date: string
+    open: number
+    high: number
+    low: number
     close: number
+    volume: number
   }>
+  // Present when requested with ?timeframes=; a timeframe without enough history carries an error
+  timeframes?: Partial<Record<Timeframe, Omit<AnalysisResponse, 'timeframes' | 'alignment'> | { error: string }>>
+  alignment?: TimeframeAlignment
+  // Present when requested with account settings; an error when the ATR or exchange rate is unavailable
+  positionSizing?: PositionSizing | { error: string }
+}
+
+export type SizingMode = 'fixed-fractional' | 'volatility-target'
+
+export interface AccountSettings {
+  equity: number
+  currency: 'USD' | 'CAD'
+  // Percent of equity lost if the stop is hit
+  riskPct: number
+  atrMultiple: number
+  mode: SizingMode
+  // Annual volatility the position adds to the account, for volatility-target
+  targetVolatility?: number
+}
+
+export interface PositionSizing {
+  accountCurrency: string
+  accountEquity: number
+  // Quote currency, which equity and amounts below are in
+  currency: string
+  equity: number
+  mode: SizingMode
+  entryPrice: number
+  atr: number
+  atrPct: number
+  atrMultiple: number
+  atrPeriod: number
+  stopPrice: number
+  stopDistancePct: number
+  shares: number
+  positionValue: number
+  positionPct: number
+  riskPct: number
+  // Loss if the stop is hit
+  riskAmount: number
+  riskPctOfEquity: number
+  annualizedVolatilityPct: number
+  targetVolatility: number | null
+  limitedBy: 'risk' | 'volatility' | 'equity'
 }
 
 export interface TopPicksResponse {
   top10: Array<{
     symbol: string
     compositeScore: number
-    signal: string
+    signal: 'STRONG_BUY' | 'BUY' | 'HOLD' | 'SELL' | 'STRONG_SELL'
+    // Indicator agreement (0-1)
     confidence: number
+    contributions: ScoreContribution[]
+    reasons: SignalReason[]
+    regime: RegimeName
+    mlProbability: number | null
     price: number
+    // Percent change from the previous close
     change: number
+    // Ensemble forecasts for 1, 5 and 20 trading days
+    forecast: PriceForecast[]
   }>
+  profile: WeightProfile
+  // Benchmark regime; null when the benchmark could not be fetched
+  marketRegime: MarketRegime | null
+  // Optimization run ids applied with ?tuned=1 (null per mode without a validated run)
+  tuned: { rsi: number | null; score: number | null } | null
+  timestamp: number
+}
+
+export interface Portfolio {
+  id: number
+  name: string
+  createdAt: string
+  updatedAt: string
+}
+
+export type TransactionType = 'BUY' | 'SELL' | 'DIVIDEND' | 'SPLIT'
+
+// BUY/SELL use quantity and price, DIVIDEND the gross amount, SPLIT the ratio of new shares per old share
+export interface TransactionInput {
+  symbol: string
+  type: TransactionType
+  tradeDate: string
+  quantity?: number
+  price?: number
+  fees?: number
+  amount?: number
+  ratio?: number
+  notes?: string
+}
+
+export interface PortfolioTransaction {
+  id: number
+  symbol: string
+  currency: string
+  type: TransactionType
+  tradeDate: string
+  quantity: number | null
+  price: number | null
+  fees: number
+  amount: number | null
+  ratio: number | null
+  notes: string | null
+}
+
+export interface PortfolioPosition {
+  symbol: string
+  currency: string
+  // Zero once fully sold; realized P&L and dividends are kept
+  quantity: number
+  averageCost: number
+  costBasis: number
+  realizedPnl: number
+  dividends: number
+  fees: number
+  openedDate: string | null
+  lastTradeDate: string | null
+  // Latest stored close; null until the symbol has price data
+  price: number | null
+  priceDate: string | null
+  marketValue: number | null
+  unrealizedPnl: number | null
+  unrealizedPnlPct: number | null
+  // Share of the market value in the position's currency
+  weight: number
+}
+
+export interface PortfolioTotals {
+  marketValue: number
+  costBasis: number
+  unrealizedPnl: number
+  realizedPnl: number
+  dividends: number
+  totalPnl: number
+  // Open positions without a stored close
+  unpriced: number
+}
+
+export interface PortfolioDetail extends Portfolio {
+  positions: PortfolioPosition[]
+  // Keyed by currency; CAD and USD are not combined
+  totals: Record<string, PortfolioTotals>
+}
+
+export interface ValuationPoint {
+  date: string
+  marketValue: number
+  costBasis: number
+  unrealizedPnl: number
+  realizedPnl: number
+  dividends: number
+  totalPnl: number
+}
+
+export interface RiskLoss {
+  // One-day loss as a positive percentage
+  pct: number
+  // Same loss in the reporting currency; null without a portfolio value
+  amount: number | null
+}
+
+export interface ValueAtRisk {
+  level: number
+  historical: { var: RiskLoss; cvar: RiskLoss }
+  parametric: { var: RiskLoss; cvar: RiskLoss }
+}
+
+export interface RiskReport {
+  portfolioId?: number
+  currency: 'USD' | 'CAD'
+  value: number | null
+  // null when no benchmark prices were available
+  benchmark: string | null
+  // Current rate per converted currency; fxAdjusted when daily rates restated the history
+  fxRates: Record<string, { rate: number; fxAdjusted: boolean }>
+  startDate: string
+  endDate: string
+  days: number
+  totalReturnPct: number
+  cagrPct: number | null
+  volatilityPct: number
+  maxDrawdownPct: number
+  riskFreeRate: number
+  sharpe: number | null
+  sortino: number | null
+  valueAtRisk: ValueAtRisk[]
+  relative: {
+    days: number
+    alphaPct: number | null
+    beta: number | null
+    correlation: number | null
+    trackingErrorPct: number
+    informationRatio: number | null
+  } | null
+  holdings: Array<{
+    symbol: string
+    currency: string
+    weight: number
+    volatilityPct: number
+    beta: number | null
+    // Share of portfolio variance
+    riskContributionPct: number | null
+  }>
+  // Open positions without stored prices, left out of a portfolio's risk
+  excluded?: string[]
+}
+
+export interface RebalanceRequest {
+  // Fractions of the whole portfolio including cash; held symbols left out are sold
+  targets: Record<string, number>
+  cash?: Partial<Record<'USD' | 'CAD', number>>
+  currency?: 'USD' | 'CAD'
+  // Absolute weight drift tolerated before a symbol is traded
+  driftBand?: number
+  // Smallest trade, in the reporting currency
+  minTrade?: number
+  wholeShares?: boolean
+  commission?: number
+  commissionPerShare?: number
+  minimumCommission?: number
+  slippageBps?: number
+  fxFeeBps?: number
+}
+
+export interface TaxLotSale {
+  tradeDate: string
+  quantity: number
+  costPerShare: number
+  holdingDays: number
+  term: 'short' | 'long'
+  gain: number
+}
+
+export interface RebalanceTrade {
+  symbol: string
+  currency: string
+  action: 'BUY' | 'SELL'
+  quantity: number
+  price: number
+  // In the listing's currency
+  value: number
+  reportingValue: number
+  currentWeight: number
+  targetWeight: number
+  drift: number
+  resultingWeight: number
+  costs: { commission: number; slippage: number; total: number }
+  // Sales only, in the listing's currency
+  tax?: {
+    averageCost: number
+    realizedGain: number
+    fifo: { realizedGain: number; shortTermGain: number; longTermGain: number; lots: TaxLotSale[] }
+  }
+}
+
+export interface RebalancePlan {
+  portfolioId: number
+  currency: 'USD' | 'CAD'
+  asOf: string
+  rates: Record<string, number>
+  totalValue: number
+  trades: RebalanceTrade[]
+  held: Array<{ symbol: string; currentWeight: number; targetWeight: number; drift: number; reason: string }>
+  cash: { before: Record<string, number>; after: Record<string, number> }
+  fxConversions: Array<{ from: string; to: string; amount: number; received: number; fee: number }>
+  costs: { commissions: number; slippage: number; fx: number; total: number; pctOfValue: number }
+  // In the reporting currency; realizedGain on average cost as the ledger books it
+  tax: { realizedGain: number; fifoRealizedGain: number; shortTermGain: number; longTermGain: number }
+  turnoverPct: number
+  // Weights after the trades, including cash
+  weights: Record<string, number>
+  timestamp: string
+}
+
+// Rows and columns follow symbols; null where a series had no variance
+export type CorrelationMatrix = Array<Array<number | null>>
+
+export interface CorrelationResponse {
+  symbols: string[]
+  // Requested symbols without enough stored prices
+  excluded: string[]
+  startDate: string
+  endDate: string
+  observations: number
+  window: number
+  step: number
+  threshold: number
+  matrix: CorrelationMatrix
+  rolling: Array<{
+    startDate: string
+    endDate: string
+    averageCorrelation: number | null
+    matrix: CorrelationMatrix
+  }>
+  clustering: {
+    // Leaf order that groups correlated symbols together
+    order: string[]
+    merges: Array<{ label: string; left: string; right: string; distance: number; correlation: number; members: string[] }>
+    clusters: Array<{ symbols: string[]; averageCorrelation: number | null }>
+  }
+  diversification: {
+    effectiveBets: number
+    // Effective bets per symbol (0-1)
+    score: number
+    diversificationRatio: number | null
+    averageCorrelation: number | null
+    correlatedPairs: Array<{ symbols: [string, string]; correlation: number }>
+  }
+  timestamp: string
+}
+
+export interface OptimizationConstraints {
+  maxWeight?: number
+  longOnly?: boolean
+  // Annual volatility as a fraction, e.g. 0.15
+  targetVolatility?: number
+  riskFreeRate?: number
+  shrinkage?: 'none' | 'ledoit-wolf' | number
+  frontierPoints?: number
+  startDate?: string
+  endDate?: string
+}
+
+export interface OptimizedPortfolio {
+  weights: Record<string, number>
+  expectedReturnPct: number
+  volatilityPct: number
+  sharpe: number | null
+  // Share of portfolio variance from each symbol
+  riskContributions: Record<string, number>
+  // Unallocated weight held at the risk-free rate when the target volatility is below the minimum-variance portfolio
+  cash?: number
+}
+
+export interface OptimizationResponse {
+  symbols: string[]
+  excluded: string[]
+  startDate: string
+  endDate: string
+  observations: number
+  shrinkage: number
+  expectedReturnsPct: Record<string, number>
+  volatilitiesPct: Record<string, number>
+  minimumVariance: OptimizedPortfolio
+  maximumSharpe: OptimizedPortfolio
+  riskParity: OptimizedPortfolio
+  targetVolatility: OptimizedPortfolio | null
+  frontier: OptimizedPortfolio[]
+  timestamp: string
 }
 
 class ApiService {
-  private async request<T>(endpoint: string): Promise<T> {
+  private async request<T>(endpoint: string, init?: RequestInit): Promise<T> {
     try {
-      const response = await fetch(`${API_BASE_URL}${endpoint}`)
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, init)
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
+        const body = await response.json().catch(() => null)
+        throw new Error(body?.error || `HTTP error! status: ${response.status}`)
       }
       
-      return await response.json()
+      return response.status === 204 ? (undefined as T) : await response.json()
     } catch (error) {
       console.error(`API request failed for ${endpoint}:`, error)
       throw error
     }
   }
 
-  async analyzeStock(symbol: string): Promise<AnalysisResponse> {
-    return this.request<AnalysisResponse>(`/analyze/${symbol}`)
+  async analyzeStock(symbol: string, timeframes: Timeframe[] = [], account?: AccountSettings): Promise<AnalysisResponse> {
+    const params = new URLSearchParams()
+    if (timeframes.length > 0) params.set('timeframes', timeframes.join(','))
+    if (account) {
+      params.set('equity', String(account.equity))
+      params.set('accountCurrency', account.currency)
+      params.set('riskPct', String(account.riskPct))
+      params.set('atrMultiple', String(account.atrMultiple))
+      params.set('sizing', account.mode)
+      if (account.targetVolatility !== undefined) params.set('targetVolatility', String(account.targetVolatility))
+    }
+    const query = params.toString()
+    return this.request<AnalysisResponse>(`/analyze/${symbol}${query ? `?${query}` : ''}`)
   }
 
-  async getTopPicks(): Promise<TopPicksResponse> {
-    return this.request<TopPicksResponse>('/top-picks')
+  async getTopPicks(profile?: WeightProfile): Promise<TopPicksResponse> {
+    return this.request<TopPicksResponse>(profile ? `/top-picks?profile=${profile}` : '/top-picks')
   }
 
   async getHistoricalData(symbol: string, days: number = 100): Promise<AnalysisResponse['historical']> {
@@ -63,6 +662,76 @@ class ApiService {
   }> {
     return this.request('/market-overview')
   }
+
+  private send<T>(endpoint: string, method: string, body?: unknown): Promise<T> {
+    return this.request<T>(endpoint, {
+      method,
+      headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+  }
+
+  async getPortfolios(): Promise<Portfolio[]> {
+    const response = await this.request<{ portfolios: Portfolio[] }>('/portfolios')
+    return response.portfolios
+  }
+
+  async createPortfolio(name: string): Promise<Portfolio> {
+    return this.send<Portfolio>('/portfolios', 'POST', { name })
+  }
+
+  async renamePortfolio(id: number, name: string): Promise<Portfolio> {
+    return this.send<Portfolio>(`/portfolios/${id}`, 'PATCH', { name })
+  }
+
+  async deletePortfolio(id: number): Promise<void> {
+    return this.send<void>(`/portfolios/${id}`, 'DELETE')
+  }
+
+  async getPortfolio(id: number): Promise<PortfolioDetail> {
+    return this.request<PortfolioDetail>(`/portfolios/${id}`)
+  }
+
+  async getPortfolioTransactions(id: number): Promise<PortfolioTransaction[]> {
+    const response = await this.request<{ transactions: PortfolioTransaction[] }>(`/portfolios/${id}/transactions`)
+    return response.transactions
+  }
+
+  async addPortfolioTransaction(id: number, transaction: TransactionInput): Promise<PortfolioTransaction> {
+    return this.send<PortfolioTransaction>(`/portfolios/${id}/transactions`, 'POST', transaction)
+  }
+
+  async deletePortfolioTransaction(id: number, transactionId: number): Promise<void> {
+    return this.send<void>(`/portfolios/${id}/transactions/${transactionId}`, 'DELETE')
+  }
+
+  async getPortfolioRisk(id: number, currency: 'USD' | 'CAD' = 'USD'): Promise<RiskReport> {
+    return this.request<RiskReport>(`/portfolios/${id}/risk?currency=${currency}`)
+  }
+
+  async getRisk(holdings: Array<{ symbol: string; weight: number }>, currency: 'USD' | 'CAD' = 'USD'): Promise<RiskReport> {
+    return this.send<RiskReport>('/risk', 'POST', { holdings, currency })
+  }
+
+  async planRebalance(id: number, request: RebalanceRequest): Promise<RebalancePlan> {
+    return this.send<RebalancePlan>(`/portfolios/${id}/rebalance`, 'POST', request)
+  }
+
+  async getCorrelations(symbols: string[] = [], window: number = 60, threshold: number = 0.7): Promise<CorrelationResponse> {
+    const params = new URLSearchParams({ window: String(window), threshold: String(threshold) })
+    if (symbols.length > 0) params.set('symbols', symbols.join(','))
+    return this.request<CorrelationResponse>(`/correlations?${params}`)
+  }
+
+  async optimizePortfolio(symbols: string[], constraints: OptimizationConstraints = {}): Promise<OptimizationResponse> {
+    return this.send<OptimizationResponse>('/optimize', 'POST', { symbols, ...constraints })
+  }
+
+  async getPortfolioValuation(id: number, startDate?: string): Promise<Record<string, ValuationPoint[]>> {
+    const query = startDate ? `?startDate=${startDate}` : ''
+    const response = await this.request<{ history: Record<string, ValuationPoint[]> }>(`/portfolios/${id}/valuation${query}`)
+    return response.history
+  }
 }
 
 export const apiService = new ApiService()
\ No newline at end of file
@@ -1,24 +1,74 @@
 import { WATCHLIST } from '../../../lib/watchlist.js';
-import { analyzeSymbol, volumeMomentum, linearForecast, buyScore } from '../../../lib/analyze.js';
+import { analyzeSymbol, volumeMomentum, volumeConfirmation, divergenceBias, parseIndicatorList, fetchBenchmarkBars } from '../../../lib/analyze.js';
+import { classifyRegime } from '../../../lib/indicators/MarketRegime.js';
+import { ScoringEngine, DEFAULT_PROFILE } from '../../../lib/indicators/ScoringEngine.js';
+import { explainScore } from '../../../lib/indicators/Rationale.js';
+import { D1Database } from '../../../lib/database/D1Database.js';
+import { PredictionTracker } from '../../../lib/data/PredictionTracker.js';
+import { MODEL_NAME } from '../../../lib/ml/DirectionClassifier.js';
+import { tunedParameters } from '../../../lib/backtest/WalkForward.js';
 
 export default {
   async fetch(request, env, ctx) {
-    const cacheKey = 'top-picks-cache';
+    const searchParams = new URL(request.url).searchParams;
+    // ?tuned=1 applies the latest validated walk-forward parameters (see scripts/optimize.js)
+    const useTuned = ['1', 'true'].includes(searchParams.get('tuned'));
+    let indicators;
+    let scoring;
+    try {
+      indicators = parseIndicatorList(searchParams.get('indicators'));
+      scoring = new ScoringEngine({ profile: searchParams.get('profile') || DEFAULT_PROFILE });
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 });
+    }
+
+    const cacheKey = [
+      'top-picks-cache',
+      scoring.profile,
+      ...(indicators.length > 0 ? [indicators.join(',')] : []),
+      ...(useTuned ? ['tuned'] : [])
+    ].join(':');
     const cached = await env.TOP_PICKS_KV?.get(cacheKey, {type: 'json'});
     if (cached && Date.now() - cached.timestamp < 900000) {  // 15min
-      return Response.json(cached.top10);
+      return Response.json(cached);
+    }
+
+    // One benchmark fetch shared by every symbol's regime
+    const benchmarkBars = await fetchBenchmarkBars();
+    // Latest (or ML_MODEL_VERSION) direction model; scores fall back to the rule-based components without it
+    const db = env.DB ? new D1Database(env.DB) : null;
+    const model = db
+      ? await db.getModel(MODEL_NAME, env.ML_MODEL_VERSION ? parseInt(env.ML_MODEL_VERSION, 10) : undefined).catch(() => null)
+      : null;
+    const marketRegime = benchmarkBars?.length ? classifyRegime(benchmarkBars, benchmarkBars) : null;
+
+    // Untuned defaults apply for any mode without a validated run
+    let tuned = null;
+    if (useTuned && db) {
+      const [rsi, score] = await Promise.all(['rsi', 'score'].map(mode =>
+        db.getLatestOptimizationRun({ mode, validated: true }).catch(() => null)
+      ));
+      tuned = tunedParameters({ rsi, score }, scoring.profile);
+      scoring = new ScoringEngine({ profile: scoring.profile, weights: tuned.weights, thresholds: tuned.thresholds });
     }
 
     const analyses = await Promise.all(
       WATCHLIST.map(async (symbol) => {
         try {
-          const data = await analyzeSymbol(symbol);
+          // FORECAST is always computed for the pick's price forecast
+          const data = await analyzeSymbol(symbol, '1d', {
+            indicators: [...new Set([...indicators, 'FORECAST'])],
+            benchmarkBars,
+            model,
+            params: tuned?.params
+          });
           return {
             symbol,
             ...data,
             volumeMomentum: volumeMomentum(data.historical),
-            forecastGainPct: linearForecast(data.historical, data.currentPrice),
-            buyScore: buyScore(data)
+            volumeConfirmation: volumeConfirmation(data),
+            divergenceBias: divergenceBias(data),
+            composite: scoring.score(data)
           };
         } catch {
           return null;  // Skip errors
@@ -28,21 +78,46 @@ export default {
 
     const valid = analyses.filter(Boolean);
     const top10 = valid
-      .map(a => ({
-        symbol: a.symbol,
-        score: a.buyScore,
-        signal: a.buyScore > 60 ? 'BUY' : 'HOLD',
-        priceChart: a.historical.slice(-10).map(h => h.close),
-        forecastGainPct: a.forecastGainPct,
-        currentPrice: a.currentPrice,
-        rsi: a.rsi,
-        sma50: a.sma50
-      }))
-      .sort((a,b) => b.score - a.score)
+      .map(a => {
+        const closes = a.historical.map(h => h.close);
+        const previousClose = closes.length > 1 ? closes[closes.length - 2] : a.currentPrice;
+        return {
+          symbol: a.symbol,
+          compositeScore: a.composite.compositeScore,
+          confidence: a.composite.confidence,
+          signal: a.composite.signal,
+          contributions: a.composite.contributions,
+          reasons: explainScore(a, a.composite),
+          regime: a.regime.regime,
+          mlProbability: a.ml?.probabilityUp ?? null,
+          price: a.currentPrice,
+          change: parseFloat(((a.currentPrice / previousClose - 1) * 100).toFixed(2)),
+          priceChart: closes.slice(-10),
+          forecast: a.indicators.FORECAST?.ensemble || [],
+          volumeConfirmation: parseFloat(a.volumeConfirmation.toFixed(2)),
+          divergenceBias: parseFloat(a.divergenceBias.toFixed(2)),
+          divergences: a.indicators.DIVERGENCE || [],
+          currentPrice: a.currentPrice,
+          rsi: a.rsi,
+          sma50: a.sma50,
+          indicators: a.indicators
+        };
+      })
+      .sort((a,b) => b.compositeScore - a.compositeScore || b.confidence - a.confidence)
       .slice(0,10);
 
-    const responseData = { top10, timestamp: Date.now() };
+    const responseData = { top10, profile: scoring.profile, marketRegime, tuned: tuned?.runs ?? null, timestamp: Date.now() };
+
+    // Record every scored symbol's forecasts and signals for accuracy tracking
+    if (db) {
+      const tracker = new PredictionTracker(db);
+      const recording = Promise.all(valid.map(a =>
+        tracker.record(a.symbol, a, 'top-picks').catch(() => 0)
+      ));
+      ctx?.waitUntil ? ctx.waitUntil(recording) : await recording;
+    }
+
     await env.TOP_PICKS_KV?.put(cacheKey, JSON.stringify(responseData), { expirationTtl: 900 });
-    return Response.json(top10);
+    return Response.json(responseData);
   }
-};
\ No newline at end of file
+};
@@ -1,44 +1,54 @@
 import YahooFinance from 'yahoo-finance2';
 import AlphaVantage from 'alphavantage';
+import { indicatorRegistry } from './indicators/index.js';
+import { classifyRegime, BENCHMARK_SYMBOL } from './indicators/MarketRegime.js';
+import { predictDirection } from './ml/DirectionClassifier.js';
 
-function calculateRSI(closes, period = 14) {
-  if (closes.length < period + 1) {
-    return null;
-  }
+// Indicators every analysis includes; the signal and composite score depend on them
+export const CORE_INDICATORS = ['RSI', 'SMA'];
 
-  const changes = [];
-  for (let i = 1; i < closes.length; i++) {
-    changes.push(closes[i] - closes[i - 1]);
-  }
+// Indicators returned by default so the indicators panel has real values
+export const DEFAULT_INDICATORS = [
+  ...CORE_INDICATORS,
+  'MACD', 'BOLLINGER', 'STOCH',
+  'ATR', 'ADX', 'KELTNER',
+  'OBV', 'VWAP', 'ADL', 'CMF',
+  'ICHIMOKU',
+  'PIVOTS', 'SR_ZONES',
+  'CANDLES',
+  'DIVERGENCE'
+];
 
-  // Initial simple averages over first 'period' changes
-  let avgGain = 0;
-  let avgLoss = 0;
-  for (let i = 0; i < period; i++) {
-    const change = changes[i];
-    avgGain += Math.max(0, change);
-    avgLoss += Math.abs(Math.min(0, change));
-  }
-  avgGain /= period;
-  avgLoss /= period;
+// Timeframes supported by multi-timeframe analysis, fastest first
+export const TIMEFRAMES = ['1d', '1wk', '1mo'];
 
-  // Smooth (Wilder's EMA) for remaining changes
-  for (let i = period; i < changes.length; i++) {
-    const change = changes[i];
-    avgGain = (avgGain * (period - 1) + Math.max(0, change)) / period;
-    avgLoss = (avgLoss * (period - 1) + Math.abs(Math.min(0, change))) / period;
-  }
+// Average calendar days covered by one bar of each timeframe
+const CALENDAR_DAYS_PER_BAR = {
+  '1d': 365 / 252,
+  '1wk': 7,
+  '1mo': 365 / 12
+};
 
-  if (avgLoss === 0) {
-    return 100;
-  }
-  const rs = avgGain / avgLoss;
-  return 100 - (100 / (1 + rs));
-}
+// Calendar days of benchmark history, enough for its 200-day SMA and volatility baseline
+const BENCHMARK_DAYS = 400;
 
-export async function analyzeSymbol(symbol, interval = '1d') {
+export async function analyzeSymbol(symbol, interval = '1d', options = {}) {
   const yahooFinance = new YahooFinance();
   const isTSX = isTSXSymbol(symbol);
+  const indicators = parseIndicatorList(options.indicators);
+  const timeframes = parseTimeframes(options.timeframes);
+  const params = options.params || {};
+  // Callers scoring many symbols (top-picks) fetch the benchmark once and pass it in
+  let benchmarkBars = options.benchmarkBars;
+  // Trained direction model (see scripts/train-model.js); callers load it from the database
+  const model = options.model || null;
+  // ATR period for position sizing, measured on the full daily history
+  const atrPeriod = options.atrPeriod || null;
+
+  // Higher timeframes are resampled from daily bars
+  if (timeframes.length > 0 && interval !== '1d') {
+    throw new Error('Multi-timeframe analysis requires the 1d interval');
+  }
 
   // Fetch current quote
   const quote = await yahooFinance.quote(symbol);
@@ -51,10 +61,14 @@ export async function analyzeSymbol(symbol, interval = '1d') {
   const currency = quote.currency || 'USD';
   validateCurrency(currency, isTSX);
 
-  // Fetch historical data for last ~50 days
+  // Fetch enough history for the longest indicator lookback on the slowest timeframe
   const endDate = new Date();
   const startDate = new Date();
-  startDate.setDate(endDate.getDate() - 50);
+  startDate.setDate(endDate.getDate() - Math.max(
+    historyDays(indicators, interval, params),
+    ...timeframes.map(timeframe => historyDays(indicators, timeframe, params)),
+    atrPeriod ? historyDays(['ATR'], interval, { ATR: { period: atrPeriod } }) : 0
+  ));
 
   const historical = await yahooFinance.historical(symbol, {
     period1: Math.floor(startDate.getTime() / 1000),
@@ -66,44 +80,398 @@ export async function analyzeSymbol(symbol, interval = '1d') {
     throw new Error('Insufficient historical data');
   }
 
-  const closes = historical.map(h => parseFloat(h.close)).filter(c => !isNaN(c));
+  const bars = toBars(historical);
 
-  if (closes.length === 0) {
+  if (bars.length === 0) {
     throw new Error('No valid closing prices found');
   }
 
-  // Calculate 50-day SMA (or available data)
-  const smaPeriod = Math.min(50, closes.length);
-  const sma50 = closes.slice(-smaPeriod).reduce((sum, price) => sum + price, 0) / smaPeriod;
+  // Daily benchmark for the market regime; the regime falls back to the symbol alone without it
+  if (benchmarkBars === undefined) {
+    benchmarkBars = interval === '1d' ? await fetchBenchmarkBars(yahooFinance) : null;
+  }
 
-  // Calculate RSI using Wilder's method
-  const rsi = calculateRSI(closes);
-  if (rsi === null) {
-    throw new Error('Insufficient data for RSI calculation (need at least 15 days)');
+  const analysis = buildAnalysis(bars, { currentPrice, currency, indicators, params, benchmarkBars, model, atrPeriod });
+  if (timeframes.length === 0) {
+    return analysis;
+  }
+
+  return {
+    ...analysis,
+    ...analyzeTimeframes(bars, timeframes, { currentPrice, currency, indicators, params, benchmarkBars, model })
+  };
+}
+
+/**
+ * Daily benchmark bars for market regime classification and backtest comparison
+ * @param {YahooFinance} [yahooFinance] - Client to reuse
+ * @param {Object} [options] - symbol (default BENCHMARK_SYMBOL), startDate and endDate (default the regime's history)
+ * @returns {Promise<Array<Object>|null>} Ascending bars, or null when the fetch fails (callers log it)
+ */
+export async function fetchBenchmarkBars(yahooFinance = new YahooFinance(), { symbol = BENCHMARK_SYMBOL, startDate, endDate = new Date() } = {}) {
+  if (!startDate) {
+    startDate = new Date(endDate);
+    startDate.setDate(endDate.getDate() - BENCHMARK_DAYS);
+  }
+
+  try {
+    const historical = await yahooFinance.historical(symbol, {
+      period1: Math.floor(startDate.getTime() / 1000),
+      period2: Math.floor(endDate.getTime() / 1000),
+      interval: '1d'
+    });
+    return toBars(historical || []);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run buildAnalysis on each timeframe resampled from daily bars
+ * A timeframe without enough history reports its error instead of failing the others.
+ * @param {Array<Object>} dailyBars - Ascending daily OHLCV bars
+ * @param {Array<string>} timeframes - Timeframes from TIMEFRAMES
+ * @param {Object} options - buildAnalysis options (currentPrice, currency, indicators, params, benchmarkBars, model)
+ * @returns {Object} timeframes (analysis or {error} keyed by timeframe) and alignment
+ */
+export function analyzeTimeframes(dailyBars, timeframes, options) {
+  const results = {};
+  for (const timeframe of timeframes) {
+    try {
+      // The direction model is trained on daily bars only
+      results[timeframe] = buildAnalysis(resampleBars(dailyBars, timeframe), {
+        ...options,
+        model: timeframe === '1d' ? options.model : null,
+        benchmarkBars: options.benchmarkBars ? resampleBars(options.benchmarkBars, timeframe) : null
+      });
+    } catch (error) {
+      results[timeframe] = { error: error.message };
+    }
   }
 
-  // Determine signal
-  let signal;
-  if (rsi < 30) {
-    signal = 'buy';
-  } else if (rsi > 70) {
-    signal = 'sell';
-  } else {
-    signal = 'hold';
+  return {
+    timeframes: results,
+    alignment: timeframeAlignment(results)
+  };
+}
+
+/**
+ * Aggregate daily bars into weekly (Monday-based) or monthly bars
+ * Each bar is dated by its first trading day; the current period may be partial.
+ * @param {Array<Object>} bars - Ascending daily OHLCV bars
+ * @param {string} timeframe - '1d', '1wk' or '1mo'
+ * @returns {Array<Object>} Ascending OHLCV bars for the timeframe
+ */
+export function resampleBars(bars, timeframe) {
+  if (timeframe === '1d') return bars;
+
+  const periods = [];
+  for (const bar of bars) {
+    const key = periodKey(new Date(bar.date), timeframe);
+    const current = periods[periods.length - 1];
+    if (current && current.key === key) {
+      current.high = Math.max(current.high, bar.high);
+      current.low = Math.min(current.low, bar.low);
+      current.close = bar.close;
+      current.volume += bar.volume;
+    } else {
+      periods.push({ key, ...bar });
+    }
+  }
+  return periods.map(({ key, ...bar }) => bar);
+}
+
+function periodKey(date, timeframe) {
+  if (timeframe === '1mo') {
+    return `${date.getUTCFullYear()}-${date.getUTCMonth()}`;
+  }
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday))
+    .toISOString()
+    .split('T')[0];
+}
+
+/**
+ * Summarize how the timeframes agree
+ * Each timeframe gets a trend (price vs SMA, MACD histogram and Ichimoku bias
+ * voting) and an RSI momentum state; notes call out a faster timeframe at an
+ * extreme against a slower timeframe's trend, e.g. '1d oversold while 1wk trend is up'.
+ * @param {Object} analyses - buildAnalysis results (or {error}) keyed by timeframe
+ * @returns {Object} bias ('bullish', 'bearish' or 'mixed'), aligned, byTimeframe and notes
+ */
+export function timeframeAlignment(analyses) {
+  const byTimeframe = {};
+  for (const timeframe of TIMEFRAMES) {
+    const analysis = analyses[timeframe];
+    if (!analysis || analysis.error) continue;
+    const { oversold = 30, overbought = 70 } = analysis.parameters?.RSI || {};
+    byTimeframe[timeframe] = {
+      trend: trendDirection(analysis),
+      momentum: analysis.rsi < oversold ? 'oversold' : analysis.rsi > overbought ? 'overbought' : 'neutral',
+      signal: analysis.signal
+    };
   }
 
+  const ordered = Object.keys(byTimeframe);
+  const trends = ordered.map(timeframe => byTimeframe[timeframe].trend);
+  let bias = 'mixed';
+  if (trends.length > 0 && trends.every(t => t === 'up')) bias = 'bullish';
+  if (trends.length > 0 && trends.every(t => t === 'down')) bias = 'bearish';
+
+  const notes = [];
+  ordered.forEach((faster, i) => {
+    const { momentum } = byTimeframe[faster];
+    if (momentum === 'neutral') return;
+    for (const slower of ordered.slice(i + 1)) {
+      const { trend } = byTimeframe[slower];
+      if (trend !== 'sideways') notes.push(`${faster} ${momentum} while ${slower} trend is ${trend}`);
+    }
+  });
+
+  return {
+    bias,
+    aligned: bias !== 'mixed',
+    byTimeframe,
+    notes
+  };
+}
+
+function trendDirection({ currentPrice, sma50, indicators = {} }) {
+  let votes = Math.sign(currentPrice - sma50);
+  if (indicators.MACD) {
+    votes += Math.sign(indicators.MACD.histogram);
+  }
+  const ichimokuBias = indicators.ICHIMOKU?.state?.bias;
+  if (ichimokuBias === 'bullish') votes += 1;
+  if (ichimokuBias === 'bearish') votes -= 1;
+
+  if (votes > 0) return 'up';
+  if (votes < 0) return 'down';
+  return 'sideways';
+}
+
+/**
+ * Compute the analysis payload from a bar series
+ * Shared by analyzeSymbol and the server's database path so both stay in step.
+ * @param {Array<Object>} bars - Ascending OHLCV bars (see toBars)
+ * @param {Object} options - Analysis options
+ * @param {number} options.currentPrice - Latest price
+ * @param {string} options.currency - Quote currency
+ * @param {Array<string>} [options.indicators] - Indicator names to compute on top of DEFAULT_INDICATORS
+ * @param {Object} [options.params] - Parameter overrides keyed by indicator name (see parseIndicatorParams)
+ * @param {Array<Object>|null} [options.benchmarkBars] - Benchmark bars for the market regime
+ * @param {Object|null} [options.model] - Direction model for the `ml` probability
+ * @param {number|null} [options.atrPeriod] - Adds `sizingAtr`, the ATR over all bars for position sizing
+ * @returns {Object} Analysis result
+ */
+export function buildAnalysis(bars, { currentPrice, currency, indicators = [], params = {}, benchmarkBars = null, model = null, atrPeriod = null }) {
+  const names = [...new Set([...DEFAULT_INDICATORS, ...indicators, ...Object.keys(params)])];
+  const values = indicatorRegistry.computeAll(bars, names, params);
+
+  const rsi = values.RSI;
+  if (rsi === null) {
+    throw new Error(`Insufficient data for RSI calculation (need at least ${indicatorRegistry.lookback('RSI', params.RSI)} days)`);
+  }
+
+  // SMA (50 bars unless overridden), or the available history for young listings
+  const sma50 = values.SMA ?? bars.reduce((sum, b) => sum + b.close, 0) / bars.length;
+
+  // The regime sets the RSI thresholds unless the request overrides them
+  const regime = classifyRegime(bars, benchmarkBars);
+  const effectiveParams = { ...params, RSI: { ...regime.thresholds, ...params.RSI } };
+
+  // Resolved settings for the core indicators and anything overridden
+  const parameters = Object.fromEntries(
+    [...new Set([...CORE_INDICATORS, ...Object.keys(params)])]
+      .map(name => [name, indicatorRegistry.resolveParams(name, effectiveParams[name])])
+  );
+
   return {
     currentPrice: parseFloat(currentPrice.toFixed(2)),
     currency: currency,
     sma50: parseFloat(sma50.toFixed(2)),
     rsi: parseFloat(rsi.toFixed(2)),
-    signal,
-    historical: historical.slice(-50).map(h => ({
-      date: h.date,
-      close: parseFloat(h.close)
-    }))
+    signal: getSignal(rsi, { ichimoku: values.ICHIMOKU, ...parameters.RSI }),
+    regime,
+    ml: model ? predictDirection(model, bars) : null,
+    parameters,
+    indicators: roundValues(values),
+    // historical is trimmed below, so sizing needs its ATR from the full series
+    ...(atrPeriod ? { sizingAtr: { period: atrPeriod, value: indicatorRegistry.compute('ATR', bars, { period: atrPeriod }) } } : {}),
+    historical: bars.slice(-50)
   };
 }
+
+/**
+ * Flatten computed indicator values into records for DatabaseService.saveIndicators
+ * Object-valued indicators are stored one row per component, e.g. 'ADX.plusDI'.
+ * @param {Object} indicators - Values keyed by indicator name (analysis.indicators)
+ * @param {Date} date - Bar date the values belong to
+ * @param {Object} [params] - Parameter overrides the values were computed with
+ * @returns {Array<Object>} Indicator records with type, value, date and parameters
+ */
+export function indicatorRecords(indicators, date, params = {}) {
+  const records = [];
+  for (const [name, value] of Object.entries(indicators)) {
+    if (value === null || value === undefined) continue;
+
+    const parameters = indicatorRegistry.resolveParams(name, params[name]);
+    const components = typeof value === 'object' ? Object.entries(value) : [[null, value]];
+    for (const [key, componentValue] of components) {
+      if (typeof componentValue !== 'number') continue;
+      records.push({
+        type: key ? `${name}.${key}` : name,
+        value: componentValue,
+        date,
+        parameters
+      });
+    }
+  }
+  return records;
+}
+
+/**
+ * Map RSI to a buy/sell/hold signal
+ * When Ichimoku is available, an RSI signal against a confirmed cloud trend
+ * (buying under a bearish cloud, selling over a bullish one) is held instead.
+ * @param {number} rsi - Latest RSI
+ * @param {Object} [context] - Optional trend context and thresholds
+ * @param {Object} [context.ichimoku] - ICHIMOKU indicator value
+ * @param {number} [context.oversold=30] - RSI below this is a buy
+ * @param {number} [context.overbought=70] - RSI above this is a sell
+ * @returns {string} 'buy', 'sell' or 'hold'
+ */
+export function getSignal(rsi, { ichimoku, oversold = 30, overbought = 70 } = {}) {
+  const bias = ichimoku?.state?.bias;
+  if (rsi < oversold) return bias === 'bearish' ? 'hold' : 'buy';
+  if (rsi > overbought) return bias === 'bullish' ? 'hold' : 'sell';
+  return 'hold';
+}
+
+/**
+ * Parse and validate a list of indicator names
+ * @param {string|Array<string>} value - Comma-separated string or array of names
+ * @returns {Array<string>} Unique upper-case indicator names
+ */
+export function parseIndicatorList(value) {
+  if (!value) return [];
+
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => name.trim().toUpperCase())
+    .filter(Boolean);
+
+  names.forEach(name => indicatorRegistry.require(name));
+  return [...new Set(names)];
+}
+
+/**
+ * Parse indicator parameter overrides from query-style keys
+ * Keys take the form NAME.param, e.g. { 'RSI.period': '21', 'RSI.oversold': '25' };
+ * other keys are ignored. Values are validated against the registry ranges.
+ * @param {Object} query - Request query object
+ * @returns {Object} Numeric overrides keyed by upper-case indicator name
+ */
+export function parseIndicatorParams(query = {}) {
+  const overrides = {};
+  for (const [key, value] of Object.entries(query)) {
+    const match = /^([A-Za-z_]+)\.(\w+)$/.exec(key);
+    if (!match) continue;
+    const name = match[1].toUpperCase();
+    overrides[name] = { ...overrides[name], [match[2]]: value };
+  }
+
+  for (const [name, params] of Object.entries(overrides)) {
+    const resolved = indicatorRegistry.resolveParams(name, params);
+    overrides[name] = Object.fromEntries(Object.keys(params).map(key => [key, resolved[key]]));
+  }
+  return overrides;
+}
+
+/**
+ * Stable string form of parameter overrides, for cache keys
+ * @param {Object} params - Overrides from parseIndicatorParams
+ * @returns {string} e.g. 'RSI.oversold=25,RSI.period=21'; empty when there are none
+ */
+export function paramsKey(params = {}) {
+  return Object.entries(params)
+    .flatMap(([name, values]) => Object.entries(values).map(([key, value]) => `${name}.${key}=${value}`))
+    .sort()
+    .join(',');
+}
+
+/**
+ * Parse and validate a list of timeframes
+ * @param {string|Array<string>} value - Comma-separated string or array, e.g. '1d,1wk,1mo'
+ * @returns {Array<string>} Unique timeframes, fastest first
+ */
+export function parseTimeframes(value) {
+  if (!value) return [];
+
+  const timeframes = (Array.isArray(value) ? value : String(value).split(','))
+    .map(timeframe => timeframe.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const timeframe of timeframes) {
+    if (!TIMEFRAMES.includes(timeframe)) {
+      throw new Error(`Invalid timeframe: ${timeframe}. Use ${TIMEFRAMES.join(', ')}`);
+    }
+  }
+  return TIMEFRAMES.filter(timeframe => timeframes.includes(timeframe));
+}
+
+/**
+ * Calendar days of history needed to cover the indicators' lookback
+ * @param {Array<string>} indicators - Extra indicator names
+ * @param {string} [timeframe='1d'] - Bar timeframe the lookback is measured in
+ * @param {Object} [params] - Parameter overrides keyed by indicator name
+ * @returns {number} Days to fetch
+ */
+export function historyDays(indicators = [], timeframe = '1d', params = {}) {
+  const bars = indicatorRegistry.maxLookback([...DEFAULT_INDICATORS, ...indicators, ...Object.keys(params)], params);
+  if (timeframe !== '1d' && CALENDAR_DAYS_PER_BAR[timeframe]) {
+    // One extra bar since the current week/month is usually partial
+    return Math.ceil((bars + 1) * CALENDAR_DAYS_PER_BAR[timeframe]) + 10;
+  }
+  // ~252 trading days per 365 calendar days, plus slack for holidays
+  return Math.max(50, Math.ceil(bars * CALENDAR_DAYS_PER_BAR['1d']) + 10);
+}
+
+/**
+ * Normalize Yahoo or database rows into numeric OHLCV bars
+ * @param {Array<Object>} rows - Rows with date/open/high/low/close/volume
+ * @returns {Array<Object>} Bars with a valid close, in input order
+ */
+export function toBars(rows) {
+  return rows
+    .map(h => {
+      const close = parseFloat(h.close);
+      // Missing intraday prices collapse onto the close
+      const price = (value) => (isNaN(parseFloat(value)) ? close : parseFloat(value));
+      return {
+        date: h.date,
+        open: price(h.open),
+        high: price(h.high),
+        low: price(h.low),
+        close,
+        volume: parseFloat(h.volume) || 0
+      };
+    })
+    .filter(b => !isNaN(b.close));
+}
+
+function roundValues(value) {
+  if (typeof value === 'number') {
+    return parseFloat(value.toFixed(2));
+  }
+  if (Array.isArray(value)) {
+    return value.map(roundValues);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, roundValues(v)]));
+  }
+  return value;
+}
+
 export function volumeMomentum(historical) {
   const volumes = historical.slice(-11).map(h => h.volume).filter(v => v > 0);
   if (volumes.length < 11) return 0;
@@ -113,29 +481,56 @@ export function volumeMomentum(historical) {
   return Math.max(0, Math.min(100, (ratio - 0.5) * 200));
 }
 
-export function linearForecast(historical, currentPrice) {
-  const last10 = historical.slice(-10).map(h => h.close);
-  if (last10.length < 10) return 0;
-  const n = 10;
-  const x = Array.from({length: n}, (_, i) => i);
-  const y = last10;
-  const sumX = x.reduce((a,b)=>a+b,0);
-  const sumY = y.reduce((a,b)=>a+b,0);
-  const sumXY = x.reduce((sum, xi, i) => sum + xi * y[i], 0);
-  const sumX2 = x.reduce((sum, xi) => sum + xi*xi, 0);
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-  return Math.max(-50, Math.min(50, (slope * 7 / currentPrice) * 100));
+/**
+ * Volume confirmation score (0-100, 50 = neutral)
+ * Blends the short volume surge with money flow (CMF), OBV trend and the
+ * close's distance from anchored VWAP when those indicators are present.
+ * @param {Object} analysis - Result of analyzeSymbol/buildAnalysis
+ * @returns {number} Score from 0 to 100
+ */
+export function volumeConfirmation(analysis) {
+  const { indicators = {}, historical } = analysis;
+  const clamp = (value) => Math.max(0, Math.min(100, value));
+
+  const parts = [volumeMomentum(historical)];
+  if (typeof indicators.CMF === 'number') {
+    parts.push(clamp(50 + indicators.CMF * 100));
+  }
+  if (indicators.OBV) {
+    parts.push(clamp(50 + indicators.OBV.trend * 100));
+  }
+  if (indicators.VWAP) {
+    parts.push(clamp(50 + indicators.VWAP.distancePct * 10));
+  }
+  return parts.reduce((sum, p) => sum + p, 0) / parts.length;
 }
 
-export function buyScore(analysis) {
-  const { rsi, currentPrice, sma50, historical } = analysis;
-  const rsiOversold = Math.max(0, Math.min(100, (70 - rsi) / 40 * 100));
-  const priceVsSma = Math.max(0, (currentPrice / sma50 - 1) * 100);
-  const volMom = volumeMomentum(historical);
-  return Math.min(100, rsiOversold * 0.5 + priceVsSma * 0.3 + volMom * 0.2);
+// Divergences whose second swing is older than this no longer move the score
+const FRESH_DIVERGENCE_BARS = 10;
+
+/**
+ * Net divergence bias from -1 (bearish) to 1 (bullish)
+ * Regular divergences count twice as much as hidden ones; only divergences
+ * completed within the last FRESH_DIVERGENCE_BARS bars are considered.
+ * @param {Object} analysis - Result of analyzeSymbol/buildAnalysis
+ * @returns {number} Bias from -1 to 1 (0 when none or DIVERGENCE is missing)
+ */
+export function divergenceBias(analysis) {
+  const divergences = analysis.indicators?.DIVERGENCE;
+  if (!Array.isArray(divergences)) return 0;
+
+  const bias = divergences
+    .filter(d => d.barsAgo <= FRESH_DIVERGENCE_BARS)
+    .reduce((sum, d) => sum + (d.direction === 'bullish' ? 1 : -1) * (d.type === 'regular' ? 0.5 : 0.25), 0);
+  return Math.max(-1, Math.min(1, bias));
 }
 
-function isTSXSymbol(symbol) {
+/**
+ * Whether a symbol trades on the TSX (and so is priced in CAD)
+ * @param {string} symbol - Stock symbol
+ * @returns {boolean} True for '.TO' symbols
+ */
+export function isTSXSymbol(symbol) {
   return symbol.endsWith('.TO');
 }
 
@@ -0,0 +1,309 @@
+// lib/backtest/Backtest.js
+// Bar-by-bar replay of rule-based long-only strategies over daily OHLCV
+
+import { indicatorRegistry } from '../indicators/index.js';
+import { smaSeries, stdDev } from '../indicators/math.js';
+import { rsiSeries } from '../indicators/RSI.js';
+import { ScoringEngine, DEFAULT_PROFILE } from '../indicators/ScoringEngine.js';
+import { DEFAULT_INDICATORS, buildAnalysis } from '../analyze.js';
+
+export const OPERANDS = ['close', 'rsi', 'sma', 'score'];
+export const OPERATORS = ['<', '<=', '>', '>=', 'crossesAbove', 'crossesBelow'];
+
+// The getSignal rule: buy when RSI is oversold, sell when overbought
+export const DEFAULT_STRATEGY = {
+  entry: [{ left: 'rsi', operator: '<', right: 30 }],
+  exit: [{ left: 'rsi', operator: '>', right: 70 }],
+  rsiPeriod: 14,
+  smaPeriod: 50,
+  profile: DEFAULT_PROFILE
+};
+
+// Bars of history the composite score is computed over at each step; enough
+// for every default indicator plus the regime's 200-bar trend and volatility baseline
+const SCORE_WINDOW = 260;
+
+const TRADING_DAYS = 252;
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+/**
+ * Validate a strategy definition and fill in defaults
+ * Rules compare an operand ('close', 'rsi', 'sma' or 'score', the composite
+ * score 0-100) with a number or another operand. A position is opened when
+ * every entry rule holds and closed when any exit rule holds. `weights`
+ * overrides the profile's score component weights.
+ * @param {Object} [input] - entry, exit, rsiPeriod, smaPeriod, profile and weights
+ * @returns {Object} Strategy with defaults applied
+ */
+export function parseStrategy(input = {}) {
+  const strategy = { ...DEFAULT_STRATEGY, ...input };
+
+  const { period: rsiPeriod } = indicatorRegistry.resolveParams('RSI', { period: strategy.rsiPeriod });
+  const { period: smaPeriod } = indicatorRegistry.resolveParams('SMA', { period: strategy.smaPeriod });
+  // Throws for an unknown profile or score component
+  new ScoringEngine({ profile: strategy.profile, weights: strategy.weights });
+
+  for (const side of ['entry', 'exit']) {
+    if (!Array.isArray(strategy[side]) || strategy[side].length === 0) {
+      throw new Error(`Invalid strategy: ${side} must be a non-empty array of rules`);
+    }
+    strategy[side].forEach(validateRule);
+  }
+
+  return { ...strategy, rsiPeriod, smaPeriod };
+}
+
+function validateRule(rule) {
+  if (!OPERANDS.includes(rule?.left)) {
+    throw new Error(`Invalid strategy rule: left must be one of ${OPERANDS.join(', ')}`);
+  }
+  if (!OPERATORS.includes(rule.operator)) {
+    throw new Error(`Invalid strategy rule: operator must be one of ${OPERATORS.join(', ')}`);
+  }
+  if (!(typeof rule.right === 'number' && Number.isFinite(rule.right)) && !OPERANDS.includes(rule.right)) {
+    throw new Error(`Invalid strategy rule: right must be a number or one of ${OPERANDS.join(', ')}`);
+  }
+}
+
+/**
+ * Bars of history needed before the first tradable bar
+ * @param {Object} strategy - Strategy from parseStrategy
+ * @returns {number} Warm-up bar count
+ */
+export function warmupBars(strategy) {
+  return Math.max(
+    strategy.rsiPeriod + 1,
+    strategy.smaPeriod,
+    usesOperand(strategy, 'score') ? SCORE_WINDOW : 0
+  );
+}
+
+/**
+ * Backtest a strategy over daily bars
+ * Each bar's signal uses only bars up to its close; orders fill at the next
+ * bar's open, adjusted by slippage, less a flat commission per fill. Positions
+ * are long-only, all-in with whole shares; one still open at the end is
+ * closed at the last close.
+ * @param {Array<Object>} bars - Ascending daily OHLCV bars, including warm-up history
+ * @param {Object} strategy - Strategy from parseStrategy
+ * @param {Object} [options] - Simulation options
+ * @param {number} [options.initialCapital=10000] - Starting cash
+ * @param {number} [options.commission=1] - Flat commission per fill
+ * @param {number} [options.slippageBps=5] - Adverse fill slippage in basis points
+ * @param {Date} [options.startDate] - First bar that may trade; earlier bars only warm up indicators
+ * @param {Array<Object|null>} [options.analyses] - Per-bar analyses from analysisSeries, reused
+ *   across runs that only change score weights or thresholds
+ * @returns {Object} metrics, equityCurve and trades
+ */
+export function runBacktest(bars, strategy, { initialCapital = 10000, commission = 1, slippageBps = 5, startDate = null, analyses = null } = {}) {
+  const closes = bars.map(b => b.close);
+  const series = {
+    close: closes,
+    rsi: rsiSeries(closes, strategy.rsiPeriod),
+    sma: smaSeries(closes, strategy.smaPeriod),
+    score: usesOperand(strategy, 'score')
+      ? scoreSeries(analyses || analysisSeries(bars), new ScoringEngine({ profile: strategy.profile, weights: strategy.weights }))
+      : null
+  };
+
+  const startIndex = startDate ? bars.findIndex(b => new Date(b.date) >= startDate) : 0;
+  if (startIndex === -1 || bars.length - startIndex < 2) {
+    throw new Error('Insufficient historical data for the backtest period');
+  }
+
+  const slippage = slippageBps / 10000;
+  let cash = initialCapital;
+  let position = null;
+  let pending = null;
+  const trades = [];
+  const equityCurve = [];
+
+  for (let i = startIndex; i < bars.length; i++) {
+    const bar = bars[i];
+
+    // Fill yesterday's order at today's open
+    if (pending === 'buy') {
+      const price = bar.open * (1 + slippage);
+      const shares = Math.floor((cash - commission) / price);
+      if (shares > 0) {
+        cash -= shares * price + commission;
+        position = { entryDate: bar.date, entryPrice: price, shares, entryCost: shares * price + commission };
+      }
+    } else if (pending === 'sell' && position) {
+      trades.push(closeTrade(position, bar.date, bar.open * (1 - slippage), commission, 'signal'));
+      cash += position.shares * bar.open * (1 - slippage) - commission;
+      position = null;
+    }
+    pending = null;
+
+    equityCurve.push({ date: bar.date, equity: round(cash + (position ? position.shares * bar.close : 0)) });
+
+    // Decide at the close; the order fills at the next bar
+    if (i < bars.length - 1) {
+      if (!position && strategy.entry.every(rule => evaluate(rule, series, i))) {
+        pending = 'buy';
+      } else if (position && strategy.exit.some(rule => evaluate(rule, series, i))) {
+        pending = 'sell';
+      }
+    }
+  }
+
+  if (position) {
+    const last = bars[bars.length - 1];
+    trades.push(closeTrade(position, last.date, last.close, commission, 'end'));
+    cash += position.shares * last.close - commission;
+    equityCurve[equityCurve.length - 1].equity = round(cash);
+  }
+
+  return {
+    metrics: backtestMetrics(equityCurve, trades, initialCapital, bars.slice(startIndex)),
+    equityCurve,
+    trades
+  };
+}
+
+/**
+ * Performance summary for an equity curve and its trades
+ * @param {Array<Object>} equityCurve - { date, equity } per bar
+ * @param {Array<Object>} trades - Closed trades with pnl
+ * @param {number} initialCapital - Starting equity
+ * @param {Array<Object>} bars - Bars covered by the curve, for buy-and-hold
+ * @returns {Object} totalReturnPct, cagrPct, maxDrawdownPct, sharpe, winRate, trade counts and buyAndHoldReturnPct
+ */
+export function backtestMetrics(equityCurve, trades, initialCapital, bars) {
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+  const { totalReturnPct, cagrPct, maxDrawdownPct, sharpe } = curveStats(equityCurve, initialCapital);
+  const wins = trades.filter(t => t.pnl > 0).length;
+
+  return {
+    initialCapital,
+    finalEquity: round(finalEquity),
+    totalReturnPct,
+    cagrPct,
+    maxDrawdownPct,
+    sharpe,
+    winRate: trades.length > 0 ? round(wins / trades.length, 4) : null,
+    trades: trades.length,
+    exposurePct: round(exposure(trades, equityCurve) * 100),
+    buyAndHoldReturnPct: round((bars[bars.length - 1].close / bars[0].open - 1) * 100)
+  };
+}
+
+/**
+ * Return and risk statistics for any equity curve
+ * Sharpe and volatility are annualized from daily equity returns with a zero risk-free rate.
+ * @param {Array<Object>} curve - { date, equity } per bar
+ * @param {number} [base] - Starting equity; defaults to the first point
+ * @returns {Object} totalReturnPct, cagrPct, maxDrawdownPct, volatilityPct and sharpe
+ */
+export function curveStats(curve, base = curve[0].equity) {
+  const finalEquity = curve[curve.length - 1].equity;
+  const days = (new Date(curve[curve.length - 1].date) - new Date(curve[0].date)) / 86400000;
+  const years = days / 365.25;
+
+  const returns = curve.slice(1).map((point, i) => point.equity / curve[i].equity - 1);
+  const volatility = returns.length > 1 ? stdDev(returns) : 0;
+  const meanReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+
+  return {
+    totalReturnPct: round((finalEquity / base - 1) * 100),
+    cagrPct: years > 0 && finalEquity > 0 ? round((Math.pow(finalEquity / base, 1 / years) - 1) * 100) : null,
+    maxDrawdownPct: round(maxDrawdown(curve.map(p => p.equity)) * 100),
+    volatilityPct: round(volatility * Math.sqrt(TRADING_DAYS) * 100),
+    sharpe: volatility > 0 ? round(meanReturn / volatility * Math.sqrt(TRADING_DAYS)) : null
+  };
+}
+
+/**
+ * Largest peak-to-trough decline
+ * @param {Array<number>} values - Equity values in order
+ * @returns {number} Drawdown as a fraction of the peak (0-1)
+ */
+export function maxDrawdown(values) {
+  let peak = -Infinity;
+  let drawdown = 0;
+  for (const value of values) {
+    peak = Math.max(peak, value);
+    drawdown = Math.max(drawdown, (peak - value) / peak);
+  }
+  return drawdown;
+}
+
+function closeTrade(position, date, price, commission, exitReason) {
+  const proceeds = position.shares * price - commission;
+  return {
+    entryDate: position.entryDate,
+    entryPrice: round(position.entryPrice, 4),
+    exitDate: date,
+    exitPrice: round(price, 4),
+    shares: position.shares,
+    pnl: round(proceeds - position.entryCost),
+    returnPct: round((proceeds / position.entryCost - 1) * 100),
+    exitReason
+  };
+}
+
+// Share of bars with an open position
+function exposure(trades, equityCurve) {
+  const dates = equityCurve.map(p => String(p.date));
+  let held = 0;
+  for (const trade of trades) {
+    const from = dates.indexOf(String(trade.entryDate));
+    const to = dates.indexOf(String(trade.exitDate));
+    if (from !== -1 && to !== -1) held += Math.max(1, to - from);
+  }
+  return dates.length > 0 ? Math.min(1, held / dates.length) : 0;
+}
+
+function evaluate(rule, series, i) {
+  const value = (operand, index) => (typeof operand === 'number' ? operand : series[operand][index]);
+  const left = value(rule.left, i);
+  const right = value(rule.right, i);
+  if (left === null || right === null || left === undefined || right === undefined) return false;
+
+  switch (rule.operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case 'crossesAbove':
+    case 'crossesBelow': {
+      if (i === 0) return false;
+      const prevLeft = value(rule.left, i - 1);
+      const prevRight = value(rule.right, i - 1);
+      if (prevLeft === null || prevRight === null) return false;
+      return rule.operator === 'crossesAbove'
+        ? prevLeft <= prevRight && left > right
+        : prevLeft >= prevRight && left < right;
+    }
+    default:
+      return false;
+  }
+}
+
+function usesOperand(strategy, operand) {
+  return [...strategy.entry, ...strategy.exit].some(rule => rule.left === operand || rule.right === operand);
+}
+
+/**
+ * Analysis at each bar from the trailing SCORE_WINDOW bars only
+ * @param {Array<Object>} bars - Ascending daily OHLCV bars
+ * @returns {Array<Object|null>} buildAnalysis result per bar, null during warm-up
+ */
+export function analysisSeries(bars) {
+  const minBars = indicatorRegistry.maxLookback(DEFAULT_INDICATORS);
+
+  return bars.map((bar, i) => {
+    if (i + 1 < minBars) return null;
+    const window = bars.slice(Math.max(0, i + 1 - SCORE_WINDOW), i + 1);
+    try {
+      return buildAnalysis(window, { currentPrice: bar.close, currency: 'USD' });
+    } catch {
+      return null;
+    }
+  });
+}
+
+function scoreSeries(analyses, scoring) {
+  return analyses.map(analysis => (analysis ? scoring.score(analysis).compositeScore : null));
+}
@@ -0,0 +1,178 @@
+// lib/backtest/Report.js
+// Benchmark-relative comparison and Monte Carlo robustness for backtest results
+
+import { curveStats, maxDrawdown } from './Backtest.js';
+import { stdDev, seededRandom } from '../indicators/math.js';
+
+const TRADING_DAYS = 252;
+const PERCENTILES = [5, 25, 50, 75, 95];
+const HISTOGRAM_BINS = 20;
+
+const round = (value, digits = 2) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * Compare a backtest with buying and holding the symbol and a benchmark
+ * Both buy-and-hold curves start with the backtest's capital at the first
+ * traded bar's open. Alpha (annualized, Jensen's with a zero risk-free rate),
+ * beta, correlation, tracking error and information ratio come from daily
+ * strategy returns against the benchmark's on the dates both traded.
+ * @param {Object} result - runBacktest result
+ * @param {Array<Object>} bars - Bars the backtest traded (from its start date)
+ * @param {Object} [benchmark] - { symbol, bars } for the benchmark, ascending daily bars
+ * @returns {Object} buyAndHold and benchmark ({ ...curveStats, curve }) and relative statistics
+ */
+export function benchmarkComparison(result, bars, benchmark = null) {
+  const { initialCapital } = result.metrics;
+  const dates = result.equityCurve.map(p => dayOf(p.date));
+
+  const buyAndHoldCurve = buyAndHold(bars, dates, initialCapital);
+  const comparison = {
+    buyAndHold: { ...curveStats(buyAndHoldCurve, initialCapital), curve: buyAndHoldCurve },
+    benchmark: null,
+    relative: null
+  };
+
+  const benchmarkCurve = benchmark?.bars?.length ? buyAndHold(benchmark.bars, dates, initialCapital) : null;
+  if (!benchmarkCurve || benchmarkCurve.length < 3) return comparison;
+
+  comparison.benchmark = {
+    symbol: benchmark.symbol,
+    ...curveStats(benchmarkCurve, initialCapital),
+    curve: benchmarkCurve
+  };
+  comparison.relative = relativeStats(result.equityCurve, benchmarkCurve);
+  return comparison;
+}
+
+/**
+ * Alpha, beta and active-return statistics of one equity curve against another
+ * @param {Array<Object>} curve - Strategy { date, equity } points
+ * @param {Array<Object>} benchmarkCurve - Benchmark { date, equity } points
+ * @returns {Object|null} alphaPct, beta, correlation, trackingErrorPct and informationRatio, or null without overlap
+ */
+export function relativeStats(curve, benchmarkCurve) {
+  const benchmarkByDay = new Map(benchmarkCurve.map(p => [dayOf(p.date), p.equity]));
+  const strategy = [];
+  const market = [];
+  for (let i = 1; i < curve.length; i++) {
+    const prev = benchmarkByDay.get(dayOf(curve[i - 1].date));
+    const current = benchmarkByDay.get(dayOf(curve[i].date));
+    if (prev === undefined || current === undefined) continue;
+    strategy.push(curve[i].equity / curve[i - 1].equity - 1);
+    market.push(current / prev - 1);
+  }
+  if (strategy.length < 2) return null;
+
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const strategyMean = mean(strategy);
+  const marketMean = mean(market);
+  const covariance = mean(strategy.map((r, i) => (r - strategyMean) * (market[i] - marketMean)));
+  const marketDeviation = stdDev(market);
+  const strategyDeviation = stdDev(strategy);
+  const beta = marketDeviation > 0 ? covariance / marketDeviation ** 2 : null;
+
+  const active = strategy.map((r, i) => r - market[i]);
+  const trackingError = stdDev(active) * Math.sqrt(TRADING_DAYS);
+
+  return {
+    days: strategy.length,
+    alphaPct: beta === null ? null : round((strategyMean - beta * marketMean) * TRADING_DAYS * 100),
+    beta: round(beta, 4),
+    correlation: marketDeviation > 0 && strategyDeviation > 0
+      ? round(covariance / (marketDeviation * strategyDeviation), 4)
+      : null,
+    trackingErrorPct: round(trackingError * 100),
+    informationRatio: trackingError > 0 ? round(mean(active) * TRADING_DAYS / trackingError) : null
+  };
+}
+
+/**
+ * Monte Carlo resampling of a backtest's trade sequence
+ * Each simulation draws as many trades as the backtest made, with
+ * replacement, and compounds their returns from the starting capital, so the
+ * spread shows how much the result depends on the particular order and mix
+ * of trades. Drawdowns are measured trade to trade.
+ * @param {Array<Object>} trades - Closed trades with returnPct
+ * @param {number} initialCapital - Starting equity
+ * @param {Object} [options] - simulations (default 1000) and seed (default 1)
+ * @returns {Object|null} Return and drawdown percentiles and histograms, probabilityOfLoss; null without trades
+ */
+export function monteCarlo(trades, initialCapital, { simulations = 1000, seed = 1 } = {}) {
+  if (trades.length === 0 || simulations < 1) return null;
+
+  const random = seededRandom(seed);
+  const returns = trades.map(t => t.returnPct / 100);
+  const finalReturns = [];
+  const drawdowns = [];
+
+  for (let s = 0; s < simulations; s++) {
+    const equity = [initialCapital];
+    for (let t = 0; t < returns.length; t++) {
+      const r = returns[Math.floor(random() * returns.length)];
+      equity.push(equity[equity.length - 1] * (1 + r));
+    }
+    finalReturns.push((equity[equity.length - 1] / initialCapital - 1) * 100);
+    drawdowns.push(maxDrawdown(equity) * 100);
+  }
+
+  return {
+    method: 'bootstrap',
+    simulations,
+    tradesPerSimulation: returns.length,
+    returnPct: distribution(finalReturns),
+    maxDrawdownPct: distribution(drawdowns),
+    probabilityOfLoss: round(finalReturns.filter(r => r < 0).length / simulations, 4)
+  };
+}
+
+// Percentiles, mean and an equal-width histogram of simulated values
+function distribution(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = (p) => {
+    const index = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+  };
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / HISTOGRAM_BINS || 1;
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  for (const value of sorted) {
+    counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / width))]++;
+  }
+
+  return {
+    mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(percentile(p))])),
+    histogram: counts.map((count, i) => ({
+      from: round(min + i * width),
+      to: round(min + (i + 1) * width),
+      count
+    }))
+  };
+}
+
+// Equity from buying at the first bar's open, marked at each date's close
+// (carrying the last close over dates the symbol did not trade)
+function buyAndHold(bars, dates, initialCapital) {
+  const first = dates[0];
+  const last = dates[dates.length - 1];
+  const window = bars.filter(b => dayOf(b.date) >= first && dayOf(b.date) <= last);
+  if (window.length === 0) return [];
+
+  const shares = initialCapital / window[0].open;
+  const closeByDay = new Map(window.map(b => [dayOf(b.date), b.close]));
+  const curve = [];
+  let close = null;
+  for (const date of dates) {
+    close = closeByDay.get(date) ?? close;
+    if (close !== null) curve.push({ date, equity: round(shares * close) });
+  }
+  return curve;
+}
+
+function dayOf(date) {
+  return (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+}
@@ -0,0 +1,185 @@
+// lib/backtest/ReportHtml.js
+// Standalone HTML export of a backtest report: inline SVG charts, no external assets
+
+const WIDTH = 860;
+const HEIGHT = 260;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+const COLORS = { strategy: '#2563eb', buyAndHold: '#9ca3af', benchmark: '#f59e0b', drawdown: '#dc2626' };
+
+/**
+ * Render a backtest report as a self-contained HTML document
+ * @param {Object} report - POST /api/backtest response: symbol, strategy, metrics, equityCurve, trades,
+ *   comparison (benchmarkComparison) and monteCarlo
+ * @returns {string} HTML document
+ */
+export function renderReportHtml(report) {
+  const { symbol, metrics, equityCurve, trades, comparison, monteCarlo } = report;
+  const start = equityCurve[0]?.date;
+  const end = equityCurve[equityCurve.length - 1]?.date;
+
+  const equitySeries = [
+    { name: 'Strategy', color: COLORS.strategy, points: equityCurve },
+    comparison && { name: `Buy and hold ${symbol}`, color: COLORS.buyAndHold, points: comparison.buyAndHold.curve },
+    comparison?.benchmark && { name: `Buy and hold ${comparison.benchmark.symbol}`, color: COLORS.benchmark, points: comparison.benchmark.curve }
+  ].filter(Boolean);
+
+  let peak = -Infinity;
+  const drawdownCurve = equityCurve.map(({ date, equity }) => {
+    peak = Math.max(peak, equity);
+    return { date, equity: -(peak - equity) / peak * 100 };
+  });
+
+  const rows = [
+    ['Total return', pct(metrics.totalReturnPct), comparison && pct(comparison.buyAndHold.totalReturnPct), comparison?.benchmark && pct(comparison.benchmark.totalReturnPct)],
+    ['CAGR', pct(metrics.cagrPct), comparison && pct(comparison.buyAndHold.cagrPct), comparison?.benchmark && pct(comparison.benchmark.cagrPct)],
+    ['Max drawdown', pct(metrics.maxDrawdownPct), comparison && pct(comparison.buyAndHold.maxDrawdownPct), comparison?.benchmark && pct(comparison.benchmark.maxDrawdownPct)],
+    ['Sharpe', num(metrics.sharpe), comparison && num(comparison.buyAndHold.sharpe), comparison?.benchmark && num(comparison.benchmark.sharpe)]
+  ];
+  const relative = comparison?.relative;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Backtest report: ${escape(symbol)}</title>
+<style>
+  body { font-family: system-ui, -apple-system, sans-serif; color: #111827; margin: 32px auto; max-width: ${WIDTH + 40}px; padding: 0 20px; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 32px; font-size: 18px; }
+  .muted { color: #6b7280; font-size: 14px; }
+  table { border-collapse: collapse; width: 100%; font-size: 14px; }
+  th, td { text-align: right; padding: 6px 10px; border-bottom: 1px solid #e5e7eb; }
+  th:first-child, td:first-child { text-align: left; }
+  .legend span { display: inline-block; margin-right: 16px; font-size: 13px; }
+  .legend i { display: inline-block; width: 12px; height: 3px; margin-right: 6px; vertical-align: middle; }
+  svg text { font-size: 11px; fill: #6b7280; }
+</style>
+</head>
+<body>
+<h1>Backtest report: ${escape(symbol)}</h1>
+<p class="muted">${escape(start)} to ${escape(end)} · starting capital ${num(metrics.initialCapital)} · commission ${num(report.commission)} per fill · slippage ${num(report.slippageBps)} bps</p>
+<p class="muted">Strategy: ${escape(JSON.stringify(report.strategy))}</p>
+
+<h2>Performance</h2>
+<table>
+  <tr><th></th><th>Strategy</th>${comparison ? `<th>Buy and hold ${escape(symbol)}</th>` : ''}${comparison?.benchmark ? `<th>${escape(comparison.benchmark.symbol)}</th>` : ''}</tr>
+  ${rows.map(cells => `<tr>${cells.filter(c => c !== null && c !== undefined).map(c => `<td>${c}</td>`).join('')}</tr>`).join('\n  ')}
+</table>
+<p class="muted">Trades ${metrics.trades} · win rate ${metrics.winRate === null ? 'n/a' : pct(metrics.winRate * 100)} · exposure ${pct(metrics.exposurePct)}</p>
+${relative ? `<p class="muted">Against ${escape(comparison.benchmark.symbol)}: alpha ${pct(relative.alphaPct)} a year · beta ${num(relative.beta)} · correlation ${num(relative.correlation)} · tracking error ${pct(relative.trackingErrorPct)} · information ratio ${num(relative.informationRatio)}</p>` : ''}
+
+<h2>Equity</h2>
+${legend(equitySeries)}
+${lineChart(equitySeries, (v) => v.toFixed(0))}
+
+<h2>Drawdown</h2>
+${lineChart([{ name: 'Drawdown', color: COLORS.drawdown, points: drawdownCurve }], (v) => `${v.toFixed(0)}%`)}
+${monteCarlo ? monteCarloSection(monteCarlo) : ''}
+
+<h2>Trades</h2>
+<table>
+  <tr><th>Entry</th><th>Entry price</th><th>Exit</th><th>Exit price</th><th>Shares</th><th>P&amp;L</th><th>Return</th><th>Exit reason</th></tr>
+  ${trades.map(t => `<tr><td>${escape(dayOf(t.entryDate))}</td><td>${num(t.entryPrice)}</td><td>${escape(dayOf(t.exitDate))}</td><td>${num(t.exitPrice)}</td><td>${t.shares}</td><td>${num(t.pnl)}</td><td>${pct(t.returnPct)}</td><td>${escape(t.exitReason)}</td></tr>`).join('\n  ')}
+</table>
+<p class="muted">Generated ${escape(report.timestamp || new Date().toISOString())}</p>
+</body>
+</html>
+`;
+}
+
+function monteCarloSection(mc) {
+  const row = (label, d) => `<tr><td>${label}</td>${['p5', 'p25', 'p50', 'p75', 'p95', 'mean'].map(k => `<td>${pct(d[k])}</td>`).join('')}</tr>`;
+  return `
+<h2>Monte Carlo (${mc.simulations} resamples of ${mc.tradesPerSimulation} trades)</h2>
+<table>
+  <tr><th></th><th>5th</th><th>25th</th><th>Median</th><th>75th</th><th>95th</th><th>Mean</th></tr>
+  ${row('Total return', mc.returnPct)}
+  ${row('Max drawdown', mc.maxDrawdownPct)}
+</table>
+<p class="muted">Probability of a loss: ${pct(mc.probabilityOfLoss * 100)}</p>
+<h2>Simulated returns</h2>
+${histogramChart(mc.returnPct.histogram, COLORS.strategy)}
+<h2>Simulated max drawdowns</h2>
+${histogramChart(mc.maxDrawdownPct.histogram, COLORS.drawdown)}`;
+}
+
+function legend(series) {
+  return `<div class="legend">${series.map(s => `<span><i style="background:${s.color}"></i>${escape(s.name)}</span>`).join('')}</div>`;
+}
+
+// Lines over a shared date axis; points are { date, equity }
+function lineChart(series, formatY) {
+  const dates = [...new Set(series.flatMap(s => s.points.map(p => dayOf(p.date))))].sort();
+  const values = series.flatMap(s => s.points.map(p => p.equity));
+  if (dates.length < 2 || values.length === 0) return '';
+
+  const xIndex = new Map(dates.map((d, i) => [d, i]));
+  const [min, max] = paddedRange(values);
+  const x = (date) => PADDING.left + xIndex.get(dayOf(date)) / (dates.length - 1) * (WIDTH - PADDING.left - PADDING.right);
+  const y = (value) => HEIGHT - PADDING.bottom - (value - min) / (max - min) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  const paths = series.map(s => {
+    const d = s.points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.date).toFixed(1)},${y(p.equity).toFixed(1)}`).join('');
+    return `<path d="${d}" fill="none" stroke="${s.color}" stroke-width="1.5"/>`;
+  });
+  const xLabels = [0, Math.floor((dates.length - 1) / 2), dates.length - 1]
+    .map(i => `<text x="${x(dates[i]).toFixed(1)}" y="${HEIGHT - 8}" text-anchor="middle">${dates[i]}</text>`);
+
+  return svg([...axes(min, max, y, formatY), ...paths, ...xLabels]);
+}
+
+function histogramChart(bins, color) {
+  const maxCount = Math.max(...bins.map(b => b.count), 1);
+  const barWidth = (WIDTH - PADDING.left - PADDING.right) / bins.length;
+  const y = (count) => HEIGHT - PADDING.bottom - count / maxCount * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  const bars = bins.map((b, i) => {
+    const top = y(b.count);
+    return `<rect x="${(PADDING.left + i * barWidth + 1).toFixed(1)}" y="${top.toFixed(1)}" width="${(barWidth - 2).toFixed(1)}" height="${(HEIGHT - PADDING.bottom - top).toFixed(1)}" fill="${color}" opacity="0.8"><title>${b.from}% to ${b.to}%: ${b.count}</title></rect>`;
+  });
+  const xLabels = [0, Math.floor(bins.length / 2), bins.length - 1]
+    .map(i => `<text x="${(PADDING.left + (i + 0.5) * barWidth).toFixed(1)}" y="${HEIGHT - 8}" text-anchor="middle">${bins[i].from}%</text>`);
+
+  return svg([...axes(0, maxCount, y, (v) => v.toFixed(0)), ...bars, ...xLabels]);
+}
+
+// Horizontal grid lines with y labels
+function axes(min, max, y, formatY) {
+  return [0, 0.25, 0.5, 0.75, 1].map(f => {
+    const value = min + (max - min) * f;
+    const top = y(value).toFixed(1);
+    return `<line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${top}" y2="${top}" stroke="#e5e7eb"/>` +
+      `<text x="${PADDING.left - 8}" y="${top}" text-anchor="end" dominant-baseline="middle">${formatY(value)}</text>`;
+  });
+}
+
+function svg(elements) {
+  return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" width="100%" xmlns="http://www.w3.org/2000/svg">${elements.join('')}</svg>`;
+}
+
+function paddedRange(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const pad = (max - min) * 0.05 || Math.abs(max) * 0.05 || 1;
+  return [min - pad, max + pad];
+}
+
+function pct(value) {
+  return value === null || value === undefined ? 'n/a' : `${Number(value).toFixed(2)}%`;
+}
+
+function num(value) {
+  return value === null || value === undefined ? 'n/a' : Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function escape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function dayOf(date) {
+  return (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+}
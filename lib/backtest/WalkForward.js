@@ -0,0 +1,348 @@
+// lib/backtest/WalkForward.js
+// Walk-forward parameter optimization: tune on rolling in-sample windows, validate on the next window
+
+import { parseStrategy, runBacktest, analysisSeries } from './Backtest.js';
+import { DEFAULT_PROFILE, WEIGHT_PROFILES } from '../indicators/ScoringEngine.js';
+import { seededRandom } from '../indicators/math.js';
+
+/**
+ * Strategy templates the optimizer can tune
+ * rsi: buy below `oversold`, sell above `overbought` on an RSI of `rsiPeriod`.
+ * score: buy when the composite score reaches `buy`, sell at or below `sell`;
+ * `weights.NAME` parameters set ScoringEngine component weights.
+ */
+export const OPTIMIZATION_MODES = {
+  rsi: {
+    space: {
+      rsiPeriod: [7, 10, 14, 21],
+      oversold: [20, 25, 30, 35],
+      overbought: [65, 70, 75, 80]
+    },
+    search: 'grid',
+    strategy: ({ rsiPeriod, oversold, overbought }) => ({
+      entry: [{ left: 'rsi', operator: '<', right: oversold }],
+      exit: [{ left: 'rsi', operator: '>', right: overbought }],
+      rsiPeriod
+    })
+  },
+  score: {
+    space: {
+      buy: [55, 60, 65, 70],
+      sell: [35, 40, 45],
+      'weights.RSI': [0, 0.1, 0.2],
+      'weights.TREND': [0, 0.1, 0.2],
+      'weights.MACD': [0, 0.1, 0.2],
+      'weights.ICHIMOKU': [0, 0.1, 0.2],
+      'weights.DIVERGENCE': [0, 0.1, 0.2]
+    },
+    search: 'random',
+    strategy: (params, profile) => ({
+      entry: [{ left: 'score', operator: '>=', right: params.buy }],
+      exit: [{ left: 'score', operator: '<=', right: params.sell }],
+      profile,
+      weights: Object.fromEntries(
+        Object.entries(params)
+          .filter(([key]) => key.startsWith('weights.'))
+          .map(([key, value]) => [key.slice('weights.'.length), value])
+      )
+    })
+  }
+};
+
+export const OBJECTIVES = ['sharpe', 'cagrPct', 'totalReturnPct'];
+
+// Grids larger than this must use random search
+const MAX_GRID = 500;
+// A parameter is stable when its most common value wins at least this share of folds
+const STABLE_MODE_SHARE = 0.5;
+
+/**
+ * Walk-forward optimization over one or more symbols
+ * Folds step through the shared trading calendar: each searches the
+ * candidates on `inSampleBars` bars, keeps the best by the objective averaged
+ * over symbols, then backtests that choice on the next `outOfSampleBars` bars.
+ * Backtests only ever see bars up to the end of their window, so the
+ * out-of-sample result has no lookahead.
+ * @param {Object} barsBySymbol - Ascending daily OHLCV bars keyed by symbol
+ * @param {Object} [spec] - Optimization settings
+ * @param {string} [spec.mode='rsi'] - Key of OPTIMIZATION_MODES
+ * @param {Object} [spec.space] - Parameter values (arrays) or ranges ({ min, max, step }) by name
+ * @param {string} [spec.search] - 'grid' or 'random' (defaults per mode)
+ * @param {number} [spec.samples=60] - Random search candidates
+ * @param {number} [spec.seed=1] - Random search seed, for reproducible runs
+ * @param {number} [spec.inSampleBars=504] - In-sample window length
+ * @param {number} [spec.outOfSampleBars=126] - Out-of-sample window length and fold step
+ * @param {string} [spec.objective='sharpe'] - Metric from OBJECTIVES to maximize
+ * @param {string} [spec.profile] - Score profile for the score mode
+ * @param {Object} [spec.costs] - initialCapital, commission and slippageBps for every backtest
+ * @returns {Object} settings, folds, stability, outOfSample summary, recommended params and validated flag
+ */
+export function walkForwardOptimize(barsBySymbol, spec = {}) {
+  const mode = OPTIMIZATION_MODES[spec.mode || 'rsi'];
+  if (!mode) {
+    throw new Error(`Unknown optimization mode: ${spec.mode}. Use ${Object.keys(OPTIMIZATION_MODES).join(', ')}`);
+  }
+  const objective = spec.objective || 'sharpe';
+  if (!OBJECTIVES.includes(objective)) {
+    throw new Error(`Unknown objective: ${objective}. Use ${OBJECTIVES.join(', ')}`);
+  }
+
+  const settings = {
+    mode: spec.mode || 'rsi',
+    search: spec.search || mode.search,
+    samples: spec.samples || 60,
+    seed: spec.seed || 1,
+    inSampleBars: spec.inSampleBars || 504,
+    outOfSampleBars: spec.outOfSampleBars || 126,
+    objective,
+    profile: spec.profile || DEFAULT_PROFILE,
+    space: { ...mode.space, ...spec.space }
+  };
+  const costs = spec.costs || {};
+
+  const candidates = searchCandidates(settings.space, settings.search, settings.samples, settings.seed);
+  const strategies = candidates.map(params => parseStrategy(mode.strategy(params, settings.profile)));
+  const usesScore = settings.mode === 'score';
+
+  const symbols = Object.keys(barsBySymbol);
+  const calendar = [...new Set(symbols.flatMap(s => barsBySymbol[s].map(b => dayOf(b.date))))].sort();
+  const analysesBySymbol = usesScore
+    ? Object.fromEntries(symbols.map(s => [s, analysisSeries(barsBySymbol[s])]))
+    : {};
+
+  // Average objective over symbols for one strategy and calendar window
+  const evaluate = (strategy, fromDay, toDay) => {
+    const runs = [];
+    for (const symbol of symbols) {
+      const bars = barsBySymbol[symbol];
+      const end = bars.findIndex(b => dayOf(b.date) > toDay);
+      const slice = end === -1 ? bars : bars.slice(0, end);
+      if (slice.length === 0 || dayOf(slice[slice.length - 1].date) < fromDay) continue;
+      try {
+        const { metrics } = runBacktest(slice, strategy, {
+          ...costs,
+          startDate: new Date(fromDay),
+          analyses: usesScore ? analysesBySymbol[symbol].slice(0, slice.length) : null
+        });
+        runs.push(metrics);
+      } catch {
+        // Symbols without bars in the window do not count
+      }
+    }
+    if (runs.length === 0) return null;
+    const mean = (key) => {
+      const values = runs.map(m => m[key]).filter(v => v !== null);
+      return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    };
+    return {
+      objective: mean(objective),
+      totalReturnPct: mean('totalReturnPct'),
+      sharpe: mean('sharpe'),
+      maxDrawdownPct: mean('maxDrawdownPct'),
+      trades: runs.reduce((sum, m) => sum + m.trades, 0)
+    };
+  };
+
+  const folds = [];
+  for (let start = 0; start + settings.inSampleBars + settings.outOfSampleBars <= calendar.length; start += settings.outOfSampleBars) {
+    const inSample = [calendar[start], calendar[start + settings.inSampleBars - 1]];
+    const outOfSample = [
+      calendar[start + settings.inSampleBars],
+      calendar[start + settings.inSampleBars + settings.outOfSampleBars - 1]
+    ];
+
+    // Candidates that never trade in-sample say nothing about the parameters
+    let best = null;
+    strategies.forEach((strategy, index) => {
+      const result = evaluate(strategy, inSample[0], inSample[1]);
+      if (!result || result.trades === 0 || result.objective === null) return;
+      if (!best || result.objective > best.result.objective) best = { index, result };
+    });
+    if (!best) continue;
+
+    const oos = evaluate(strategies[best.index], outOfSample[0], outOfSample[1]);
+    folds.push({
+      inSample: { start: inSample[0], end: inSample[1], ...roundAll(best.result) },
+      outOfSample: oos ? { start: outOfSample[0], end: outOfSample[1], ...roundAll(oos) } : null,
+      params: candidates[best.index]
+    });
+  }
+
+  if (folds.length === 0) {
+    throw new Error(`Insufficient historical data: walk-forward needs at least ${settings.inSampleBars + settings.outOfSampleBars} bars with trades`);
+  }
+
+  const stability = parameterStability(folds.map(f => f.params));
+  const outOfSample = outOfSampleSummary(folds);
+  const recommended = recommendParams(folds);
+
+  return {
+    settings: { ...settings, candidates: candidates.length, symbols },
+    folds,
+    stability,
+    outOfSample,
+    recommended,
+    // Stable choices that still made money out of sample
+    validated: stability.stable && outOfSample.meanReturnPct !== null && outOfSample.meanReturnPct > 0
+  };
+}
+
+/**
+ * Analysis parameters and ScoringEngine options from saved optimization runs
+ * An rsi run sets the RSI period and oversold/overbought thresholds. A score
+ * run sets component weights and moves the BUY threshold to the tuned entry
+ * score (STRONG_BUY keeps its distance from BUY); it only applies to the
+ * profile it was tuned on. The tuned exit score has no scoring counterpart,
+ * since SELL thresholds mirror BUY.
+ * @param {Object} runs - Latest runs by mode ({ rsi, score }), either may be null
+ * @param {string} [profile] - Profile the scores will use
+ * @returns {Object} params (for analyzeSymbol), weights and thresholds (for ScoringEngine), and the applied run ids
+ */
+export function tunedParameters({ rsi = null, score = null } = {}, profile = DEFAULT_PROFILE) {
+  const tuned = { params: {}, weights: {}, thresholds: {}, runs: { rsi: null, score: null } };
+
+  if (rsi) {
+    const { rsiPeriod, oversold, overbought } = rsi.params;
+    tuned.params.RSI = { period: rsiPeriod, oversold, overbought };
+    tuned.runs.rsi = rsi.id;
+  }
+
+  if (score && (score.report?.settings?.profile || DEFAULT_PROFILE) === profile) {
+    const base = WEIGHT_PROFILES[profile].thresholds;
+    for (const [key, value] of Object.entries(score.params)) {
+      if (key.startsWith('weights.')) tuned.weights[key.slice('weights.'.length)] = value;
+    }
+    tuned.thresholds = { buy: score.params.buy, strongBuy: score.params.buy + (base.strongBuy - base.buy) };
+    tuned.runs.score = score.id;
+  }
+
+  return tuned;
+}
+
+/**
+ * Parameter candidates for a search space
+ * @param {Object} space - Arrays of values or { min, max, step } ranges by parameter name
+ * @param {string} search - 'grid' (every combination) or 'random'
+ * @param {number} samples - Random candidates to draw
+ * @param {number} seed - Random seed
+ * @returns {Array<Object>} Parameter sets
+ */
+export function searchCandidates(space, search, samples, seed) {
+  const entries = Object.entries(space).map(([name, values]) => [name, expandValues(name, values)]);
+
+  if (search === 'grid') {
+    const size = entries.reduce((product, [, values]) => product * values.length, 1);
+    if (size > MAX_GRID) {
+      throw new Error(`Grid has ${size} candidates (max ${MAX_GRID}); narrow the space or use random search`);
+    }
+    return entries.reduce(
+      (sets, [name, values]) => sets.flatMap(set => values.map(value => ({ ...set, [name]: value }))),
+      [{}]
+    );
+  }
+  if (search !== 'random') {
+    throw new Error(`Unknown search: ${search}. Use grid or random`);
+  }
+
+  const random = seededRandom(seed);
+  const seen = new Set();
+  const sets = [];
+  // Duplicates are skipped, so small spaces simply yield fewer candidates
+  for (let attempt = 0; attempt < samples * 10 && sets.length < samples; attempt++) {
+    const set = Object.fromEntries(entries.map(([name, values]) => [name, values[Math.floor(random() * values.length)]]));
+    const key = JSON.stringify(set);
+    if (!seen.has(key)) {
+      seen.add(key);
+      sets.push(set);
+    }
+  }
+  return sets;
+}
+
+/**
+ * How consistently each parameter was chosen across folds
+ * @param {Array<Object>} chosen - Parameter set picked in each fold
+ * @returns {Object} stable flag and, per parameter, values, mode, modeShare, mean and cv
+ */
+export function parameterStability(chosen) {
+  const parameters = {};
+  for (const name of Object.keys(chosen[0] || {})) {
+    const values = chosen.map(p => p[name]);
+    const counts = new Map();
+    for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+    const [mode, modeCount] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+
+    parameters[name] = {
+      values,
+      mode,
+      modeShare: round(modeCount / values.length),
+      mean: round(mean),
+      // Coefficient of variation; null when the mean is zero
+      cv: mean !== 0 ? round(sd / Math.abs(mean)) : null
+    };
+  }
+
+  return {
+    stable: Object.values(parameters).every(p => p.modeShare >= STABLE_MODE_SHARE),
+    parameters
+  };
+}
+
+function outOfSampleSummary(folds) {
+  const oos = folds.map(f => f.outOfSample).filter(Boolean);
+  const mean = (values) => (values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+  const inSampleObjective = mean(folds.map(f => f.inSample.objective).filter(v => v !== null));
+  const outOfSampleObjective = mean(oos.map(f => f.objective).filter(v => v !== null));
+
+  return {
+    folds: oos.length,
+    meanReturnPct: mean(oos.map(f => f.totalReturnPct).filter(v => v !== null)),
+    compoundedReturnPct: oos.length > 0
+      ? round((oos.reduce((growth, f) => growth * (1 + (f.totalReturnPct || 0) / 100), 1) - 1) * 100)
+      : null,
+    meanSharpe: mean(oos.map(f => f.sharpe).filter(v => v !== null)),
+    inSampleObjective,
+    outOfSampleObjective,
+    // Out-of-sample objective as a share of in-sample; well below 1 suggests overfitting
+    efficiency: inSampleObjective && outOfSampleObjective !== null ? round(outOfSampleObjective / inSampleObjective) : null
+  };
+}
+
+// The parameter set chosen in the most folds, the latest fold breaking ties
+function recommendParams(folds) {
+  const counts = new Map();
+  folds.forEach((fold, index) => {
+    const key = JSON.stringify(fold.params);
+    const entry = counts.get(key) || { params: fold.params, count: 0, last: 0 };
+    counts.set(key, { ...entry, count: entry.count + 1, last: index });
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || b.last - a.last)[0].params;
+}
+
+function expandValues(name, values) {
+  if (Array.isArray(values) && values.length > 0 && values.every(v => typeof v === 'number' && Number.isFinite(v))) {
+    return values;
+  }
+  const { min, max, step } = values || {};
+  if ([min, max, step].every(v => typeof v === 'number' && Number.isFinite(v)) && step > 0 && max >= min) {
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    return Array.from({ length: count }, (_, i) => round(min + i * step, 6));
+  }
+  throw new Error(`Invalid search space for ${name}: expected an array of numbers or { min, max, step }`);
+}
+
+function roundAll(values) {
+  return Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, typeof value === 'number' ? round(value) : value])
+  );
+}
+
+function round(value, digits = 4) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function dayOf(date) {
+  return (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+}
@@ -0,0 +1,221 @@
+// lib/data/PredictionTracker.js
+// Records forecasts and signals, resolves them against stored closes and scores them
+
+import winston from 'winston';
+import { FORECAST_HORIZONS } from '../indicators/Forecast.js';
+
+const BULLISH_SIGNALS = ['BUY', 'STRONG_BUY'];
+const BEARISH_SIGNALS = ['SELL', 'STRONG_SELL'];
+
+const round = (value, digits = 4) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+export class PredictionTracker {
+  /**
+   * @param {Object} databaseService - DatabaseService or a DatabaseInterface implementation
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'prediction-tracker' }
+    });
+  }
+
+  /**
+   * Build prediction records from an analysis
+   * Every FORECAST model (and the ensemble) contributes one row per horizon;
+   * the RSI signal ('signal') and composite signal ('composite') are recorded
+   * for each of the forecast horizons, and the direction model ('ml') as a
+   * BUY/SELL call at its training horizon. Predictions are made from the close of
+   * the last historical bar, which is what they are resolved against.
+   * @param {Object} analysis - Result of analyzeSymbol/buildAnalysis, optionally with composite
+   * @param {string} source - 'analyze' or 'top-picks'
+   * @returns {Array<Object>} Records for savePredictions
+   */
+  static predictionsFromAnalysis(analysis, source) {
+    const lastBar = analysis.historical?.[analysis.historical.length - 1];
+    if (!lastBar) return [];
+
+    const base = {
+      source,
+      predictionDate: new Date(lastBar.date),
+      basePrice: lastBar.close
+    };
+    const records = [];
+
+    const forecast = analysis.indicators?.FORECAST;
+    if (forecast) {
+      const sets = [
+        ...Object.entries(forecast.models).map(([model, fit]) => [model, fit.forecasts]),
+        ['ensemble', forecast.ensemble]
+      ];
+      for (const [model, forecasts] of sets) {
+        for (const f of forecasts) {
+          records.push({
+            ...base,
+            model,
+            horizon: f.horizon,
+            predictedPrice: f.price,
+            lowerBound: f.lower,
+            upperBound: f.upper
+          });
+        }
+      }
+    }
+
+    const signals = { signal: analysis.signal, composite: analysis.composite?.signal };
+    for (const [model, signal] of Object.entries(signals)) {
+      if (!signal) continue;
+      for (const horizon of FORECAST_HORIZONS) {
+        records.push({ ...base, model, horizon, signal: signal.toUpperCase() });
+      }
+    }
+
+    // The direction model's call at its own horizon
+    if (analysis.ml && analysis.ml.probabilityUp !== 0.5) {
+      records.push({
+        ...base,
+        model: 'ml',
+        horizon: analysis.ml.horizon,
+        signal: analysis.ml.probabilityUp > 0.5 ? 'BUY' : 'SELL'
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Persist the forecasts and signals in an analysis
+   * @param {string} symbol - Stock symbol
+   * @param {Object} analysis - Result of analyzeSymbol/buildAnalysis, optionally with composite
+   * @param {string} source - 'analyze' or 'top-picks'
+   * @returns {Promise<number>} Number of predictions submitted
+   */
+  async record(symbol, analysis, source) {
+    const records = PredictionTracker.predictionsFromAnalysis(analysis, source);
+    if (records.length === 0) return 0;
+
+    if (!(await this.db.getStock(symbol))) {
+      await this.db.createStock({
+        symbol,
+        name: `${symbol} Stock`,
+        currency: analysis.currency || 'USD'
+      });
+    }
+
+    await this.db.savePredictions(symbol, records);
+    this.logger.debug(`Recorded ${records.length} predictions for ${symbol}`, { source });
+    return records.length;
+  }
+
+  /**
+   * Resolve predictions whose horizon has passed
+   * The outcome is the close `horizon` trading bars after the prediction date,
+   * as stored in ohlcv_data; predictions without that bar yet stay pending.
+   * @param {Date} [asOf] - Latest bar date to consider
+   * @returns {Promise<Object>} resolved and pending counts
+   */
+  async resolve(asOf = new Date()) {
+    const pending = await this.db.getPredictions({ resolved: false });
+    const bySymbol = new Map();
+    for (const prediction of pending) {
+      if (!bySymbol.has(prediction.symbol)) bySymbol.set(prediction.symbol, []);
+      bySymbol.get(prediction.symbol).push(prediction);
+    }
+
+    const updates = [];
+    for (const [symbol, predictions] of bySymbol) {
+      // Pending rows come back oldest first
+      const bars = await this.db.getOHLCV(symbol, new Date(predictions[0].prediction_date), asOf);
+      const dates = bars.map(b => String(b.date).split('T')[0]);
+
+      for (const prediction of predictions) {
+        const start = dates.findIndex(d => d > prediction.prediction_date);
+        if (start === -1) continue;
+        const outcome = bars[start + prediction.horizon - 1];
+        if (!outcome) continue;
+        updates.push({
+          id: prediction.id,
+          actualDate: new Date(outcome.date),
+          actualPrice: outcome.close
+        });
+      }
+    }
+
+    await this.db.resolvePredictions(updates);
+    this.logger.info(`Resolved ${updates.length} of ${pending.length} pending predictions`);
+    return { resolved: updates.length, pending: pending.length - updates.length };
+  }
+
+  /**
+   * Accuracy metrics over resolved predictions
+   * @param {Object} [filters] - getPredictions filters (symbols, model, source, horizon, startDate)
+   * @returns {Promise<Object>} count, byModel (with byHorizon) and bySymbol (by model)
+   */
+  async metrics(filters = {}) {
+    const rows = await this.db.getPredictions({ ...filters, resolved: true });
+
+    const group = (items, key) => {
+      const groups = {};
+      for (const item of items) {
+        (groups[item[key]] ||= []).push(item);
+      }
+      return groups;
+    };
+
+    const byModel = {};
+    for (const [model, items] of Object.entries(group(rows, 'model'))) {
+      byModel[model] = {
+        ...summarize(items),
+        byHorizon: Object.fromEntries(
+          Object.entries(group(items, 'horizon')).map(([horizon, h]) => [horizon, summarize(h)])
+        )
+      };
+    }
+
+    const bySymbol = {};
+    for (const [symbol, items] of Object.entries(group(rows, 'symbol'))) {
+      bySymbol[symbol] = Object.fromEntries(
+        Object.entries(group(items, 'model')).map(([model, m]) => [model, summarize(m)])
+      );
+    }
+
+    return { count: rows.length, byModel, bySymbol };
+  }
+}
+
+/**
+ * Score a set of resolved predictions
+ * Forecasts: hitRate is the share of outcomes inside the prediction interval,
+ * mae/maePct the mean absolute error in price and percent of the base price,
+ * directionalAccuracy the share that called the direction of the move.
+ * Signals: hitRate and directionalAccuracy are the share of BUY/SELL calls
+ * followed by a move the called way (HOLD is not scored); mae is null.
+ * @param {Array<Object>} rows - Resolved prediction rows
+ * @returns {Object} count, hitRate, mae, maePct and directionalAccuracy (null when not applicable)
+ */
+export function summarize(rows) {
+  const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+  const move = (row) => Math.sign(row.actual_price - row.base_price);
+
+  const forecasts = rows.filter(r => r.predicted_price !== null && r.predicted_price !== undefined);
+  const calls = rows.filter(r => BULLISH_SIGNALS.includes(r.signal) || BEARISH_SIGNALS.includes(r.signal));
+
+  const forecastHits = forecasts
+    .filter(r => r.lower_bound !== null && r.upper_bound !== null)
+    .map(r => (r.actual_price >= r.lower_bound && r.actual_price <= r.upper_bound ? 1 : 0));
+  const callHits = calls.map(r => (move(r) === (BULLISH_SIGNALS.includes(r.signal) ? 1 : -1) ? 1 : 0));
+  const directionHits = forecasts.map(r => (Math.sign(r.predicted_price - r.base_price) === move(r) ? 1 : 0));
+
+  return {
+    count: rows.length,
+    hitRate: round(mean([...forecastHits, ...callHits])),
+    mae: round(mean(forecasts.map(r => Math.abs(r.predicted_price - r.actual_price)))),
+    maePct: round(mean(forecasts.map(r => Math.abs(r.predicted_price - r.actual_price) / r.base_price * 100))),
+    directionalAccuracy: round(mean([...directionHits, ...callHits]))
+  };
+}
@@ -101,6 +101,209 @@ export class DatabaseInterface {
     throw new Error('saveIndicators method must be implemented');
   }
 
+  /**
+   * Get detected candlestick patterns
+   * @param {Object} [filters] - Optional filters
+   * @param {Array<string>} [filters.symbols] - Restrict to these stock symbols
+   * @param {string} [filters.pattern] - Pattern name (e.g., 'ENGULFING', 'HAMMER')
+   * @param {string} [filters.direction] - 'bullish', 'bearish' or 'neutral'
+   * @param {Date} [filters.date] - Exact bar date
+   * @param {Date} [filters.startDate] - Earliest bar date
+   * @returns {Promise<Array>} Pattern records with symbol, newest first
+   */
+  async getCandlestickPatterns(filters) {
+    throw new Error('getCandlestickPatterns method must be implemented');
+  }
+
+  /**
+   * Save detected candlestick patterns
+   * @param {string} symbol - Stock symbol
+   * @param {Array} data - Detections with date, pattern, direction and strength
+   * @returns {Promise<void>}
+   */
+  async saveCandlestickPatterns(symbol, data) {
+    throw new Error('saveCandlestickPatterns method must be implemented');
+  }
+
+  /**
+   * Get predictions
+   * @param {Object} [filters] - Optional filters
+   * @param {Array<string>} [filters.symbols] - Limit to these symbols
+   * @param {string} [filters.model] - Model, e.g. 'ensemble' or 'signal'
+   * @param {string} [filters.source] - 'analyze' or 'top-picks'
+   * @param {number} [filters.horizon] - Horizon in trading days
+   * @param {Date} [filters.startDate] - Earliest prediction date
+   * @param {boolean} [filters.resolved] - Only resolved (true) or unresolved (false) rows
+   * @returns {Promise<Array>} Prediction records with symbol, oldest first
+   */
+  async getPredictions(filters) {
+    throw new Error('getPredictions method must be implemented');
+  }
+
+  /**
+   * Save predictions; a repeat of the same stock, source, model, date and horizon is ignored
+   * @param {string} symbol - Stock symbol
+   * @param {Array} data - Predictions with source, model, predictionDate, horizon, basePrice and
+   *   predictedPrice/lowerBound/upperBound (forecasts) or signal (signals)
+   * @returns {Promise<void>}
+   */
+  async savePredictions(symbol, data) {
+    throw new Error('savePredictions method must be implemented');
+  }
+
+  /**
+   * Record the actual outcome of predictions
+   * @param {Array} updates - Outcomes with id, actualDate and actualPrice
+   * @returns {Promise<void>}
+   */
+  async resolvePredictions(updates) {
+    throw new Error('resolvePredictions method must be implemented');
+  }
+
+  /**
+   * Get a stored model
+   * @param {string} name - Model name, e.g. 'direction'
+   * @param {number} [version] - Version; latest when omitted
+   * @returns {Promise<Object|null>} Parsed model with version and createdAt, or null
+   */
+  async getModel(name, version) {
+    throw new Error('getModel method must be implemented');
+  }
+
+  /**
+   * Save a model as the next version of its name
+   * @param {Object} model - Model with name, horizon and metrics
+   * @returns {Promise<number>} Version assigned
+   */
+  async saveModel(model) {
+    throw new Error('saveModel method must be implemented');
+  }
+
+  /**
+   * Get the most recent walk-forward optimization run
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.mode] - Optimization mode, e.g. 'rsi' or 'score'
+   * @param {boolean} [filters.validated] - Only runs that passed out-of-sample validation
+   * @returns {Promise<Object|null>} Run with parsed params and report, or null
+   */
+  async getLatestOptimizationRun(filters) {
+    throw new Error('getLatestOptimizationRun method must be implemented');
+  }
+
+  /**
+   * Save a walk-forward optimization run
+   * @param {Object} run - mode, symbols, objective, params, report and validated
+   * @returns {Promise<number>} Run id
+   */
+  async saveOptimizationRun(run) {
+    throw new Error('saveOptimizationRun method must be implemented');
+  }
+
+  /**
+   * Get a user's portfolios
+   * @param {string} userId - Owner
+   * @returns {Promise<Array>} Portfolio rows, oldest first
+   */
+  async getPortfolios(userId) {
+    throw new Error('getPortfolios method must be implemented');
+  }
+
+  /**
+   * Get a portfolio
+   * @param {number} id - Portfolio id
+   * @returns {Promise<Object|null>} Portfolio row or null
+   */
+  async getPortfolio(id) {
+    throw new Error('getPortfolio method must be implemented');
+  }
+
+  /**
+   * Create a portfolio
+   * @param {Object} portfolio - userId and name
+   * @returns {Promise<number>} Portfolio id
+   */
+  async createPortfolio(portfolio) {
+    throw new Error('createPortfolio method must be implemented');
+  }
+
+  /**
+   * Rename a portfolio
+   * @param {number} id - Portfolio id
+   * @param {Object} updates - name
+   * @returns {Promise<boolean>} False when the portfolio does not exist
+   */
+  async updatePortfolio(id, updates) {
+    throw new Error('updatePortfolio method must be implemented');
+  }
+
+  /**
+   * Delete a portfolio with its transactions and positions
+   * @param {number} id - Portfolio id
+   * @returns {Promise<boolean>} False when the portfolio does not exist
+   */
+  async deletePortfolio(id) {
+    throw new Error('deletePortfolio method must be implemented');
+  }
+
+  /**
+   * Get a portfolio's transactions
+   * @param {number} portfolioId - Portfolio id
+   * @returns {Promise<Array>} Transaction rows with symbol and currency, in trade order
+   */
+  async getPortfolioTransactions(portfolioId) {
+    throw new Error('getPortfolioTransactions method must be implemented');
+  }
+
+  /**
+   * Add a transaction to a portfolio
+   * @param {number} portfolioId - Portfolio id
+   * @param {Object} transaction - symbol, type, tradeDate, quantity, price, fees, amount, ratio and notes
+   * @returns {Promise<number>} Transaction id
+   */
+  async savePortfolioTransaction(portfolioId, transaction) {
+    throw new Error('savePortfolioTransaction method must be implemented');
+  }
+
+  /**
+   * Replace a portfolio transaction
+   * @param {number} portfolioId - Portfolio id
+   * @param {number} id - Transaction id
+   * @param {Object} transaction - As for savePortfolioTransaction
+   * @returns {Promise<boolean>} False when the transaction is not in the portfolio
+   */
+  async updatePortfolioTransaction(portfolioId, id, transaction) {
+    throw new Error('updatePortfolioTransaction method must be implemented');
+  }
+
+  /**
+   * Delete a portfolio transaction
+   * @param {number} portfolioId - Portfolio id
+   * @param {number} id - Transaction id
+   * @returns {Promise<boolean>} False when the transaction is not in the portfolio
+   */
+  async deletePortfolioTransaction(portfolioId, id) {
+    throw new Error('deletePortfolioTransaction method must be implemented');
+  }
+
+  /**
+   * Get a portfolio's derived positions
+   * @param {number} portfolioId - Portfolio id
+   * @returns {Promise<Array>} Position rows with symbol and currency
+   */
+  async getPortfolioPositions(portfolioId) {
+    throw new Error('getPortfolioPositions method must be implemented');
+  }
+
+  /**
+   * Replace a portfolio's derived positions
+   * @param {number} portfolioId - Portfolio id
+   * @param {Array} positions - Positions from buildPositions
+   * @returns {Promise<void>}
+   */
+  async savePortfolioPositions(portfolioId, positions) {
+    throw new Error('savePortfolioPositions method must be implemented');
+  }
+
   /**
    * Get currency exchange rate
    * @param {string} from - From currency (e.g., 'CAD')
@@ -220,6 +423,26 @@ export const DatabaseMethods = {
   saveFundamentals: '(symbol: string, data: Array) => Promise<void>',
   getIndicators: '(symbol: string, type?: string, startDate?: Date) => Promise<Array>',
   saveIndicators: '(symbol: string, data: Array) => Promise<void>',
+  getCandlestickPatterns: '(filters?: {symbols?, pattern?, direction?, date?, startDate?}) => Promise<Array>',
+  saveCandlestickPatterns: '(symbol: string, data: Array) => Promise<void>',
+  getPredictions: '(filters?: {symbols?, model?, source?, horizon?, startDate?, resolved?}) => Promise<Array>',
+  savePredictions: '(symbol: string, data: Array) => Promise<void>',
+  resolvePredictions: '(updates: Array<{id, actualDate, actualPrice}>) => Promise<void>',
+  getModel: '(name: string, version?: number) => Promise<Object|null>',
+  saveModel: '(model: {name, horizon, metrics, ...}) => Promise<number>',
+  getLatestOptimizationRun: '(filters?: {mode?, validated?}) => Promise<Object|null>',
+  saveOptimizationRun: '(run: {mode, symbols, objective, params, report, validated}) => Promise<number>',
+  getPortfolios: '(userId: string) => Promise<Array>',
+  getPortfolio: '(id: number) => Promise<Object|null>',
+  createPortfolio: '(portfolio: {userId, name}) => Promise<number>',
+  updatePortfolio: '(id: number, updates: {name}) => Promise<boolean>',
+  deletePortfolio: '(id: number) => Promise<boolean>',
+  getPortfolioTransactions: '(portfolioId: number) => Promise<Array>',
+  savePortfolioTransaction: '(portfolioId: number, transaction: Object) => Promise<number>',
+  updatePortfolioTransaction: '(portfolioId: number, id: number, transaction: Object) => Promise<boolean>',
+  deletePortfolioTransaction: '(portfolioId: number, id: number) => Promise<boolean>',
+  getPortfolioPositions: '(portfolioId: number) => Promise<Array>',
+  savePortfolioPositions: '(portfolioId: number, positions: Array) => Promise<void>',
   getCurrencyRate: '(from: string, to: string) => Promise<number|null>',
   saveCurrencyRate: '(from: string, to: string, rate: number, expiresAt: Date) => Promise<void>',
   isCacheValid: '(key: string) => Promise<boolean>',
@@ -107,6 +107,86 @@ export class DatabaseService {
     return this.db.saveIndicators(symbol, data);
   }
 
+  async getCandlestickPatterns(filters) {
+    return this.db.getCandlestickPatterns(filters);
+  }
+
+  async saveCandlestickPatterns(symbol, data) {
+    return this.db.saveCandlestickPatterns(symbol, data);
+  }
+
+  async getPredictions(filters) {
+    return this.db.getPredictions(filters);
+  }
+
+  async savePredictions(symbol, data) {
+    return this.db.savePredictions(symbol, data);
+  }
+
+  async resolvePredictions(updates) {
+    return this.db.resolvePredictions(updates);
+  }
+
+  async getModel(name, version) {
+    return this.db.getModel(name, version);
+  }
+
+  async saveModel(model) {
+    return this.db.saveModel(model);
+  }
+
+  async getLatestOptimizationRun(filters) {
+    return this.db.getLatestOptimizationRun(filters);
+  }
+
+  async saveOptimizationRun(run) {
+    return this.db.saveOptimizationRun(run);
+  }
+
+  async getPortfolios(userId) {
+    return this.db.getPortfolios(userId);
+  }
+
+  async getPortfolio(id) {
+    return this.db.getPortfolio(id);
+  }
+
+  async createPortfolio(portfolio) {
+    return this.db.createPortfolio(portfolio);
+  }
+
+  async updatePortfolio(id, updates) {
+    return this.db.updatePortfolio(id, updates);
+  }
+
+  async deletePortfolio(id) {
+    return this.db.deletePortfolio(id);
+  }
+
+  async getPortfolioTransactions(portfolioId) {
+    return this.db.getPortfolioTransactions(portfolioId);
+  }
+
+  async savePortfolioTransaction(portfolioId, transaction) {
+    return this.db.savePortfolioTransaction(portfolioId, transaction);
+  }
+
+  async updatePortfolioTransaction(portfolioId, id, transaction) {
+    return this.db.updatePortfolioTransaction(portfolioId, id, transaction);
+  }
+
+  async deletePortfolioTransaction(portfolioId, id) {
+    return this.db.deletePortfolioTransaction(portfolioId, id);
+  }
+
+  async getPortfolioPositions(portfolioId) {
+    return this.db.getPortfolioPositions(portfolioId);
+  }
+
+  async savePortfolioPositions(portfolioId, positions) {
+    return this.db.savePortfolioPositions(portfolioId, positions);
+  }
+
   async getCurrencyRate(from, to) {
     return this.db.getCurrencyRate(from, to);
   }
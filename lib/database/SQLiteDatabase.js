@@ -108,20 +108,22 @@ export class SQLiteDatabase extends DatabaseInterface {
    */
   async executeNonQuery(query, params = [], operation = 'operation') {
     await this.init();
+    // sqlite3 binds the statement to `this` in run callbacks
+    const logger = this.logger;
     
     return new Promise((resolve, reject) => {
-      this.logger.debug(`Executing ${operation}: ${query}`, { params });
+      logger.debug(`Executing ${operation}: ${query}`, { params });
       
       this.db.run(query, params, function(err) {
         if (err) {
-          this.logger.error(`Error executing ${operation}`, { 
+          logger.error(`Error executing ${operation}`, { 
             error: err.message, 
             query, 
             params 
           });
           reject(err);
         } else {
-          this.logger.debug(`${operation} completed`, { 
+          logger.debug(`${operation} completed`, { 
             success: true, 
             changes: this.changes,
             lastID: this.lastID 
@@ -358,6 +360,442 @@ export class SQLiteDatabase extends DatabaseInterface {
     }
   }
 
+  async getCandlestickPatterns({ symbols, pattern, direction, date, startDate } = {}) {
+    let query = `
+      SELECT s.symbol, cp.date, cp.pattern, cp.direction, cp.strength
+      FROM candlestick_patterns cp
+      JOIN stocks s ON cp.stock_id = s.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (symbols && symbols.length > 0) {
+      query += ` AND s.symbol IN (${symbols.map(() => '?').join(', ')})`;
+      params.push(...symbols);
+    }
+
+    if (pattern) {
+      query += ' AND cp.pattern = ?';
+      params.push(pattern);
+    }
+
+    if (direction) {
+      query += ' AND cp.direction = ?';
+      params.push(direction);
+    }
+
+    if (date) {
+      query += ' AND cp.date = ?';
+      params.push(date.toISOString().split('T')[0]);
+    }
+
+    if (startDate) {
+      query += ' AND cp.date >= ?';
+      params.push(startDate.toISOString().split('T')[0]);
+    }
+
+    query += ' ORDER BY cp.date DESC, cp.strength DESC, s.symbol ASC';
+
+    const result = await this.executeQuery(query, params, 'getCandlestickPatterns');
+    return result?.results || [];
+  }
+
+  async saveCandlestickPatterns(symbol, data) {
+    if (!data || data.length === 0) return;
+
+    // Get or create stock
+    let stock = await this.getStock(symbol);
+    if (!stock) {
+      throw new Error(`Stock ${symbol} not found in database`);
+    }
+
+    // Use transaction for better performance
+    await this.executeNonQuery('BEGIN TRANSACTION', [], 'beginTransaction');
+
+    try {
+      for (const record of data) {
+        const query = `
+          INSERT OR REPLACE INTO candlestick_patterns (
+            stock_id, date, pattern, direction, strength
+          ) VALUES (?, ?, ?, ?, ?)
+        `;
+
+        await this.executeNonQuery(query, [
+          stock.id,
+          record.date.toISOString().split('T')[0],
+          record.pattern,
+          record.direction,
+          record.strength
+        ], 'saveCandlestickPatternsRecord');
+      }
+
+      await this.executeNonQuery('COMMIT', [], 'commitTransaction');
+    } catch (error) {
+      await this.executeNonQuery('ROLLBACK', [], 'rollbackTransaction');
+      throw error;
+    }
+  }
+
+  async getPredictions({ symbols, model, source, horizon, startDate, resolved } = {}) {
+    let query = `
+      SELECT p.*, s.symbol
+      FROM predictions p
+      JOIN stocks s ON p.stock_id = s.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (symbols && symbols.length > 0) {
+      query += ` AND s.symbol IN (${symbols.map(() => '?').join(', ')})`;
+      params.push(...symbols);
+    }
+
+    if (model) {
+      query += ' AND p.model = ?';
+      params.push(model);
+    }
+
+    if (source) {
+      query += ' AND p.source = ?';
+      params.push(source);
+    }
+
+    if (horizon) {
+      query += ' AND p.horizon = ?';
+      params.push(horizon);
+    }
+
+    if (startDate) {
+      query += ' AND p.prediction_date >= ?';
+      params.push(startDate.toISOString().split('T')[0]);
+    }
+
+    if (resolved === true) {
+      query += ' AND p.resolved_at IS NOT NULL';
+    } else if (resolved === false) {
+      query += ' AND p.resolved_at IS NULL';
+    }
+
+    query += ' ORDER BY p.prediction_date ASC, s.symbol ASC, p.model ASC, p.horizon ASC';
+
+    const result = await this.executeQuery(query, params, 'getPredictions');
+    return result?.results || [];
+  }
+
+  async savePredictions(symbol, data) {
+    if (!data || data.length === 0) return;
+
+    // Get or create stock
+    let stock = await this.getStock(symbol);
+    if (!stock) {
+      throw new Error(`Stock ${symbol} not found in database`);
+    }
+
+    // Use transaction for better performance
+    await this.executeNonQuery('BEGIN TRANSACTION', [], 'beginTransaction');
+
+    try {
+      for (const record of data) {
+        // The first prediction of the day stands; later requests must not rewrite it
+        const query = `
+          INSERT OR IGNORE INTO predictions (
+            stock_id, source, model, prediction_date, horizon, base_price,
+            predicted_price, lower_bound, upper_bound, signal
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        await this.executeNonQuery(query, [
+          stock.id,
+          record.source,
+          record.model,
+          record.predictionDate.toISOString().split('T')[0],
+          record.horizon,
+          record.basePrice,
+          record.predictedPrice ?? null,
+          record.lowerBound ?? null,
+          record.upperBound ?? null,
+          record.signal ?? null
+        ], 'savePredictionsRecord');
+      }
+
+      await this.executeNonQuery('COMMIT', [], 'commitTransaction');
+    } catch (error) {
+      await this.executeNonQuery('ROLLBACK', [], 'rollbackTransaction');
+      throw error;
+    }
+  }
+
+  async resolvePredictions(updates) {
+    if (!updates || updates.length === 0) return;
+
+    await this.executeNonQuery('BEGIN TRANSACTION', [], 'beginTransaction');
+
+    try {
+      for (const update of updates) {
+        const query = `
+          UPDATE predictions
+          SET actual_date = ?, actual_price = ?, resolved_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `;
+
+        await this.executeNonQuery(query, [
+          update.actualDate.toISOString().split('T')[0],
+          update.actualPrice,
+          update.id
+        ], 'resolvePredictionsRecord');
+      }
+
+      await this.executeNonQuery('COMMIT', [], 'commitTransaction');
+    } catch (error) {
+      await this.executeNonQuery('ROLLBACK', [], 'rollbackTransaction');
+      throw error;
+    }
+  }
+
+  async getModel(name, version) {
+    let query = 'SELECT * FROM ml_models WHERE name = ?';
+    const params = [name];
+
+    if (version) {
+      query += ' AND version = ?';
+      params.push(version);
+    }
+
+    query += ' ORDER BY version DESC LIMIT 1';
+
+    const row = await this.executeSingleRow(query, params, 'getModel');
+    if (!row) return null;
+
+    return {
+      ...JSON.parse(row.model_json),
+      version: row.version,
+      createdAt: row.created_at
+    };
+  }
+
+  async saveModel(model) {
+    const latest = await this.executeSingleRow(
+      'SELECT MAX(version) AS version FROM ml_models WHERE name = ?',
+      [model.name],
+      'getLatestModelVersion'
+    );
+    const version = (latest?.version || 0) + 1;
+
+    const query = `
+      INSERT INTO ml_models (name, version, horizon, model_json, metrics_json)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    await this.executeNonQuery(query, [
+      model.name,
+      version,
+      model.horizon,
+      JSON.stringify(model),
+      model.metrics ? JSON.stringify(model.metrics) : null
+    ], 'saveModel');
+
+    return version;
+  }
+
+  async getLatestOptimizationRun({ mode, validated } = {}) {
+    let query = 'SELECT * FROM optimization_runs WHERE 1=1';
+    const params = [];
+
+    if (mode) {
+      query += ' AND mode = ?';
+      params.push(mode);
+    }
+
+    if (validated !== undefined) {
+      query += ' AND validated = ?';
+      params.push(validated ? 1 : 0);
+    }
+
+    query += ' ORDER BY created_at DESC, id DESC LIMIT 1';
+
+    const row = await this.executeSingleRow(query, params, 'getLatestOptimizationRun');
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      mode: row.mode,
+      symbols: JSON.parse(row.symbols),
+      objective: row.objective,
+      params: JSON.parse(row.params_json),
+      report: JSON.parse(row.report_json),
+      validated: Boolean(row.validated),
+      createdAt: row.created_at
+    };
+  }
+
+  async saveOptimizationRun(run) {
+    const query = `
+      INSERT INTO optimization_runs (mode, symbols, objective, params_json, report_json, validated)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await this.executeNonQuery(query, [
+      run.mode,
+      JSON.stringify(run.symbols),
+      run.objective,
+      JSON.stringify(run.params),
+      JSON.stringify(run.report),
+      run.validated ? 1 : 0
+    ], 'saveOptimizationRun');
+
+    return result.meta.lastID;
+  }
+
+  async getPortfolios(userId) {
+    const query = 'SELECT * FROM portfolios WHERE user_id = ? ORDER BY id ASC';
+    const result = await this.executeQuery(query, [userId], 'getPortfolios');
+    return result?.results || [];
+  }
+
+  async getPortfolio(id) {
+    return this.executeSingleRow('SELECT * FROM portfolios WHERE id = ?', [id], 'getPortfolio');
+  }
+
+  async createPortfolio({ userId, name }) {
+    const result = await this.executeNonQuery(
+      'INSERT INTO portfolios (user_id, portfolio_name) VALUES (?, ?)',
+      [userId, name],
+      'createPortfolio'
+    );
+    return result.meta.lastID;
+  }
+
+  async updatePortfolio(id, { name }) {
+    const result = await this.executeNonQuery(
+      'UPDATE portfolios SET portfolio_name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [name, id],
+      'updatePortfolio'
+    );
+    return result.meta.changes > 0;
+  }
+
+  async deletePortfolio(id) {
+    await this.executeNonQuery('BEGIN TRANSACTION', [], 'beginTransaction');
+
+    try {
+      for (const table of ['portfolio_positions', 'portfolio_transactions', 'portfolio_holdings']) {
+        await this.executeNonQuery(`DELETE FROM ${table} WHERE portfolio_id = ?`, [id], 'deletePortfolioChildren');
+      }
+      const result = await this.executeNonQuery('DELETE FROM portfolios WHERE id = ?', [id], 'deletePortfolio');
+      await this.executeNonQuery('COMMIT', [], 'commitTransaction');
+      return result.meta.changes > 0;
+    } catch (error) {
+      await this.executeNonQuery('ROLLBACK', [], 'rollbackTransaction');
+      throw error;
+    }
+  }
+
+  async getPortfolioTransactions(portfolioId) {
+    const query = `
+      SELECT t.*, s.symbol, s.currency
+      FROM portfolio_transactions t
+      JOIN stocks s ON t.stock_id = s.id
+      WHERE t.portfolio_id = ?
+      ORDER BY t.trade_date ASC, t.id ASC
+    `;
+    const result = await this.executeQuery(query, [portfolioId], 'getPortfolioTransactions');
+    return result?.results || [];
+  }
+
+  async savePortfolioTransaction(portfolioId, transaction) {
+    const stock = await this.getStock(transaction.symbol);
+    if (!stock) {
+      throw new Error(`Stock ${transaction.symbol} not found in database`);
+    }
+
+    const query = `
+      INSERT INTO portfolio_transactions (
+        portfolio_id, stock_id, type, trade_date, quantity, price, fees, amount, split_ratio, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await this.executeNonQuery(query, [
+      portfolioId,
+      stock.id,
+      ...transactionValues(transaction)
+    ], 'savePortfolioTransaction');
+    return result.meta.lastID;
+  }
+
+  async updatePortfolioTransaction(portfolioId, id, transaction) {
+    const stock = await this.getStock(transaction.symbol);
+    if (!stock) {
+      throw new Error(`Stock ${transaction.symbol} not found in database`);
+    }
+
+    const query = `
+      UPDATE portfolio_transactions
+      SET stock_id = ?, type = ?, trade_date = ?, quantity = ?, price = ?, fees = ?, amount = ?, split_ratio = ?, notes = ?
+      WHERE id = ? AND portfolio_id = ?
+    `;
+
+    const result = await this.executeNonQuery(query, [
+      stock.id,
+      ...transactionValues(transaction),
+      id,
+      portfolioId
+    ], 'updatePortfolioTransaction');
+    return result.meta.changes > 0;
+  }
+
+  async deletePortfolioTransaction(portfolioId, id) {
+    const result = await this.executeNonQuery(
+      'DELETE FROM portfolio_transactions WHERE id = ? AND portfolio_id = ?',
+      [id, portfolioId],
+      'deletePortfolioTransaction'
+    );
+    return result.meta.changes > 0;
+  }
+
+  async getPortfolioPositions(portfolioId) {
+    const query = `
+      SELECT p.*, s.symbol, s.currency
+      FROM portfolio_positions p
+      JOIN stocks s ON p.stock_id = s.id
+      WHERE p.portfolio_id = ?
+      ORDER BY s.symbol ASC
+    `;
+    const result = await this.executeQuery(query, [portfolioId], 'getPortfolioPositions');
+    return result?.results || [];
+  }
+
+  async savePortfolioPositions(portfolioId, positions) {
+    await this.executeNonQuery('BEGIN TRANSACTION', [], 'beginTransaction');
+
+    try {
+      await this.executeNonQuery('DELETE FROM portfolio_positions WHERE portfolio_id = ?', [portfolioId], 'clearPortfolioPositions');
+      for (const position of positions) {
+        const query = `
+          INSERT INTO portfolio_positions (
+            portfolio_id, stock_id, quantity, average_cost, cost_basis, realized_pnl, dividends, fees,
+            opened_date, last_trade_date
+          ) VALUES (?, (SELECT id FROM stocks WHERE symbol = ?), ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        await this.executeNonQuery(query, [
+          portfolioId,
+          position.symbol,
+          position.quantity,
+          position.averageCost,
+          position.costBasis,
+          position.realizedPnl,
+          position.dividends,
+          position.fees,
+          position.openedDate,
+          position.lastTradeDate
+        ], 'savePortfolioPosition');
+      }
+      await this.executeNonQuery('COMMIT', [], 'commitTransaction');
+    } catch (error) {
+      await this.executeNonQuery('ROLLBACK', [], 'rollbackTransaction');
+      throw error;
+    }
+  }
+
   async getCurrencyRate(from, to) {
     const query = `
       SELECT rate FROM currency_rates
@@ -598,4 +1036,18 @@ export class SQLiteDatabase extends DatabaseInterface {
       }
     });
   }
-}
\ No newline at end of file
+}
+
+// Column values shared by portfolio transaction inserts and updates, after stock_id
+function transactionValues(transaction) {
+  return [
+    transaction.type,
+    transaction.tradeDate,
+    transaction.quantity ?? null,
+    transaction.price ?? null,
+    transaction.fees ?? 0,
+    transaction.amount ?? null,
+    transaction.ratio ?? null,
+    transaction.notes ?? null
+  ];
+}
@@ -0,0 +1,54 @@
+// lib/indicators/ADX.js
+// Average Directional Index with the +DI/-DI directional movement lines
+
+import { trueRangeSeries, wilderSeries, last } from './math.js';
+
+export const ADX = {
+  name: 'ADX',
+  description: 'Average Directional Index with +DI and -DI (Wilder DMI)',
+  params: {
+    period: { type: 'integer', default: 14, min: 2, max: 100 }
+  },
+  // period + 1 bars for the first DI values, then period DX values for the ADX seed
+  lookback: ({ period }) => period * 2,
+  compute(bars, { period }) {
+    const tr = trueRangeSeries(bars);
+    const plusDM = bars.map((bar, i) => {
+      if (i === 0) return null;
+      const up = bar.high - bars[i - 1].high;
+      const down = bars[i - 1].low - bar.low;
+      return up > down && up > 0 ? up : 0;
+    });
+    const minusDM = bars.map((bar, i) => {
+      if (i === 0) return null;
+      const up = bar.high - bars[i - 1].high;
+      const down = bars[i - 1].low - bar.low;
+      return down > up && down > 0 ? down : 0;
+    });
+
+    const smoothedTR = wilderSeries(tr, period);
+    const smoothedPlus = wilderSeries(plusDM, period);
+    const smoothedMinus = wilderSeries(minusDM, period);
+
+    const directional = (smoothedDM) => smoothedTR.map((t, i) => {
+      if (t === null) return null;
+      return t === 0 ? 0 : (smoothedDM[i] / t) * 100;
+    });
+    const plusDI = directional(smoothedPlus);
+    const minusDI = directional(smoothedMinus);
+    const dx = plusDI.map((p, i) => {
+      if (p === null) return null;
+      const sum = p + minusDI[i];
+      return sum === 0 ? 0 : (Math.abs(p - minusDI[i]) / sum) * 100;
+    });
+
+    const adx = last(wilderSeries(dx, period));
+    if (adx === null) return null;
+
+    return {
+      adx,
+      plusDI: last(plusDI),
+      minusDI: last(minusDI)
+    };
+  }
+};
@@ -0,0 +1,26 @@
+// lib/indicators/ATR.js
+// Average True Range with Wilder smoothing
+
+import { trueRangeSeries, wilderSeries, last } from './math.js';
+
+export const ATR = {
+  name: 'ATR',
+  description: 'Average True Range (Wilder smoothing) from high, low and close',
+  params: {
+    period: { type: 'integer', default: 14, min: 2, max: 100 }
+  },
+  lookback: ({ period }) => period + 1,
+  compute(bars, { period }) {
+    return last(atrSeries(bars, period));
+  }
+};
+
+/**
+ * ATR series aligned to the input bars
+ * @param {Array<Object>} bars - Ascending OHLC bars
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} ATR series
+ */
+export function atrSeries(bars, period = 14) {
+  return wilderSeries(trueRangeSeries(bars), period);
+}
@@ -0,0 +1,39 @@
+// lib/indicators/AccumulationDistribution.js
+// Accumulation/Distribution line and Chaikin Money Flow
+
+/**
+ * Money flow volume for one bar: volume weighted by where the close sits in the range
+ * @param {Object} bar - OHLCV bar
+ * @returns {number} Money flow volume
+ */
+export function moneyFlowVolume(bar) {
+  const range = bar.high - bar.low;
+  if (range === 0) return 0;
+  const multiplier = ((bar.close - bar.low) - (bar.high - bar.close)) / range;
+  return multiplier * bar.volume;
+}
+
+export const ADL = {
+  name: 'ADL',
+  description: 'Accumulation/Distribution line (cumulative money flow volume)',
+  params: {},
+  lookback: () => 1,
+  compute(bars) {
+    return bars.reduce((sum, bar) => sum + moneyFlowVolume(bar), 0);
+  }
+};
+
+export const CMF = {
+  name: 'CMF',
+  description: 'Chaikin Money Flow: money flow volume over total volume (-1 to 1)',
+  params: {
+    period: { type: 'integer', default: 20, min: 2, max: 200 }
+  },
+  lookback: ({ period }) => period,
+  compute(bars, { period }) {
+    const window = bars.slice(-period);
+    const volume = window.reduce((sum, b) => sum + b.volume, 0);
+    if (volume === 0) return null;
+    return window.reduce((sum, bar) => sum + moneyFlowVolume(bar), 0) / volume;
+  }
+};
@@ -0,0 +1,30 @@
+// lib/indicators/BollingerBands.js
+// Bollinger Bands around a simple moving average
+
+import { stdDev } from './math.js';
+
+export const BOLLINGER = {
+  name: 'BOLLINGER',
+  description: 'Bollinger Bands: SMA middle band with standard deviation envelopes',
+  params: {
+    period: { type: 'integer', default: 20, min: 2, max: 200 },
+    stdDev: { type: 'number', default: 2, min: 0.5, max: 5 }
+  },
+  lookback: ({ period }) => period,
+  compute(bars, { period, stdDev: multiplier }) {
+    const window = bars.slice(-period).map(b => b.close);
+    const middle = window.reduce((sum, c) => sum + c, 0) / period;
+    const deviation = stdDev(window) * multiplier;
+    const upper = middle + deviation;
+    const lower = middle - deviation;
+    const close = window[window.length - 1];
+
+    return {
+      upper,
+      middle,
+      lower,
+      bandwidth: middle !== 0 ? (upper - lower) / middle : null,
+      percentB: upper !== lower ? (close - lower) / (upper - lower) : null
+    };
+  }
+};
@@ -0,0 +1,177 @@
+// lib/indicators/CandlestickPatterns.js
+// Candlestick pattern recognition over daily OHLC bars
+
+export const CANDLES = {
+  name: 'CANDLES',
+  description: 'Candlestick patterns (engulfing, hammer, shooting star, doji, stars, soldiers/crows) in recent bars',
+  params: {
+    recentBars: { type: 'integer', default: 5, min: 1, max: 250 }
+  },
+  lookback: () => 1,
+  compute(bars, { recentBars }) {
+    return detectCandlestickPatterns(bars, { from: bars.length - recentBars });
+  }
+};
+
+export const PATTERN_NAMES = [
+  'DOJI', 'HAMMER', 'SHOOTING_STAR', 'ENGULFING',
+  'MORNING_STAR', 'EVENING_STAR', 'THREE_WHITE_SOLDIERS', 'THREE_BLACK_CROWS'
+];
+
+export const PATTERN_DIRECTIONS = ['bullish', 'bearish', 'neutral'];
+
+// Bars before a pattern used to judge the trend it reverses
+const TREND_BARS = 5;
+// Bars used for the average body/range that sizes a candle
+const AVERAGE_BARS = 10;
+
+/**
+ * Detect candlestick patterns completed on each bar from `from` onwards
+ * Strength (0-1) combines how clean the shape is with whether the preceding
+ * trend is the one the pattern reverses.
+ * @param {Array<Object>} bars - Ascending OHLC bars
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.from=0] - First bar index to report patterns for
+ * @returns {Array<Object>} Detections with date, pattern, direction and strength
+ */
+export function detectCandlestickPatterns(bars, { from = 0 } = {}) {
+  const detections = [];
+
+  for (let i = Math.max(0, from); i < bars.length; i++) {
+    const context = {
+      trend: trendBefore(bars, i),
+      avgBody: average(bars.slice(Math.max(0, i - AVERAGE_BARS), i).map(body)) || body(bars[i]),
+      avgRange: average(bars.slice(Math.max(0, i - AVERAGE_BARS), i).map(range)) || range(bars[i])
+    };
+
+    for (const detector of DETECTORS) {
+      const match = detector(bars, i, context);
+      if (!match) continue;
+
+      const trendAligned =
+        (match.direction === 'bullish' && context.trend === 'down') ||
+        (match.direction === 'bearish' && context.trend === 'up');
+      detections.push({
+        date: bars[i].date,
+        pattern: match.pattern,
+        direction: match.direction,
+        strength: parseFloat(Math.min(1, match.quality * 0.7 + (trendAligned ? 0.3 : 0)).toFixed(2))
+      });
+    }
+  }
+
+  return detections;
+}
+
+const body = (bar) => Math.abs(bar.close - bar.open);
+const range = (bar) => bar.high - bar.low;
+const upperShadow = (bar) => bar.high - Math.max(bar.open, bar.close);
+const lowerShadow = (bar) => Math.min(bar.open, bar.close) - bar.low;
+const isBullish = (bar) => bar.close > bar.open;
+const isBearish = (bar) => bar.close < bar.open;
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function trendBefore(bars, index) {
+  const start = index - TREND_BARS;
+  if (start < 0) return 'flat';
+  const change = bars[index - 1].close / bars[start].close - 1;
+  if (change > 0.01) return 'up';
+  if (change < -0.01) return 'down';
+  return 'flat';
+}
+
+const DETECTORS = [
+  function doji(bars, i, { avgRange }) {
+    const bar = bars[i];
+    if (range(bar) === 0 || body(bar) > range(bar) * 0.1) return null;
+    return {
+      pattern: 'DOJI',
+      direction: 'neutral',
+      quality: clamp01((1 - body(bar) / (range(bar) * 0.1)) * 0.5 + clamp01(range(bar) / avgRange) * 0.5)
+    };
+  },
+
+  function hammer(bars, i, { trend, avgRange }) {
+    const bar = bars[i];
+    const b = body(bar);
+    if (b === 0 || trend !== 'down') return null;
+    if (lowerShadow(bar) < b * 2 || upperShadow(bar) > range(bar) * 0.1) return null;
+    return {
+      pattern: 'HAMMER',
+      direction: 'bullish',
+      quality: clamp01(lowerShadow(bar) / (b * 4)) * 0.5 + clamp01(range(bar) / avgRange) * 0.5
+    };
+  },
+
+  function shootingStar(bars, i, { trend, avgRange }) {
+    const bar = bars[i];
+    const b = body(bar);
+    if (b === 0 || trend !== 'up') return null;
+    if (upperShadow(bar) < b * 2 || lowerShadow(bar) > range(bar) * 0.1) return null;
+    return {
+      pattern: 'SHOOTING_STAR',
+      direction: 'bearish',
+      quality: clamp01(upperShadow(bar) / (b * 4)) * 0.5 + clamp01(range(bar) / avgRange) * 0.5
+    };
+  },
+
+  function engulfing(bars, i, { avgBody }) {
+    if (i < 1) return null;
+    const prev = bars[i - 1];
+    const bar = bars[i];
+    if (body(bar) <= body(prev)) return null;
+
+    const quality = clamp01(body(bar) / (avgBody * 2));
+    if (isBearish(prev) && isBullish(bar) && bar.open <= prev.close && bar.close >= prev.open) {
+      return { pattern: 'ENGULFING', direction: 'bullish', quality };
+    }
+    if (isBullish(prev) && isBearish(bar) && bar.open >= prev.close && bar.close <= prev.open) {
+      return { pattern: 'ENGULFING', direction: 'bearish', quality };
+    }
+    return null;
+  },
+
+  function star(bars, i, { avgBody }) {
+    if (i < 2) return null;
+    const [first, middle, third] = [bars[i - 2], bars[i - 1], bars[i]];
+    if (body(first) < avgBody || body(middle) > body(first) * 0.3) return null;
+
+    const firstMid = (first.open + first.close) / 2;
+    const quality = clamp01(body(third) / body(first));
+    if (isBearish(first) && isBullish(third) && third.close > firstMid) {
+      return { pattern: 'MORNING_STAR', direction: 'bullish', quality };
+    }
+    if (isBullish(first) && isBearish(third) && third.close < firstMid) {
+      return { pattern: 'EVENING_STAR', direction: 'bearish', quality };
+    }
+    return null;
+  },
+
+  function threeSoldiersOrCrows(bars, i, { avgBody }) {
+    if (i < 2) return null;
+    const trio = [bars[i - 2], bars[i - 1], bars[i]];
+    const quality = clamp01(average(trio.map(body)) / (avgBody * 1.5));
+    const smallShadows = (shadow) => trio.every(bar => shadow(bar) <= body(bar) * 0.5);
+
+    const soldiers = trio.every(isBullish) &&
+      trio[1].close > trio[0].close && trio[2].close > trio[1].close &&
+      trio[1].open >= trio[0].open && trio[1].open <= trio[0].close &&
+      trio[2].open >= trio[1].open && trio[2].open <= trio[1].close;
+    if (soldiers && smallShadows(upperShadow)) {
+      return { pattern: 'THREE_WHITE_SOLDIERS', direction: 'bullish', quality };
+    }
+
+    const crows = trio.every(isBearish) &&
+      trio[1].close < trio[0].close && trio[2].close < trio[1].close &&
+      trio[1].open <= trio[0].open && trio[1].open >= trio[0].close &&
+      trio[2].open <= trio[1].open && trio[2].open >= trio[1].close;
+    if (crows && smallShadows(lowerShadow)) {
+      return { pattern: 'THREE_BLACK_CROWS', direction: 'bearish', quality };
+    }
+    return null;
+  }
+];
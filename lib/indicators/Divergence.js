@@ -0,0 +1,102 @@
+// lib/indicators/Divergence.js
+// Regular and hidden RSI/MACD divergences against price swing points
+
+import { rsiSeries } from './RSI.js';
+import { macdSeries } from './MACD.js';
+import { findSwings } from './PriceLevels.js';
+
+export const DIVERGENCE = {
+  name: 'DIVERGENCE',
+  description: 'Regular and hidden RSI/MACD divergences between the last two price swing highs and lows',
+  params: {
+    period: { type: 'integer', default: 60, min: 10, max: 500 },
+    swingStrength: { type: 'integer', default: 3, min: 1, max: 20 },
+    rsiPeriod: { type: 'integer', default: 14, min: 2, max: 100 },
+    macdFast: { type: 'integer', default: 12, min: 2, max: 100 },
+    macdSlow: { type: 'integer', default: 26, min: 3, max: 200 }
+  },
+  // Both oscillators must be defined around at least two swings
+  lookback: ({ swingStrength, rsiPeriod, macdSlow }) =>
+    Math.max(rsiPeriod + 1, macdSlow) + swingStrength * 4 + 2,
+  validate: ({ macdFast, macdSlow }) =>
+    (macdFast >= macdSlow ? 'macdFast must be less than macdSlow' : null),
+  compute(bars, { period, swingStrength, rsiPeriod, macdFast, macdSlow }) {
+    const closes = bars.map(b => b.close);
+    const oscillators = {
+      RSI: rsiSeries(closes, rsiPeriod),
+      MACD: macdSeries(closes, { fastPeriod: macdFast, slowPeriod: macdSlow }).macd
+    };
+
+    const offset = Math.max(0, bars.length - period);
+    const swings = findSwings(bars.slice(offset), swingStrength)
+      .map(swing => ({ ...swing, index: swing.index + offset }));
+    const lows = swings.filter(s => s.kind === 'low').slice(-2);
+    const highs = swings.filter(s => s.kind === 'high').slice(-2);
+
+    const divergences = [];
+    for (const [indicator, series] of Object.entries(oscillators)) {
+      for (const pair of [lows, highs]) {
+        const divergence = compareSwings(bars, series, pair, swingStrength);
+        if (divergence) divergences.push({ indicator, ...divergence });
+      }
+    }
+    return divergences;
+  }
+};
+
+/**
+ * Classify the divergence between two consecutive price swings of the same kind
+ * Lows: lower price low + higher oscillator low is regular bullish, higher
+ * price low + lower oscillator low is hidden bullish. Highs mirror this for
+ * bearish divergences.
+ * @param {Array<Object>} bars - Ascending OHLC bars
+ * @param {Array<number|null>} series - Oscillator aligned to bars
+ * @param {Array<Object>} pair - Two swings from findSwings, oldest first
+ * @param {number} window - Bars either side of a swing to find the oscillator's extreme
+ * @returns {Object|null} type, direction, dates, prices and oscillator values
+ */
+export function compareSwings(bars, series, pair, window) {
+  if (pair.length < 2) return null;
+
+  const [first, second] = pair;
+  const isLow = first.kind === 'low';
+  const oscFirst = oscillatorExtreme(series, first.index, window, isLow);
+  const oscSecond = oscillatorExtreme(series, second.index, window, isLow);
+  if (oscFirst === null || oscSecond === null) return null;
+
+  const priceRising = second.price > first.price;
+  const oscRising = oscSecond > oscFirst;
+  if (priceRising === oscRising || second.price === first.price || oscSecond === oscFirst) {
+    return null;
+  }
+
+  let type;
+  if (isLow) {
+    type = priceRising ? 'hidden' : 'regular';
+  } else {
+    type = priceRising ? 'regular' : 'hidden';
+  }
+
+  return {
+    type,
+    direction: isLow ? 'bullish' : 'bearish',
+    startDate: bars[first.index].date,
+    endDate: bars[second.index].date,
+    barsAgo: bars.length - 1 - second.index,
+    priceStart: first.price,
+    priceEnd: second.price,
+    oscillatorStart: oscFirst,
+    oscillatorEnd: oscSecond
+  };
+}
+
+// Lowest (or highest) defined oscillator value within `window` bars of index
+function oscillatorExtreme(series, index, window, lowest) {
+  let extreme = null;
+  for (let i = Math.max(0, index - window); i <= Math.min(series.length - 1, index + window); i++) {
+    const value = series[i];
+    if (value === null) continue;
+    if (extreme === null || (lowest ? value < extreme : value > extreme)) extreme = value;
+  }
+  return extreme;
+}
@@ -0,0 +1,267 @@
+// lib/indicators/Forecast.js
+// Statistical price forecasts with prediction intervals: Holt-Winters,
+// autoregressive returns and a drift-plus-volatility random walk
+
+import { stdDev, normalQuantile } from './math.js';
+
+// Trading-day horizons every model forecasts
+export const FORECAST_HORIZONS = [1, 5, 20];
+
+// Holt-Winters smoothing parameters tried when fitting; the lowest one-step error wins
+const HW_GRID = {
+  alpha: [0.1, 0.3, 0.5, 0.7, 0.9, 0.99],
+  beta: [0.01, 0.05, 0.1, 0.2],
+  gamma: [0.01, 0.1, 0.3]
+};
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+export const FORECAST = {
+  name: 'FORECAST',
+  description: 'Holt-Winters, AR and random-walk price forecasts with prediction intervals for 1/5/20-bar horizons',
+  params: {
+    period: { type: 'integer', default: 120, min: 40, max: 1000 },
+    seasonLength: { type: 'integer', default: 5, min: 2, max: 21 },
+    arOrder: { type: 'integer', default: 5, min: 1, max: 20 },
+    // Prediction interval coverage
+    confidence: { type: 'number', default: 0.8, min: 0.5, max: 0.99 }
+  },
+  // The AR regression needs a few observations per coefficient and Holt-Winters a few seasons
+  lookback: ({ period, seasonLength, arOrder }) => Math.max(period, arOrder * 4 + 1, seasonLength * 4),
+  compute(bars, params) {
+    const closes = bars.slice(-FORECAST.lookback(params)).map(b => b.close);
+    return forecastPrices(closes, params);
+  }
+};
+
+/**
+ * Forecast prices with each model and an ensemble of the three
+ * Models work on log prices, so intervals are asymmetric around the point
+ * forecast and prices stay positive. The ensemble averages the models' log
+ * point forecasts and interval bounds.
+ * @param {Array<number>} closes - Ascending closing prices
+ * @param {Object} [options] - seasonLength, arOrder, confidence and horizons
+ * @returns {Object} confidence, per-model fit and forecasts, and the ensemble forecasts
+ */
+export function forecastPrices(closes, { seasonLength = 5, arOrder = 5, confidence = 0.8, horizons = FORECAST_HORIZONS } = {}) {
+  const logs = closes.map(Math.log);
+  const z = normalQuantile(0.5 + confidence / 2);
+  const price = closes[closes.length - 1];
+
+  const models = {
+    holtWinters: holtWinters(logs, seasonLength),
+    ar: autoregressive(logs, arOrder),
+    randomWalk: randomWalk(logs)
+  };
+
+  // Log-space point forecast and standard error per model and horizon
+  const paths = Object.fromEntries(
+    Object.entries(models).map(([name, model]) => [name, horizons.map(h => model.forecast(h))])
+  );
+
+  const toForecast = (horizon, mean, se) => ({
+    horizon,
+    price: round(Math.exp(mean)),
+    changePct: round((Math.exp(mean) / price - 1) * 100),
+    lower: round(Math.exp(mean - z * se)),
+    upper: round(Math.exp(mean + z * se))
+  });
+
+  const result = { confidence, models: {}, ensemble: [] };
+  for (const [name, model] of Object.entries(models)) {
+    result.models[name] = {
+      ...model.fit,
+      forecasts: paths[name].map((p, i) => toForecast(horizons[i], p.mean, p.se))
+    };
+  }
+
+  const names = Object.keys(models);
+  result.ensemble = horizons.map((horizon, i) => {
+    const mean = names.reduce((sum, name) => sum + paths[name][i].mean, 0) / names.length;
+    const lower = names.reduce((sum, name) => sum + paths[name][i].mean - z * paths[name][i].se, 0) / names.length;
+    const upper = names.reduce((sum, name) => sum + paths[name][i].mean + z * paths[name][i].se, 0) / names.length;
+    return {
+      horizon,
+      price: round(Math.exp(mean)),
+      changePct: round((Math.exp(mean) / price - 1) * 100),
+      lower: round(Math.exp(lower)),
+      upper: round(Math.exp(upper))
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Additive Holt-Winters on log prices, smoothing parameters fitted by grid search
+ * Forecast variance follows the ETS(A,A,A) result:
+ * se_h^2 = sigma^2 * (1 + sum_{j<h} (alpha * (1 + j * beta) + gamma' * [j mod m = 0])^2)
+ * with gamma' = (1 - alpha) * gamma for the classical seasonal update.
+ * @param {Array<number>} y - Ascending log prices
+ * @param {number} m - Season length in bars
+ * @returns {Object} fit (alpha, beta, gamma, seasonLength) and forecast(h) => { mean, se }
+ */
+export function holtWinters(y, m) {
+  let best = null;
+  for (const alpha of HW_GRID.alpha) {
+    for (const beta of HW_GRID.beta) {
+      for (const gamma of HW_GRID.gamma) {
+        const run = runHoltWinters(y, m, alpha, beta, gamma);
+        if (!best || run.sse < best.sse) best = { ...run, alpha, beta, gamma };
+      }
+    }
+  }
+
+  const { level, trend, seasonals, sse, count, alpha, beta, gamma } = best;
+  const sigma = Math.sqrt(sse / count);
+  const seasonalGamma = (1 - alpha) * gamma;
+
+  return {
+    fit: { alpha, beta, gamma, seasonLength: m },
+    forecast(h) {
+      let variance = 1;
+      for (let j = 1; j < h; j++) {
+        variance += (alpha * (1 + j * beta) + (j % m === 0 ? seasonalGamma : 0)) ** 2;
+      }
+      return {
+        mean: level + h * trend + seasonals[(h - 1) % m],
+        se: sigma * Math.sqrt(variance)
+      };
+    }
+  };
+}
+
+function runHoltWinters(y, m, alpha, beta, gamma) {
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  let level = mean(y.slice(0, m));
+  let trend = (mean(y.slice(m, 2 * m)) - level) / m;
+  const seasonals = y.slice(0, m).map(v => v - level);
+
+  let sse = 0;
+  let count = 0;
+  for (let t = m; t < y.length; t++) {
+    const seasonal = seasonals[t - m];
+    const error = y[t] - (level + trend + seasonal);
+    sse += error * error;
+    count++;
+
+    const previousLevel = level;
+    level = alpha * (y[t] - seasonal) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonals.push(gamma * (y[t] - level) + (1 - gamma) * seasonal);
+  }
+
+  // Seasonal factors for the next m bars, oldest first
+  return { level, trend, seasonals: seasonals.slice(-m), sse, count };
+}
+
+/**
+ * AR(p) on log returns fitted by least squares
+ * The h-bar log price change is the sum of recursive return forecasts; its
+ * variance uses the cumulative MA(infinity) weights of the fitted model.
+ * @param {Array<number>} y - Ascending log prices
+ * @param {number} p - Autoregressive order
+ * @returns {Object} fit (order, intercept, coefficients) and forecast(h) => { mean, se }
+ */
+export function autoregressive(y, p) {
+  const returns = y.slice(1).map((v, i) => v - y[i]);
+  const rows = [];
+  const targets = [];
+  for (let t = p; t < returns.length; t++) {
+    rows.push([1, ...Array.from({ length: p }, (_, i) => returns[t - 1 - i])]);
+    targets.push(returns[t]);
+  }
+
+  const beta = leastSquares(rows, targets);
+  const [intercept, ...phi] = beta;
+  const residuals = rows.map((row, i) => targets[i] - row.reduce((sum, x, j) => sum + x * beta[j], 0));
+  const dof = Math.max(1, residuals.length - beta.length);
+  const sigma = Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / dof);
+
+  // psi_0 = 1, psi_j = sum_i phi_i * psi_{j-i}
+  const psi = [1];
+  const last = y[y.length - 1];
+
+  return {
+    fit: {
+      order: p,
+      intercept: round(intercept, 6),
+      coefficients: phi.map(c => round(c, 4))
+    },
+    forecast(h) {
+      const history = returns.slice(-p);
+      let cumulative = 0;
+      for (let step = 0; step < h; step++) {
+        const next = intercept + phi.reduce((sum, c, i) => sum + c * history[history.length - 1 - i], 0);
+        history.push(next);
+        cumulative += next;
+      }
+
+      while (psi.length < h) {
+        const j = psi.length;
+        psi.push(phi.reduce((sum, c, i) => (j - 1 - i >= 0 ? sum + c * psi[j - 1 - i] : sum), 0));
+      }
+      let variance = 0;
+      let psiSum = 0;
+      for (let j = 0; j < h; j++) {
+        psiSum += psi[j];
+        variance += psiSum * psiSum;
+      }
+
+      return { mean: last + cumulative, se: sigma * Math.sqrt(variance) };
+    }
+  };
+}
+
+/**
+ * Random walk with drift on log prices: the baseline the other models should beat
+ * @param {Array<number>} y - Ascending log prices
+ * @returns {Object} fit (driftPct, volatilityPct per bar) and forecast(h) => { mean, se }
+ */
+export function randomWalk(y) {
+  const returns = y.slice(1).map((v, i) => v - y[i]);
+  const drift = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const sigma = stdDev(returns);
+  const last = y[y.length - 1];
+
+  return {
+    fit: {
+      driftPct: round(drift * 100, 4),
+      volatilityPct: round(sigma * 100, 4)
+    },
+    forecast(h) {
+      return { mean: last + drift * h, se: sigma * Math.sqrt(h) };
+    }
+  };
+}
+
+// Solve min ||Xb - y|| through the normal equations (Gaussian elimination, partial pivoting)
+function leastSquares(rows, targets) {
+  const k = rows[0].length;
+  const a = Array.from({ length: k }, () => new Array(k + 1).fill(0));
+  rows.forEach((row, n) => {
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < k; j++) a[i][j] += row[i] * row[j];
+      a[i][k] += row[i] * targets[n];
+    }
+  });
+  // A tiny ridge keeps flat stretches of returns from making the system singular
+  for (let i = 1; i < k; i++) a[i][i] += 1e-12;
+
+  for (let col = 0; col < k; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < k; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    if (a[col][col] === 0) continue;
+
+    for (let r = 0; r < k; r++) {
+      if (r === col) continue;
+      const factor = a[r][col] / a[col][col];
+      for (let c = col; c <= k; c++) a[r][c] -= factor * a[col][c];
+    }
+  }
+
+  return a.map((row, i) => (row[i] === 0 ? 0 : row[k] / row[i]));
+}
@@ -0,0 +1,123 @@
+// lib/indicators/Ichimoku.js
+// Ichimoku Kinko Hyo lines with a derived cloud-state classification
+
+export const ICHIMOKU = {
+  name: 'ICHIMOKU',
+  description: 'Ichimoku Cloud: Tenkan, Kijun, Senkou A/B, Chikou and cloud state',
+  params: {
+    tenkanPeriod: { type: 'integer', default: 9, min: 2, max: 100 },
+    kijunPeriod: { type: 'integer', default: 26, min: 2, max: 200 },
+    senkouBPeriod: { type: 'integer', default: 52, min: 2, max: 300 },
+    displacement: { type: 'integer', default: 26, min: 1, max: 100 }
+  },
+  // The cloud under today's price was projected `displacement` bars ago
+  lookback: ({ tenkanPeriod, kijunPeriod, senkouBPeriod, displacement }) =>
+    Math.max(tenkanPeriod, kijunPeriod, senkouBPeriod) + displacement,
+  validate: ({ tenkanPeriod, kijunPeriod, senkouBPeriod }) =>
+    (tenkanPeriod < kijunPeriod && kijunPeriod <= senkouBPeriod
+      ? null
+      : 'tenkanPeriod must be less than kijunPeriod, and kijunPeriod at most senkouBPeriod'),
+  compute(bars, { tenkanPeriod, kijunPeriod, senkouBPeriod, displacement }) {
+    const lastIndex = bars.length - 1;
+    const tenkanAt = (i) => midpoint(bars, i, tenkanPeriod);
+    const kijunAt = (i) => midpoint(bars, i, kijunPeriod);
+    const senkouAAt = (i) => (tenkanAt(i) + kijunAt(i)) / 2;
+    const senkouBAt = (i) => midpoint(bars, i, senkouBPeriod);
+
+    const tenkan = tenkanAt(lastIndex);
+    const kijun = kijunAt(lastIndex);
+    const close = bars[lastIndex].close;
+
+    // Cloud at the current bar, projected from `displacement` bars back
+    const senkouA = senkouAAt(lastIndex - displacement);
+    const senkouB = senkouBAt(lastIndex - displacement);
+    const cloudTop = Math.max(senkouA, senkouB);
+    const cloudBottom = Math.min(senkouA, senkouB);
+
+    // Cloud being projected today, and yesterday, for twist detection
+    const futureA = senkouAAt(lastIndex);
+    const futureB = senkouBAt(lastIndex);
+    const prevFutureA = senkouAAt(lastIndex - 1);
+    const prevFutureB = senkouBAt(lastIndex - 1);
+
+    return {
+      tenkan,
+      kijun,
+      senkouA,
+      senkouB,
+      chikou: close,
+      cloudTop,
+      cloudBottom,
+      futureSenkouA: futureA,
+      futureSenkouB: futureB,
+      state: classifyIchimoku({
+        close,
+        cloudTop,
+        cloudBottom,
+        chikouReference: bars[lastIndex - displacement].close,
+        futureA,
+        futureB,
+        prevFutureA,
+        prevFutureB,
+        tkCross: findTKCross(bars, tenkanAt, kijunAt, kijunPeriod, Math.max(tenkanPeriod, kijunPeriod))
+      })
+    };
+  }
+};
+
+/**
+ * Classify Ichimoku state from the computed lines
+ * bias is 'bullish' or 'bearish' only when price, TK relationship and the
+ * future cloud all agree; otherwise 'neutral'.
+ * @param {Object} lines - Close, cloud bounds, future spans and TK cross
+ * @returns {Object} price, tkCross, tkCrossBarsAgo, cloudTwist, futureCloud, chikou, bias
+ */
+export function classifyIchimoku({
+  close, cloudTop, cloudBottom, chikouReference,
+  futureA, futureB, prevFutureA, prevFutureB, tkCross
+}) {
+  const price = close > cloudTop ? 'above' : close < cloudBottom ? 'below' : 'in';
+  const futureCloud = futureA >= futureB ? 'bullish' : 'bearish';
+
+  let cloudTwist = null;
+  if (prevFutureA < prevFutureB && futureA >= futureB) cloudTwist = 'bullish';
+  else if (prevFutureA > prevFutureB && futureA <= futureB) cloudTwist = 'bearish';
+
+  const tkDirection = tkCross ? tkCross.direction : null;
+  let bias = 'neutral';
+  if (price === 'above' && tkDirection !== 'bearish' && futureCloud === 'bullish') bias = 'bullish';
+  if (price === 'below' && tkDirection !== 'bullish' && futureCloud === 'bearish') bias = 'bearish';
+
+  return {
+    price,
+    tkCross: tkDirection,
+    tkCrossBarsAgo: tkCross ? tkCross.barsAgo : null,
+    cloudTwist,
+    futureCloud,
+    chikou: close > chikouReference ? 'above' : close < chikouReference ? 'below' : 'flat',
+    bias
+  };
+}
+
+function midpoint(bars, end, period) {
+  let high = -Infinity;
+  let low = Infinity;
+  for (let i = end - period + 1; i <= end; i++) {
+    high = Math.max(high, bars[i].high);
+    low = Math.min(low, bars[i].low);
+  }
+  return (high + low) / 2;
+}
+
+// Most recent Tenkan/Kijun cross within the last `maxBars` bars
+function findTKCross(bars, tenkanAt, kijunAt, maxBars, firstValidIndex) {
+  const lastIndex = bars.length - 1;
+  const earliest = Math.max(firstValidIndex, lastIndex - maxBars);
+  for (let i = lastIndex; i > earliest; i--) {
+    const diff = tenkanAt(i) - kijunAt(i);
+    const prevDiff = tenkanAt(i - 1) - kijunAt(i - 1);
+    if (prevDiff <= 0 && diff > 0) return { direction: 'bullish', barsAgo: lastIndex - i };
+    if (prevDiff >= 0 && diff < 0) return { direction: 'bearish', barsAgo: lastIndex - i };
+  }
+  return null;
+}
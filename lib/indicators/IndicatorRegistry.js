@@ -0,0 +1,202 @@
+// lib/indicators/IndicatorRegistry.js
+// Registry of named technical indicators shared by the server and Pages functions
+
+/**
+ * Indicator Registry
+ * Holds indicator definitions keyed by upper-case name. A definition looks like:
+ *
+ *   {
+ *     name: 'RSI',
+ *     description: 'Relative Strength Index (Wilder smoothing)',
+ *     params: { period: { type: 'integer', default: 14, min: 2, max: 100 } },
+ *     lookback: (params) => params.period + 1,
+ *     validate: (params) => string | null,
+ *     compute: (bars, params) => number | Object | null
+ *   }
+ *
+ * `bars` is an ascending array of { date, open, high, low, close, volume } and
+ * `compute` returns the value for the most recent bar. The optional `validate`
+ * checks relations between resolved parameters that per-field ranges cannot
+ * express, returning a message when they do not hold.
+ */
+export class IndicatorRegistry {
+  constructor() {
+    this.indicators = new Map();
+  }
+
+  /**
+   * Register an indicator definition
+   * @param {Object} definition - Indicator definition
+   * @returns {IndicatorRegistry} This registry, for chaining
+   */
+  register(definition) {
+    if (!definition?.name || typeof definition.compute !== 'function') {
+      throw new Error('Indicator definition requires a name and a compute function');
+    }
+
+    const name = definition.name.toUpperCase();
+    if (this.indicators.has(name)) {
+      throw new Error(`Indicator ${name} is already registered`);
+    }
+
+    this.indicators.set(name, {
+      description: '',
+      params: {},
+      lookback: () => 1,
+      ...definition,
+      name
+    });
+    return this;
+  }
+
+  /**
+   * Get an indicator definition by name (case-insensitive)
+   * @param {string} name - Indicator name
+   * @returns {Object|null} Definition or null if not registered
+   */
+  get(name) {
+    return this.indicators.get(String(name).toUpperCase()) || null;
+  }
+
+  /**
+   * Get an indicator definition, throwing if it is not registered
+   * @param {string} name - Indicator name
+   * @returns {Object} Definition
+   */
+  require(name) {
+    const indicator = this.get(name);
+    if (!indicator) {
+      throw new Error(`Unknown indicator: ${name}`);
+    }
+    return indicator;
+  }
+
+  /**
+   * Check whether an indicator is registered
+   * @param {string} name - Indicator name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.indicators.has(String(name).toUpperCase());
+  }
+
+  /**
+   * Names of all registered indicators
+   * @returns {Array<string>} Indicator names in registration order
+   */
+  names() {
+    return Array.from(this.indicators.keys());
+  }
+
+  /**
+   * Describe all registered indicators (for discovery endpoints)
+   * @returns {Array<Object>} Name, description, parameter schema and default lookback
+   */
+  list() {
+    return Array.from(this.indicators.values()).map(indicator => ({
+      name: indicator.name,
+      description: indicator.description,
+      params: indicator.params,
+      lookback: indicator.lookback(this.resolveParams(indicator.name))
+    }));
+  }
+
+  /**
+   * Validate parameters against an indicator's schema and fill in defaults
+   * Every entry point (analyze, backtest, optimizer) resolves parameters
+   * here, so invalid combinations are rejected before anything is computed.
+   * @param {string} name - Indicator name
+   * @param {Object} params - Requested parameters (numbers or numeric strings)
+   * @returns {Object} Resolved parameters
+   */
+  resolveParams(name, params = {}) {
+    const indicator = this.require(name);
+
+    for (const key of Object.keys(params)) {
+      if (!(key in indicator.params)) {
+        throw new Error(`Unknown parameter for ${indicator.name}: ${key}`);
+      }
+    }
+
+    const resolved = {};
+    for (const [key, schema] of Object.entries(indicator.params)) {
+      const raw = params[key];
+      if (raw === undefined || raw === null || raw === '') {
+        resolved[key] = schema.default;
+        continue;
+      }
+
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`Invalid ${indicator.name} parameter ${key}: expected ${schema.type || 'number'}`);
+      }
+      if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        throw new Error(`Invalid ${indicator.name} parameter ${key}: must be between ${schema.min} and ${schema.max}`);
+      }
+      resolved[key] = value;
+    }
+
+    const problem = indicator.validate?.(resolved);
+    if (problem) {
+      throw new Error(`Invalid ${indicator.name} parameters: ${problem}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Minimum number of bars an indicator needs
+   * @param {string} name - Indicator name
+   * @param {Object} params - Indicator parameters
+   * @returns {number} Required bar count
+   */
+  lookback(name, params = {}) {
+    return this.require(name).lookback(this.resolveParams(name, params));
+  }
+
+  /**
+   * Largest lookback across a set of indicators
+   * @param {Array<string>} names - Indicator names
+   * @param {Object} paramsByName - Parameters keyed by indicator name
+   * @returns {number} Required bar count
+   */
+  maxLookback(names, paramsByName = {}) {
+    return names.reduce(
+      (max, name) => Math.max(max, this.lookback(name, paramsByName[String(name).toUpperCase()])),
+      1
+    );
+  }
+
+  /**
+   * Compute one indicator over a bar series
+   * @param {string} name - Indicator name
+   * @param {Array<Object>} bars - Ascending OHLCV bars
+   * @param {Object} params - Indicator parameters
+   * @returns {number|Object|null} Latest value or null when there is not enough history
+   */
+  compute(name, bars, params = {}) {
+    const indicator = this.require(name);
+    const resolved = this.resolveParams(name, params);
+
+    if (!bars || bars.length < indicator.lookback(resolved)) {
+      return null;
+    }
+    return indicator.compute(bars, resolved);
+  }
+
+  /**
+   * Compute several indicators over the same bar series
+   * @param {Array<Object>} bars - Ascending OHLCV bars
+   * @param {Array<string>} names - Indicator names
+   * @param {Object} paramsByName - Parameters keyed by indicator name
+   * @returns {Object} Values keyed by indicator name
+   */
+  computeAll(bars, names = this.names(), paramsByName = {}) {
+    const results = {};
+    for (const name of names) {
+      const key = String(name).toUpperCase();
+      results[key] = this.compute(key, bars, paramsByName[key]);
+    }
+    return results;
+  }
+}
@@ -0,0 +1,27 @@
+// lib/indicators/KeltnerChannels.js
+// Keltner Channels: EMA middle line with ATR envelopes
+
+import { emaSeries, last } from './math.js';
+import { atrSeries } from './ATR.js';
+
+export const KELTNER = {
+  name: 'KELTNER',
+  description: 'Keltner Channels: EMA of close with ATR-multiple envelopes',
+  params: {
+    emaPeriod: { type: 'integer', default: 20, min: 2, max: 200 },
+    atrPeriod: { type: 'integer', default: 10, min: 2, max: 100 },
+    multiplier: { type: 'number', default: 2, min: 0.5, max: 5 }
+  },
+  lookback: ({ emaPeriod, atrPeriod }) => Math.max(emaPeriod, atrPeriod + 1),
+  compute(bars, { emaPeriod, atrPeriod, multiplier }) {
+    const middle = last(emaSeries(bars.map(b => b.close), emaPeriod));
+    const atr = last(atrSeries(bars, atrPeriod));
+    if (middle === null || atr === null) return null;
+
+    return {
+      upper: middle + atr * multiplier,
+      middle,
+      lower: middle - atr * multiplier
+    };
+  }
+};
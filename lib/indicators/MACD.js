@@ -0,0 +1,47 @@
+// lib/indicators/MACD.js
+// Moving Average Convergence Divergence
+
+import { emaSeries, last } from './math.js';
+
+export const MACD = {
+  name: 'MACD',
+  description: 'MACD line, signal line and histogram from closing prices',
+  params: {
+    fastPeriod: { type: 'integer', default: 12, min: 2, max: 100 },
+    slowPeriod: { type: 'integer', default: 26, min: 3, max: 200 },
+    signalPeriod: { type: 'integer', default: 9, min: 2, max: 50 }
+  },
+  lookback: ({ slowPeriod, signalPeriod }) => slowPeriod + signalPeriod - 1,
+  validate: ({ fastPeriod, slowPeriod }) =>
+    (fastPeriod >= slowPeriod ? 'fastPeriod must be less than slowPeriod' : null),
+  compute(bars, params) {
+    const { macd, signal, histogram } = macdSeries(bars.map(b => b.close), params);
+    if (last(signal) === null) return null;
+
+    return {
+      macd: last(macd),
+      signal: last(signal),
+      histogram: last(histogram)
+    };
+  }
+};
+
+/**
+ * MACD series aligned to the input closes
+ * @param {Array<number>} closes - Ascending closing prices
+ * @param {Object} params - fastPeriod, slowPeriod, signalPeriod
+ * @returns {Object} macd, signal and histogram series (null where undefined)
+ */
+export function macdSeries(closes, { fastPeriod = 12, slowPeriod = 26, signalPeriod = 9 } = {}) {
+  if (fastPeriod >= slowPeriod) {
+    throw new Error('Invalid MACD parameters: fastPeriod must be less than slowPeriod');
+  }
+
+  const fast = emaSeries(closes, fastPeriod);
+  const slow = emaSeries(closes, slowPeriod);
+  const macd = closes.map((_, i) => (fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null));
+  const signal = emaSeries(macd, signalPeriod);
+  const histogram = macd.map((m, i) => (m !== null && signal[i] !== null ? m - signal[i] : null));
+
+  return { macd, signal, histogram };
+}
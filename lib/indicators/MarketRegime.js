@@ -0,0 +1,122 @@
+// lib/indicators/MarketRegime.js
+// Market regime classification from a benchmark trend and realized volatility
+
+import { smaSeries, stdDev, last } from './math.js';
+
+export const BENCHMARK_SYMBOL = 'SPY';
+
+// Bars of short-term realized volatility compared against the longer baseline
+const VOL_WINDOW = 20;
+const VOL_BASELINE = 252;
+// Short-term volatility this many times the baseline is a high-volatility regime
+const BENCHMARK_VOL_RATIO = 1.5;
+const SYMBOL_VOL_RATIO = 1.75;
+
+/**
+ * Per-regime adjustments
+ * rsi: RSI oversold/overbought thresholds used for the signal (bull markets
+ * rarely reach 30, bear markets rarely reach 70).
+ * weights: multipliers on ScoringEngine component weights.
+ * score: shifts to the composite BUY score and minimum confidence.
+ */
+export const REGIMES = {
+  trending_up: {
+    rsi: { oversold: 40, overbought: 80 },
+    weights: { TREND: 1.5, MACD: 1.25, ADX: 1.25, ICHIMOKU: 1.5, RSI: 0.75, STOCH: 0.75, BOLLINGER: 0.75 },
+    score: { buy: 0, minConfidence: 0 }
+  },
+  trending_down: {
+    rsi: { oversold: 20, overbought: 60 },
+    weights: { TREND: 1.5, MACD: 1.25, ADX: 1.25, ICHIMOKU: 1.5, RSI: 0.75, STOCH: 0.75, BOLLINGER: 0.75 },
+    score: { buy: 5, minConfidence: 0.05 }
+  },
+  range_bound: {
+    rsi: { oversold: 30, overbought: 70 },
+    weights: { RSI: 1.5, STOCH: 1.5, BOLLINGER: 1.5, DIVERGENCE: 1.25, TREND: 0.75, MACD: 0.75, ADX: 0.5, ICHIMOKU: 0.75 },
+    score: { buy: 0, minConfidence: 0 }
+  },
+  high_volatility: {
+    rsi: { oversold: 25, overbought: 75 },
+    weights: { VOLUME: 1.5, DIVERGENCE: 1.25, CANDLES: 0.5, STOCH: 0.75 },
+    score: { buy: 5, minConfidence: 0.1 }
+  }
+};
+
+/**
+ * Classify the market regime for a symbol
+ * The trend comes from the benchmark (symbol bars when no benchmark is given):
+ * close vs the 200-bar SMA (50 for short histories) plus the 50-bar SMA slope.
+ * Either the benchmark or the symbol running well above its usual realized
+ * volatility overrides the trend with 'high_volatility'.
+ * @param {Array<Object>} bars - Ascending OHLCV bars for the symbol
+ * @param {Array<Object>|null} [benchmarkBars] - Ascending OHLCV bars for the benchmark
+ * @param {string} [benchmarkSymbol] - Benchmark label for the report
+ * @returns {Object} regime, source, trend, volatility and the RSI thresholds it implies
+ */
+export function classifyRegime(bars, benchmarkBars = null, benchmarkSymbol = BENCHMARK_SYMBOL) {
+  const hasBenchmark = Array.isArray(benchmarkBars) && benchmarkBars.length >= 50;
+  const trendBars = hasBenchmark ? benchmarkBars : bars;
+
+  const trend = trendState(trendBars.map(b => b.close));
+  const symbolVol = volatilityState(bars.map(b => b.close));
+  const benchmarkVol = hasBenchmark ? volatilityState(benchmarkBars.map(b => b.close)) : null;
+
+  let regime = trend.direction === 'up' ? 'trending_up' : trend.direction === 'down' ? 'trending_down' : 'range_bound';
+  if ((benchmarkVol?.ratio ?? 0) >= BENCHMARK_VOL_RATIO || (symbolVol.ratio ?? 0) >= SYMBOL_VOL_RATIO) {
+    regime = 'high_volatility';
+  }
+
+  return {
+    regime,
+    source: hasBenchmark ? benchmarkSymbol : 'symbol',
+    trend,
+    volatility: {
+      symbol: symbolVol,
+      benchmark: benchmarkVol
+    },
+    thresholds: { ...REGIMES[regime].rsi }
+  };
+}
+
+function trendState(closes) {
+  const close = closes[closes.length - 1];
+  const longPeriod = closes.length >= 200 ? 200 : 50;
+  const longSma = closes.length >= longPeriod ? last(smaSeries(closes, longPeriod)) : null;
+  const sma50 = smaSeries(closes, 50);
+  const slopeBars = 10;
+  const slope = closes.length >= 50 + slopeBars
+    ? (sma50[sma50.length - 1] / sma50[sma50.length - 1 - slopeBars] - 1) * 100
+    : null;
+
+  let direction = 'sideways';
+  if (longSma !== null && slope !== null) {
+    if (close > longSma && slope > 0) direction = 'up';
+    else if (close < longSma && slope < 0) direction = 'down';
+  }
+
+  return {
+    direction,
+    smaPeriod: longPeriod,
+    distancePct: longSma !== null ? (close / longSma - 1) * 100 : null,
+    sma50SlopePct: slope
+  };
+}
+
+function volatilityState(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    returns.push(Math.log(closes[i] / closes[i - 1]));
+  }
+  if (returns.length < VOL_WINDOW * 2) {
+    return { current: null, baseline: null, ratio: null };
+  }
+
+  // Per-bar standard deviation of log returns, in percent
+  const current = stdDev(returns.slice(-VOL_WINDOW)) * 100;
+  const baseline = stdDev(returns.slice(-VOL_BASELINE)) * 100;
+  return {
+    current,
+    baseline,
+    ratio: baseline > 0 ? current / baseline : null
+  };
+}
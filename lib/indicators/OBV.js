@@ -0,0 +1,41 @@
+// lib/indicators/OBV.js
+// On-Balance Volume with a normalized trend over a recent window
+
+import { last } from './math.js';
+
+export const OBV = {
+  name: 'OBV',
+  description: 'On-Balance Volume and its net flow over the trend window as a share of traded volume',
+  params: {
+    period: { type: 'integer', default: 20, min: 2, max: 200 }
+  },
+  lookback: ({ period }) => period + 1,
+  compute(bars, { period }) {
+    const series = obvSeries(bars);
+    const window = bars.slice(-period);
+    const traded = window.reduce((sum, b) => sum + b.volume, 0);
+    const change = last(series) - series[series.length - 1 - period];
+
+    return {
+      obv: last(series),
+      // -1 when every bar in the window closed down, +1 when every bar closed up
+      trend: traded > 0 ? change / traded : 0
+    };
+  }
+};
+
+/**
+ * OBV series aligned to the input bars, starting at zero
+ * @param {Array<Object>} bars - Ascending OHLCV bars
+ * @returns {Array<number>} Cumulative on-balance volume
+ */
+export function obvSeries(bars) {
+  let obv = 0;
+  return bars.map((bar, i) => {
+    if (i > 0) {
+      if (bar.close > bars[i - 1].close) obv += bar.volume;
+      else if (bar.close < bars[i - 1].close) obv -= bar.volume;
+    }
+    return obv;
+  });
+}
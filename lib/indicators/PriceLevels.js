@@ -0,0 +1,132 @@
+// lib/indicators/PriceLevels.js
+// Pivot points and swing-based support/resistance zones
+
+export const PIVOTS = {
+  name: 'PIVOTS',
+  description: 'Classic, Fibonacci and Camarilla pivot points for the next session from the latest bar',
+  params: {},
+  lookback: () => 1,
+  compute(bars) {
+    return pivotPoints(bars[bars.length - 1]);
+  }
+};
+
+export const SR_ZONES = {
+  name: 'SR_ZONES',
+  description: 'Support/resistance zones from clustered swing highs and lows, with touch counts',
+  params: {
+    period: { type: 'integer', default: 120, min: 10, max: 1000 },
+    swingStrength: { type: 'integer', default: 3, min: 1, max: 20 },
+    tolerancePct: { type: 'number', default: 1, min: 0.1, max: 10 },
+    maxZones: { type: 'integer', default: 6, min: 1, max: 20 }
+  },
+  // Scans up to `period` bars, but a single swing only needs strength bars either side
+  lookback: ({ swingStrength }) => swingStrength * 2 + 1,
+  compute(bars, { period, swingStrength, tolerancePct, maxZones }) {
+    const window = bars.slice(-period);
+    const close = window[window.length - 1].close;
+    const swings = findSwings(window, swingStrength);
+
+    return clusterSwings(swings, tolerancePct / 100)
+      .sort((a, b) => b.touches - a.touches || b.lastIndex - a.lastIndex)
+      .slice(0, maxZones)
+      .map(zone => ({
+        level: zone.level,
+        low: zone.low,
+        high: zone.high,
+        touches: zone.touches,
+        type: zone.level <= close ? 'support' : 'resistance',
+        lastTouch: window[zone.lastIndex].date
+      }))
+      .sort((a, b) => b.level - a.level);
+  }
+};
+
+/**
+ * Pivot levels from one bar's high, low and close
+ * @param {Object} bar - OHLC bar (usually the last completed session)
+ * @returns {Object} classic, fibonacci and camarilla level sets
+ */
+export function pivotPoints({ high, low, close }) {
+  const pp = (high + low + close) / 3;
+  const range = high - low;
+
+  return {
+    classic: {
+      pp,
+      r1: 2 * pp - low,
+      r2: pp + range,
+      r3: high + 2 * (pp - low),
+      s1: 2 * pp - high,
+      s2: pp - range,
+      s3: low - 2 * (high - pp)
+    },
+    fibonacci: {
+      pp,
+      r1: pp + 0.382 * range,
+      r2: pp + 0.618 * range,
+      r3: pp + range,
+      s1: pp - 0.382 * range,
+      s2: pp - 0.618 * range,
+      s3: pp - range
+    },
+    camarilla: {
+      pp,
+      r1: close + range * 1.1 / 12,
+      r2: close + range * 1.1 / 6,
+      r3: close + range * 1.1 / 4,
+      r4: close + range * 1.1 / 2,
+      s1: close - range * 1.1 / 12,
+      s2: close - range * 1.1 / 6,
+      s3: close - range * 1.1 / 4,
+      s4: close - range * 1.1 / 2
+    }
+  };
+}
+
+/**
+ * Swing highs and lows: bars whose high (low) is the extreme of `strength` bars either side
+ * @param {Array<Object>} bars - Ascending OHLC bars
+ * @param {number} strength - Bars required on each side
+ * @returns {Array<Object>} Swing points with index, price and kind ('high' or 'low')
+ */
+export function findSwings(bars, strength) {
+  const swings = [];
+  for (let i = strength; i < bars.length - strength; i++) {
+    let isHigh = true;
+    let isLow = true;
+    for (let j = i - strength; j <= i + strength; j++) {
+      if (j === i) continue;
+      if (bars[j].high >= bars[i].high) isHigh = false;
+      if (bars[j].low <= bars[i].low) isLow = false;
+    }
+    if (isHigh) swings.push({ index: i, price: bars[i].high, kind: 'high' });
+    if (isLow) swings.push({ index: i, price: bars[i].low, kind: 'low' });
+  }
+  return swings;
+}
+
+// Greedy clustering of swing prices within a relative tolerance of the zone's mean
+function clusterSwings(swings, tolerance) {
+  const zones = [];
+  for (const swing of [...swings].sort((a, b) => a.price - b.price)) {
+    const zone = zones[zones.length - 1];
+    if (zone && Math.abs(swing.price - zone.level) <= zone.level * tolerance) {
+      zone.sum += swing.price;
+      zone.touches += 1;
+      zone.level = zone.sum / zone.touches;
+      zone.high = Math.max(zone.high, swing.price);
+      zone.lastIndex = Math.max(zone.lastIndex, swing.index);
+    } else {
+      zones.push({
+        sum: swing.price,
+        level: swing.price,
+        low: swing.price,
+        high: swing.price,
+        touches: 1,
+        lastIndex: swing.index
+      });
+    }
+  }
+  return zones;
+}
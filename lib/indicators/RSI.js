@@ -0,0 +1,77 @@
+// lib/indicators/RSI.js
+// Relative Strength Index with Wilder smoothing
+
+import { last } from './math.js';
+
+export const RSI = {
+  name: 'RSI',
+  description: 'Relative Strength Index (Wilder smoothing)',
+  params: {
+    period: { type: 'integer', default: 14, min: 2, max: 100 },
+    // Signal thresholds; they do not change the RSI value itself
+    oversold: { type: 'number', default: 30, min: 1, max: 49 },
+    overbought: { type: 'number', default: 70, min: 51, max: 99 }
+  },
+  lookback: ({ period }) => period + 1,
+  compute(bars, { period }) {
+    return calculateRSI(bars.map(b => b.close), period);
+  }
+};
+
+/**
+ * Calculate RSI for the latest close
+ * @param {Array<number>} closes - Ascending closing prices
+ * @param {number} period - Smoothing period
+ * @returns {number|null} RSI (0-100) or null if there is not enough data
+ */
+export function calculateRSI(closes, period = 14) {
+  return last(rsiSeries(closes, period));
+}
+
+/**
+ * RSI series aligned to the input closes
+ * @param {Array<number>} closes - Ascending closing prices
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} RSI (0-100), null for the first `period` closes
+ */
+export function rsiSeries(closes, period = 14) {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length < period + 1) {
+    return result;
+  }
+
+  const changes = [];
+  for (let i = 1; i < closes.length; i++) {
+    changes.push(closes[i] - closes[i - 1]);
+  }
+
+  // Initial simple averages over first 'period' changes
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 0; i < period; i++) {
+    const change = changes[i];
+    avgGain += Math.max(0, change);
+    avgLoss += Math.abs(Math.min(0, change));
+  }
+  avgGain /= period;
+  avgLoss /= period;
+  result[period] = toRSI(avgGain, avgLoss);
+
+  // Smooth (Wilder's EMA) for remaining changes
+  for (let i = period; i < changes.length; i++) {
+    const change = changes[i];
+    avgGain = (avgGain * (period - 1) + Math.max(0, change)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.abs(Math.min(0, change))) / period;
+    result[i + 1] = toRSI(avgGain, avgLoss);
+  }
+
+  return result;
+}
+
+function toRSI(avgGain, avgLoss) {
+  if (avgLoss === 0) {
+    return 100;
+  }
+  const rs = avgGain / avgLoss;
+  return 100 - (100 / (1 + rs));
+}
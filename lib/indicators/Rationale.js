@@ -0,0 +1,87 @@
+// lib/indicators/Rationale.js
+// Human-readable reasons behind a composite score
+
+// Contributions smaller than this (in score points) are not worth a reason
+const MIN_POINTS = 0.5;
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+// Each describer turns the analysis behind a score component into a short phrase
+const DESCRIBERS = {
+  RSI({ rsi, parameters }) {
+    const { oversold = 30, overbought = 70 } = parameters?.RSI || {};
+    const state = rsi < oversold ? 'oversold' : rsi > overbought ? 'overbought' : 'neutral';
+    return `RSI ${Math.round(rsi)} ${state}`;
+  },
+  TREND({ currentPrice, sma50, parameters }) {
+    const pct = (currentPrice / sma50 - 1) * 100;
+    const period = parameters?.SMA?.period ?? 50;
+    return `price ${Math.abs(pct).toFixed(1)}% ${pct >= 0 ? 'above' : 'below'} SMA${period}`;
+  },
+  MACD({ indicators }) {
+    const { histogram } = indicators.MACD;
+    return `MACD histogram ${histogram >= 0 ? 'positive' : 'negative'} at ${histogram.toFixed(2)}`;
+  },
+  BOLLINGER({ indicators }) {
+    const { percentB } = indicators.BOLLINGER;
+    const where = percentB < 0.2 ? 'near the lower Bollinger band' : percentB > 0.8 ? 'near the upper Bollinger band' : 'mid Bollinger range';
+    return `price ${where}, %B ${percentB.toFixed(2)}`;
+  },
+  STOCH({ indicators }) {
+    const { k } = indicators.STOCH;
+    const state = k < 20 ? 'oversold' : k > 80 ? 'overbought' : 'neutral';
+    return `Stochastic %K ${Math.round(k)} ${state}`;
+  },
+  ADX({ indicators }) {
+    const { adx, plusDI, minusDI } = indicators.ADX;
+    const direction = plusDI >= minusDI ? 'up' : 'down';
+    return adx < 20
+      ? `ADX ${Math.round(adx)} weak trend`
+      : `ADX ${Math.round(adx)} ${direction}trend, +DI ${Math.round(plusDI)} vs -DI ${Math.round(minusDI)}`;
+  },
+  ICHIMOKU({ indicators }) {
+    const { price, bias } = indicators.ICHIMOKU.state;
+    const where = price === 'in' ? 'inside' : price;
+    return `price ${where} the Ichimoku cloud${bias === 'neutral' ? '' : `, ${bias} bias`}`;
+  },
+  VOLUME(analysis, contribution) {
+    const score = Math.round(50 + contribution.signal * 50);
+    return `volume confirmation ${score}/100`;
+  },
+  DIVERGENCE({ indicators }) {
+    const latest = [...indicators.DIVERGENCE].sort((a, b) => a.barsAgo - b.barsAgo)[0];
+    if (!latest) return 'no recent divergences';
+    return `${latest.type} ${latest.direction} ${latest.indicator} divergence ${latest.barsAgo} bars ago`;
+  },
+  CANDLES({ indicators }) {
+    const patterns = indicators.CANDLES.filter(p => p.direction !== 'neutral');
+    if (patterns.length === 0) return 'no directional candlestick patterns';
+    const latest = patterns[patterns.length - 1];
+    const name = latest.pattern.toLowerCase().replace(/_/g, ' ');
+    return `${latest.direction} ${name}, strength ${latest.strength}`;
+  },
+  ML({ ml }) {
+    return `ML model ${Math.round(ml.probabilityUp * 100)}% chance of a rise over ${ml.horizon} day${ml.horizon === 1 ? '' : 's'}`;
+  }
+};
+
+/**
+ * Turn score contributions into structured reasons, largest impact first
+ * e.g. { indicator: 'RSI', text: 'RSI 27 oversold (+7.5)', points: 7.5, direction: 'bullish' }
+ * @param {Object} analysis - Result of analyzeSymbol/buildAnalysis
+ * @param {Object} composite - ScoringEngine.score result for the same analysis
+ * @returns {Array<Object>} Reasons with indicator, text, points and direction
+ */
+export function explainScore(analysis, composite) {
+  return composite.contributions
+    .filter(c => Math.abs(c.points) >= MIN_POINTS && DESCRIBERS[c.indicator])
+    .map(c => {
+      const points = round(c.points, 1);
+      return {
+        indicator: c.indicator,
+        text: `${DESCRIBERS[c.indicator](analysis, c)} (${points > 0 ? '+' : ''}${points})`,
+        points,
+        direction: points > 0 ? 'bullish' : 'bearish'
+      };
+    });
+}
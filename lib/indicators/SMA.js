@@ -0,0 +1,14 @@
+// lib/indicators/SMA.js
+// Simple moving average of closing prices
+
+export const SMA = {
+  name: 'SMA',
+  description: 'Simple moving average of closing prices',
+  params: {
+    period: { type: 'integer', default: 50, min: 2, max: 400 }
+  },
+  lookback: ({ period }) => period,
+  compute(bars, { period }) {
+    return bars.slice(-period).reduce((sum, b) => sum + b.close, 0) / period;
+  }
+};
@@ -0,0 +1,237 @@
+// lib/indicators/ScoringEngine.js
+// Weighted multi-indicator composite score with an agreement-based confidence
+
+import { volumeConfirmation, divergenceBias } from '../analyze.js';
+import { REGIMES } from './MarketRegime.js';
+
+/**
+ * Weight profiles: relative weight per component (normalized over the
+ * components available for a symbol) and the score/confidence needed for a
+ * BUY or STRONG_BUY. SELL thresholds mirror BUY around 50.
+ * Conservative leans on trend confirmation, aggressive on mean reversion and
+ * reversal cues.
+ */
+export const WEIGHT_PROFILES = {
+  conservative: {
+    weights: {
+      RSI: 0.05, TREND: 0.2, MACD: 0.15, BOLLINGER: 0.05, STOCH: 0,
+      ADX: 0.15, ICHIMOKU: 0.2, VOLUME: 0.1, DIVERGENCE: 0.05, CANDLES: 0.05, ML: 0.05
+    },
+    thresholds: { buy: 65, strongBuy: 80, minConfidence: 0.5 }
+  },
+  balanced: {
+    weights: {
+      RSI: 0.15, TREND: 0.15, MACD: 0.15, BOLLINGER: 0.1, STOCH: 0.05,
+      ADX: 0.05, ICHIMOKU: 0.1, VOLUME: 0.1, DIVERGENCE: 0.1, CANDLES: 0.05, ML: 0.1
+    },
+    thresholds: { buy: 60, strongBuy: 75, minConfidence: 0.35 }
+  },
+  aggressive: {
+    weights: {
+      RSI: 0.2, TREND: 0.05, MACD: 0.1, BOLLINGER: 0.1, STOCH: 0.1,
+      ADX: 0.05, ICHIMOKU: 0.05, VOLUME: 0.1, DIVERGENCE: 0.15, CANDLES: 0.1, ML: 0.1
+    },
+    thresholds: { buy: 55, strongBuy: 70, minConfidence: 0.2 }
+  }
+};
+
+export const DEFAULT_PROFILE = 'balanced';
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+// Each component maps an analysis to -1 (bearish) .. 1 (bullish), or null when unavailable
+const COMPONENTS = {
+  RSI({ rsi, parameters }) {
+    const { oversold = 30, overbought = 70 } = parameters?.RSI || {};
+    return clamp(((oversold + overbought) / 2 - rsi) / ((overbought - oversold) / 2));
+  },
+  TREND({ currentPrice, sma50 }) {
+    return clamp((currentPrice / sma50 - 1) * 10);
+  },
+  MACD({ currentPrice, indicators }) {
+    if (!indicators?.MACD) return null;
+    return clamp(indicators.MACD.histogram / (currentPrice * 0.005));
+  },
+  BOLLINGER({ indicators }) {
+    const percentB = indicators?.BOLLINGER?.percentB;
+    if (typeof percentB !== 'number') return null;
+    return clamp((0.5 - percentB) * 2);
+  },
+  STOCH({ indicators }) {
+    if (!indicators?.STOCH) return null;
+    return clamp((50 - indicators.STOCH.k) / 30);
+  },
+  ADX({ indicators }) {
+    if (!indicators?.ADX) return null;
+    const { adx, plusDI, minusDI } = indicators.ADX;
+    return Math.sign(plusDI - minusDI) * Math.min(1, adx / 40);
+  },
+  ICHIMOKU({ indicators }) {
+    const state = indicators?.ICHIMOKU?.state;
+    if (!state) return null;
+    if (state.bias === 'bullish') return 1;
+    if (state.bias === 'bearish') return -1;
+    return state.price === 'above' ? 0.5 : state.price === 'below' ? -0.5 : 0;
+  },
+  VOLUME(analysis) {
+    if (!analysis.historical) return null;
+    return (volumeConfirmation(analysis) - 50) / 50;
+  },
+  DIVERGENCE(analysis) {
+    if (!Array.isArray(analysis.indicators?.DIVERGENCE)) return null;
+    return divergenceBias(analysis);
+  },
+  CANDLES({ indicators }) {
+    if (!Array.isArray(indicators?.CANDLES)) return null;
+    return clamp(indicators.CANDLES.reduce((sum, p) => {
+      const sign = p.direction === 'bullish' ? 1 : p.direction === 'bearish' ? -1 : 0;
+      return sum + sign * p.strength;
+    }, 0));
+  },
+  // A 75% (25%) probability of a rise is fully bullish (bearish)
+  ML({ ml }) {
+    if (!ml) return null;
+    return clamp((ml.probabilityUp - 0.5) / 0.25);
+  }
+};
+
+// Components that only count toward coverage when present: without a trained
+// model there is no ML signal, which is not missing data
+const OPTIONAL_COMPONENTS = new Set(['ML']);
+
+export const SCORE_COMPONENTS = Object.keys(COMPONENTS);
+
+/**
+ * Composite scoring engine
+ * score = 50 + 50 * weighted mean of component signals (0-100)
+ * confidence = agreement * coverage (0-1), where agreement is how much of the
+ * weighted signal points the same way and coverage is the share of profile
+ * weight that had data.
+ * When the analysis carries a market regime, its weight multipliers and
+ * threshold shifts (see REGIMES) are applied on top of the profile.
+ */
+export class ScoringEngine {
+  /**
+   * @param {Object} [options] - Engine options
+   * @param {string} [options.profile='balanced'] - Name in WEIGHT_PROFILES
+   * @param {Object} [options.weights] - Per-component weight overrides
+   * @param {Object} [options.thresholds] - buy/strongBuy/minConfidence overrides
+   */
+  constructor({ profile = DEFAULT_PROFILE, weights = {}, thresholds = {} } = {}) {
+    const base = WEIGHT_PROFILES[profile];
+    if (!base) {
+      throw new Error(`Unknown weight profile: ${profile}. Use ${Object.keys(WEIGHT_PROFILES).join(', ')}`);
+    }
+    for (const name of Object.keys(weights)) {
+      if (!(name in COMPONENTS)) {
+        throw new Error(`Unknown score component: ${name}`);
+      }
+    }
+
+    this.profile = profile;
+    this.weights = { ...base.weights, ...weights };
+    this.thresholds = { ...base.thresholds, ...thresholds };
+  }
+
+  /**
+   * Score one analysis
+   * @param {Object} analysis - Result of analyzeSymbol/buildAnalysis
+   * @returns {Object} compositeScore, confidence, signal, profile, regime and contributions
+   */
+  score(analysis) {
+    const regime = REGIMES[analysis.regime?.regime] ? analysis.regime.regime : null;
+    const weights = this.regimeWeights(regime);
+    const thresholds = this.regimeThresholds(regime);
+    const parts = [];
+    for (const [name, component] of Object.entries(COMPONENTS)) {
+      const weight = weights[name] || 0;
+      if (weight <= 0) continue;
+      const signal = component(analysis);
+      if (signal === null || !Number.isFinite(signal)) continue;
+      parts.push({ indicator: name, signal, weight });
+    }
+
+    const totalWeight = Object.entries(weights)
+      .filter(([name]) => !OPTIONAL_COMPONENTS.has(name) || parts.some(p => p.indicator === name))
+      .reduce((sum, [, w]) => sum + w, 0);
+    const availableWeight = parts.reduce((sum, p) => sum + p.weight, 0);
+    if (availableWeight === 0) {
+      return this.result(50, 0, [], { regime, thresholds });
+    }
+
+    const net = parts.reduce((sum, p) => sum + p.weight * p.signal, 0);
+    const gross = parts.reduce((sum, p) => sum + p.weight * Math.abs(p.signal), 0);
+    const agreement = gross > 0 ? Math.abs(net) / gross : 0;
+    const coverage = availableWeight / totalWeight;
+
+    const contributions = parts
+      .map(p => ({
+        indicator: p.indicator,
+        signal: parseFloat(p.signal.toFixed(2)),
+        weight: parseFloat((p.weight / availableWeight).toFixed(3)),
+        points: parseFloat((50 * p.weight * p.signal / availableWeight).toFixed(2))
+      }))
+      .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+    return this.result(50 + 50 * net / availableWeight, agreement * coverage, contributions, { regime, thresholds });
+  }
+
+  /**
+   * Profile weights scaled by a regime's multipliers
+   * @param {string|null} regime - Name in REGIMES
+   * @returns {Object} Weight per component
+   */
+  regimeWeights(regime) {
+    if (!regime) return this.weights;
+    const multipliers = REGIMES[regime].weights;
+    return Object.fromEntries(
+      Object.entries(this.weights).map(([name, w]) => [name, w * (multipliers[name] ?? 1)])
+    );
+  }
+
+  /**
+   * Profile thresholds shifted for a regime (BUY and STRONG_BUY move together)
+   * @param {string|null} regime - Name in REGIMES
+   * @returns {Object} buy, strongBuy and minConfidence
+   */
+  regimeThresholds(regime) {
+    if (!regime) return this.thresholds;
+    const { buy, minConfidence } = REGIMES[regime].score;
+    return {
+      buy: this.thresholds.buy + buy,
+      strongBuy: this.thresholds.strongBuy + buy,
+      minConfidence: this.thresholds.minConfidence + minConfidence
+    };
+  }
+
+  /**
+   * Map a score and confidence to a signal under this profile's thresholds
+   * Low-confidence scores are held regardless of level.
+   * @param {number} score - Composite score (0-100)
+   * @param {number} confidence - Confidence (0-1)
+   * @param {Object} [thresholds] - Thresholds to use instead of the profile's
+   * @returns {string} STRONG_BUY, BUY, HOLD, SELL or STRONG_SELL
+   */
+  deriveSignal(score, confidence, thresholds = this.thresholds) {
+    const { buy, strongBuy, minConfidence } = thresholds;
+    if (confidence < minConfidence) return 'HOLD';
+    if (score >= strongBuy) return 'STRONG_BUY';
+    if (score >= buy) return 'BUY';
+    if (score <= 100 - strongBuy) return 'STRONG_SELL';
+    if (score <= 100 - buy) return 'SELL';
+    return 'HOLD';
+  }
+
+  result(score, confidence, contributions, { regime = null, thresholds = this.thresholds } = {}) {
+    const compositeScore = parseFloat(Math.max(0, Math.min(100, score)).toFixed(2));
+    const rounded = parseFloat(confidence.toFixed(2));
+    return {
+      compositeScore,
+      confidence: rounded,
+      signal: this.deriveSignal(compositeScore, rounded, thresholds),
+      profile: this.profile,
+      regime,
+      contributions
+    };
+  }
+}
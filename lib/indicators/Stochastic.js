@@ -0,0 +1,33 @@
+// lib/indicators/Stochastic.js
+// Slow stochastic oscillator (%K smoothed, %D signal)
+
+import { smaSeries, last } from './math.js';
+
+export const STOCH = {
+  name: 'STOCH',
+  description: 'Stochastic oscillator: smoothed %K and its %D signal line',
+  params: {
+    kPeriod: { type: 'integer', default: 14, min: 2, max: 100 },
+    dPeriod: { type: 'integer', default: 3, min: 1, max: 20 },
+    smoothing: { type: 'integer', default: 3, min: 1, max: 20 }
+  },
+  lookback: ({ kPeriod, dPeriod, smoothing }) => kPeriod + smoothing + dPeriod - 2,
+  compute(bars, { kPeriod, dPeriod, smoothing }) {
+    const rawK = [];
+    for (let i = kPeriod - 1; i < bars.length; i++) {
+      const window = bars.slice(i - kPeriod + 1, i + 1);
+      const highest = Math.max(...window.map(b => b.high));
+      const lowest = Math.min(...window.map(b => b.low));
+      // Flat range: treat as mid-scale rather than dividing by zero
+      rawK.push(highest === lowest ? 50 : ((bars[i].close - lowest) / (highest - lowest)) * 100);
+    }
+
+    const k = smaSeries(rawK, smoothing);
+    const d = smaSeries(k.slice(smoothing - 1), dPeriod);
+
+    return {
+      k: last(k),
+      d: last(d)
+    };
+  }
+};
@@ -0,0 +1,29 @@
+// lib/indicators/VWAP.js
+// Volume-weighted average price anchored a fixed number of bars back
+
+export const VWAP = {
+  name: 'VWAP',
+  description: 'Anchored VWAP of the typical price since the anchor bar, with distance of the close from it',
+  params: {
+    anchorBars: { type: 'integer', default: 20, min: 1, max: 400 }
+  },
+  lookback: ({ anchorBars }) => anchorBars,
+  compute(bars, { anchorBars }) {
+    const window = bars.slice(-anchorBars);
+    let priceVolume = 0;
+    let volume = 0;
+    for (const bar of window) {
+      priceVolume += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+      volume += bar.volume;
+    }
+    if (volume === 0) return null;
+
+    const vwap = priceVolume / volume;
+    const close = window[window.length - 1].close;
+    return {
+      vwap,
+      anchorDate: window[0].date,
+      distancePct: (close / vwap - 1) * 100
+    };
+  }
+};
@@ -0,0 +1,42 @@
+// lib/indicators/index.js
+// Default indicator registry with the built-in indicators
+
+import { IndicatorRegistry } from './IndicatorRegistry.js';
+import { RSI } from './RSI.js';
+import { SMA } from './SMA.js';
+import { MACD } from './MACD.js';
+import { BOLLINGER } from './BollingerBands.js';
+import { STOCH } from './Stochastic.js';
+import { ATR } from './ATR.js';
+import { ADX } from './ADX.js';
+import { KELTNER } from './KeltnerChannels.js';
+import { OBV } from './OBV.js';
+import { VWAP } from './VWAP.js';
+import { ADL, CMF } from './AccumulationDistribution.js';
+import { ICHIMOKU } from './Ichimoku.js';
+import { PIVOTS, SR_ZONES } from './PriceLevels.js';
+import { CANDLES } from './CandlestickPatterns.js';
+import { DIVERGENCE } from './Divergence.js';
+import { FORECAST } from './Forecast.js';
+
+export const indicatorRegistry = new IndicatorRegistry()
+  .register(RSI)
+  .register(SMA)
+  .register(MACD)
+  .register(BOLLINGER)
+  .register(STOCH)
+  .register(ATR)
+  .register(ADX)
+  .register(KELTNER)
+  .register(OBV)
+  .register(VWAP)
+  .register(ADL)
+  .register(CMF)
+  .register(ICHIMOKU)
+  .register(PIVOTS)
+  .register(SR_ZONES)
+  .register(CANDLES)
+  .register(DIVERGENCE)
+  .register(FORECAST);
+
+export { IndicatorRegistry };
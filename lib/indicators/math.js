@@ -0,0 +1,208 @@
+// lib/indicators/math.js
+// Series helpers shared by indicator definitions
+
+/**
+ * Simple moving average series
+ * @param {Array<number>} values - Input series
+ * @param {number} period - Window length
+ * @returns {Array<number|null>} Series aligned to input, null before the first full window
+ */
+export function smaSeries(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+/**
+ * Exponential moving average series, seeded with the SMA of the first window
+ * Leading nulls in the input are skipped, so EMAs of derived series line up.
+ * @param {Array<number|null>} values - Input series
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} Series aligned to input
+ */
+export function emaSeries(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(v => v !== null && v !== undefined);
+  if (start === -1 || values.length - start < period) return result;
+
+  const k = 2 / (period + 1);
+  let ema = 0;
+  for (let i = start; i < start + period; i++) ema += values[i];
+  ema /= period;
+  result[start + period - 1] = ema;
+
+  for (let i = start + period; i < values.length; i++) {
+    ema = values[i] * k + ema * (1 - k);
+    result[i] = ema;
+  }
+  return result;
+}
+
+/**
+ * Population standard deviation
+ * @param {Array<number>} values - Input values
+ * @returns {number} Standard deviation
+ */
+export function stdDev(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+/**
+ * Last element of a series
+ * @param {Array} series - Input series
+ * @returns {*} Last value or null when empty
+ */
+export function last(series) {
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+/**
+ * Wilder smoothing series (RMA), seeded with the mean of the first window
+ * Leading nulls in the input are skipped, as in emaSeries.
+ * @param {Array<number|null>} values - Input series
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} Series aligned to input
+ */
+export function wilderSeries(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(v => v !== null && v !== undefined);
+  if (start === -1 || values.length - start < period) return result;
+
+  let avg = 0;
+  for (let i = start; i < start + period; i++) avg += values[i];
+  avg /= period;
+  result[start + period - 1] = avg;
+
+  for (let i = start + period; i < values.length; i++) {
+    avg = (avg * (period - 1) + values[i]) / period;
+    result[i] = avg;
+  }
+  return result;
+}
+
+/**
+ * True range series; the first bar has no previous close and is null
+ * @param {Array<Object>} bars - Ascending OHLC bars
+ * @returns {Array<number|null>} True range aligned to bars
+ */
+export function trueRangeSeries(bars) {
+  return bars.map((bar, i) => {
+    if (i === 0) return null;
+    const prevClose = bars[i - 1].close;
+    return Math.max(
+      bar.high - bar.low,
+      Math.abs(bar.high - prevClose),
+      Math.abs(bar.low - prevClose)
+    );
+  });
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation, ~1e-9 relative error)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+export function normalQuantile(p) {
+  if (p <= 0 || p >= 1) {
+    throw new Error('normalQuantile requires 0 < p < 1');
+  }
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Seeded uniform random numbers (Park-Miller minimal standard generator)
+ * The same seed always yields the same sequence, so sampled results are reproducible.
+ * @param {number} seed - Positive integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function seededRandom(seed) {
+  let state = Math.max(1, Math.floor(seed)) % 2147483647;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+/**
+ * Eigen decomposition of a symmetric matrix (cyclic Jacobi rotations)
+ * Accurate for the small, dense correlation and covariance matrices used in
+ * portfolio analysis; cost grows with the cube of the size.
+ * @param {Array<Array<number>>} matrix - Symmetric square matrix
+ * @returns {Object} values (descending) and vectors (vectors[k] is the unit eigenvector for values[k])
+ */
+export function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) off += a[p][q] ** 2;
+    }
+    if (off < 1e-20) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return Array.from({ length: n }, (_, k) => ({ value: a[k][k], vector: v.map(row => row[k]) }))
+    .sort((x, y) => y.value - x.value)
+    .reduce((result, { value, vector }) => {
+      result.values.push(value);
+      result.vectors.push(vector);
+      return result;
+    }, { values: [], vectors: [] });
+}
@@ -0,0 +1,170 @@
+// lib/ml/DirectionClassifier.js
+// L2-regularized logistic regression for the probability that the close rises over the next N bars
+
+import { FEATURE_NAMES, featureMatrix, labelledRows } from './features.js';
+
+export const MODEL_NAME = 'direction';
+
+const round = (value, digits = 4) => parseFloat(value.toFixed(digits));
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Train a direction model on bars from one or more symbols
+ * Rows are split chronologically: the most recent `testFraction` of dates is
+ * held out for the reported metrics, with a `horizon`-bar gap so no training
+ * label overlaps the test period. Features are standardized with the
+ * training-set mean and deviation, which are saved with the weights.
+ * @param {Object} barsBySymbol - Ascending OHLCV bars keyed by symbol
+ * @param {Object} [options] - horizon, testFraction, epochs, learningRate, l2
+ * @returns {Object} Model (features, means, stds, weights, bias, horizon) with metrics
+ */
+export function trainDirectionModel(barsBySymbol, { horizon = 5, testFraction = 0.2, epochs = 500, learningRate = 0.1, l2 = 0.001 } = {}) {
+  const rows = Object.values(barsBySymbol).flatMap(bars => labelledRows(bars, horizon));
+  if (rows.length < 200) {
+    throw new Error(`Insufficient training data: ${rows.length} labelled rows, need at least 200`);
+  }
+
+  const dates = [...new Set(rows.map(r => toDay(r.date)))].sort();
+  const splitIndex = Math.floor(dates.length * (1 - testFraction));
+  const testStart = dates[splitIndex];
+  const trainEnd = dates[Math.max(0, splitIndex - horizon)];
+  const train = rows.filter(r => toDay(r.date) < trainEnd);
+  const test = rows.filter(r => toDay(r.date) >= testStart);
+  if (train.length === 0 || test.length === 0) {
+    throw new Error('Insufficient training data: not enough dates for a train/test split');
+  }
+
+  const k = FEATURE_NAMES.length;
+  const means = new Array(k).fill(0);
+  const stds = new Array(k).fill(0);
+  for (const row of train) row.features.forEach((v, j) => { means[j] += v / train.length; });
+  for (const row of train) row.features.forEach((v, j) => { stds[j] += (v - means[j]) ** 2 / train.length; });
+  for (let j = 0; j < k; j++) stds[j] = Math.sqrt(stds[j]) || 1;
+
+  const standardize = (features) => features.map((v, j) => (v - means[j]) / stds[j]);
+  const x = train.map(r => standardize(r.features));
+  const y = train.map(r => r.label);
+
+  // Full-batch gradient descent; the problem is convex and small enough for CPU
+  const weights = new Array(k).fill(0);
+  let bias = 0;
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(k).fill(0);
+    let biasGradient = 0;
+    for (let i = 0; i < x.length; i++) {
+      const error = sigmoid(bias + dot(weights, x[i])) - y[i];
+      for (let j = 0; j < k; j++) gradient[j] += error * x[i][j];
+      biasGradient += error;
+    }
+    for (let j = 0; j < k; j++) {
+      weights[j] -= learningRate * (gradient[j] / x.length + l2 * weights[j]);
+    }
+    bias -= learningRate * biasGradient / x.length;
+  }
+
+  const model = {
+    name: MODEL_NAME,
+    horizon,
+    features: FEATURE_NAMES,
+    means: means.map(v => round(v, 8)),
+    stds: stds.map(v => round(v, 8)),
+    weights: weights.map(v => round(v, 6)),
+    bias: round(bias, 6),
+    trainedAt: new Date().toISOString()
+  };
+
+  const probabilities = test.map(r => probability(model, r.features));
+  model.metrics = {
+    symbols: Object.keys(barsBySymbol).length,
+    trainSamples: train.length,
+    testSamples: test.length,
+    testStart,
+    baseRate: round(test.reduce((sum, r) => sum + r.label, 0) / test.length),
+    ...classificationMetrics(probabilities, test.map(r => r.label))
+  };
+  return model;
+}
+
+/**
+ * Probability that the close rises over the model's horizon, as of the last bar
+ * @param {Object} model - Model from trainDirectionModel (or loaded from the database)
+ * @param {Array<Object>} bars - Ascending OHLCV bars
+ * @returns {Object|null} probabilityUp, horizon and version, or null when history is too short
+ */
+export function predictDirection(model, bars) {
+  if (!model || !Array.isArray(bars) || bars.length === 0) return null;
+
+  const features = featureMatrix(bars);
+  const latest = features[features.length - 1];
+  if (!latest) return null;
+
+  return {
+    probabilityUp: round(probability(model, latest)),
+    horizon: model.horizon,
+    version: model.version ?? null
+  };
+}
+
+/**
+ * Accuracy, log loss and ROC AUC for predicted probabilities
+ * @param {Array<number>} probabilities - Predicted probability of label 1
+ * @param {Array<number>} labels - Actual labels (0/1)
+ * @returns {Object} accuracy, logLoss and auc
+ */
+export function classificationMetrics(probabilities, labels) {
+  const n = labels.length;
+  const eps = 1e-12;
+  let correct = 0;
+  let logLoss = 0;
+  for (let i = 0; i < n; i++) {
+    const p = Math.min(1 - eps, Math.max(eps, probabilities[i]));
+    if ((p >= 0.5 ? 1 : 0) === labels[i]) correct++;
+    logLoss -= labels[i] ? Math.log(p) : Math.log(1 - p);
+  }
+
+  // AUC from the rank-sum statistic, ties sharing the average rank
+  const order = probabilities.map((p, i) => [p, labels[i]]).sort((a, b) => a[0] - b[0]);
+  let rankSum = 0;
+  let positives = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j < order.length && order[j][0] === order[i][0]) j++;
+    const rank = (i + 1 + j) / 2;
+    for (let t = i; t < j; t++) {
+      if (order[t][1] === 1) {
+        rankSum += rank;
+        positives++;
+      }
+    }
+    i = j;
+  }
+  const negatives = n - positives;
+  const auc = positives > 0 && negatives > 0
+    ? (rankSum - positives * (positives + 1) / 2) / (positives * negatives)
+    : null;
+
+  return {
+    accuracy: round(correct / n),
+    logLoss: round(logLoss / n),
+    auc: auc === null ? null : round(auc)
+  };
+}
+
+// Features are append-only, so an older model reads the leading ones it was trained on
+function probability(model, features) {
+  const z = features.slice(0, model.weights.length).reduce(
+    (sum, v, j) => sum + model.weights[j] * (v - model.means[j]) / model.stds[j],
+    model.bias
+  );
+  return sigmoid(z);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function toDay(date) {
+  return (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+}
@@ -0,0 +1,97 @@
+// lib/ml/features.js
+// Per-bar feature vectors for the direction classifier, computed from stored OHLCV bars
+//
+// The indicators table is not read. The analyze endpoint saves a row only for
+// the last bar of each symbol it analyzes, with whatever parameters that request
+// used, so most training days have no stored values and the rest mix settings.
+// Recomputing the indicators here from ohlcv_data gives every bar the same
+// features, and predictDirection computes them the same way at inference.
+
+import { smaSeries, stdDev } from '../indicators/math.js';
+import { rsiSeries } from '../indicators/RSI.js';
+import { macdSeries } from '../indicators/MACD.js';
+import { atrSeries } from '../indicators/ATR.js';
+
+// Feature order is part of a saved model; append new features rather than reordering
+export const FEATURE_NAMES = [
+  'return1',
+  'return5',
+  'return20',
+  'rsi',
+  'smaDistance20',
+  'smaDistance50',
+  'macdHistogram',
+  'percentB',
+  'volatility20',
+  'volumeRatio',
+  'atrPct',
+  'stochK'
+];
+
+// Bars of history before the first complete feature vector
+export const FEATURE_LOOKBACK = 51;
+
+/**
+ * Feature vectors for every bar, using only data up to and including that bar
+ * The indicators match the registry's defaults (RSI 14, MACD 12/26/9,
+ * Bollinger 20/2, ATR 14, Stochastic 14) scaled to be comparable across symbols.
+ * @param {Array<Object>} bars - Ascending OHLCV bars
+ * @returns {Array<Array<number>|null>} Vectors in FEATURE_NAMES order, null while history is too short
+ */
+export function featureMatrix(bars) {
+  const closes = bars.map(b => b.close);
+  const volumes = bars.map(b => b.volume || 0);
+  const sma20 = smaSeries(closes, 20);
+  const sma50 = smaSeries(closes, 50);
+  const rsi = rsiSeries(closes, 14);
+  const { histogram } = macdSeries(closes);
+  const atr = atrSeries(bars, 14);
+  const volumeSma = smaSeries(volumes, 20);
+  const returns = closes.map((c, i) => (i === 0 ? 0 : Math.log(c / closes[i - 1])));
+
+  return bars.map((bar, i) => {
+    if (i < FEATURE_LOOKBACK - 1 || sma50[i] === null || rsi[i] === null || histogram[i] === null || atr[i] === null) {
+      return null;
+    }
+
+    const window = closes.slice(i - 19, i + 1);
+    const deviation = stdDev(window);
+    const high = Math.max(...bars.slice(i - 13, i + 1).map(b => b.high));
+    const low = Math.min(...bars.slice(i - 13, i + 1).map(b => b.low));
+
+    return [
+      Math.log(bar.close / closes[i - 1]),
+      Math.log(bar.close / closes[i - 5]),
+      Math.log(bar.close / closes[i - 20]),
+      (rsi[i] - 50) / 50,
+      bar.close / sma20[i] - 1,
+      bar.close / sma50[i] - 1,
+      histogram[i] / bar.close,
+      deviation > 0 ? (bar.close - (sma20[i] - 2 * deviation)) / (4 * deviation) : 0.5,
+      stdDev(returns.slice(i - 19, i + 1)),
+      volumeSma[i] > 0 && volumes[i] > 0 ? Math.log(volumes[i] / volumeSma[i]) : 0,
+      atr[i] / bar.close,
+      high > low ? (bar.close - low) / (high - low) : 0.5
+    ];
+  });
+}
+
+/**
+ * Training rows: features at each bar labelled by the forward return over `horizon` bars
+ * @param {Array<Object>} bars - Ascending OHLCV bars
+ * @param {number} horizon - Bars ahead for the label
+ * @returns {Array<Object>} Rows with date, features and label (1 when the close rose)
+ */
+export function labelledRows(bars, horizon) {
+  const features = featureMatrix(bars);
+  const rows = [];
+  for (let i = 0; i + horizon < bars.length; i++) {
+    if (!features[i]) continue;
+    rows.push({
+      date: bars[i].date,
+      features: features[i],
+      label: bars[i + horizon].close > bars[i].close ? 1 : 0
+    });
+  }
+  return rows;
+}
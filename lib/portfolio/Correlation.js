@@ -0,0 +1,220 @@
+// lib/portfolio/Correlation.js
+// Return correlation matrices, hierarchical clustering and effective number of bets for a set of symbols
+
+import { stdDev, symmetricEigen } from '../indicators/math.js';
+
+export const MIN_OBSERVATIONS = 20;
+
+// Symbols with fewer bars than this share of the longest history are left out
+// rather than shrinking the common sample for every other symbol
+const MIN_COVERAGE = 0.8;
+
+// Most recent rolling windows returned
+const MAX_WINDOWS = 52;
+
+const round = (value, digits = 4) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Daily close-to-close returns on the dates every included symbol traded
+ * @param {Object} barsBySymbol - Ascending daily bars keyed by symbol
+ * @returns {Object} symbols, excluded (too little history), dates (of each return) and returns by symbol
+ */
+export function alignedReturns(barsBySymbol) {
+  const longest = Math.max(0, ...Object.values(barsBySymbol).map(bars => bars.length));
+  const symbols = Object.keys(barsBySymbol).filter(s => longest > 0 && barsBySymbol[s].length >= longest * MIN_COVERAGE);
+  const excluded = Object.keys(barsBySymbol).filter(s => !symbols.includes(s));
+  if (symbols.length === 0) return { symbols, excluded, dates: [], returns: {} };
+
+  const closes = symbols.map(s => new Map(barsBySymbol[s].map(b => [dayOf(b.date), b.close])));
+  const common = [...closes[0].keys()].filter(date => closes.every(c => c.has(date))).sort();
+
+  const returns = Object.fromEntries(symbols.map((s, k) => [
+    s,
+    common.slice(1).map((date, i) => closes[k].get(date) / closes[k].get(common[i]) - 1)
+  ]));
+  return { symbols, excluded, dates: common.slice(1), returns };
+}
+
+/**
+ * Pearson correlation matrix
+ * @param {Array<Array<number>>} series - Equal-length return series
+ * @returns {Array<Array<number|null>>} Symmetric matrix; null where a series is constant
+ */
+export function correlationMatrix(series) {
+  const means = series.map(mean);
+  const deviations = series.map(stdDev);
+  return series.map((a, i) => series.map((b, j) => {
+    if (i === j) return 1;
+    if (deviations[i] === 0 || deviations[j] === 0) return null;
+    const covariance = mean(a.map((x, t) => (x - means[i]) * (b[t] - means[j])));
+    return covariance / (deviations[i] * deviations[j]);
+  }));
+}
+
+/**
+ * Agglomerative clustering of symbols by correlation distance
+ * Uses the distance sqrt((1 - correlation) / 2) with average linkage. The leaf
+ * order places each merged pair next to each other, so a heatmap drawn in
+ * that order shows correlated groups as blocks on the diagonal.
+ * @param {Array<string>} symbols - Symbol per matrix row
+ * @param {Array<Array<number|null>>} matrix - Correlation matrix (null treated as 0)
+ * @param {number} threshold - Correlation at which symbols are grouped into one cluster
+ * @returns {Object} order (symbols), merges ({ left, right, distance, correlation, members }) and clusters
+ */
+export function clusterSymbols(symbols, matrix, threshold) {
+  const distance = matrix.map(row => row.map(rho => Math.sqrt(Math.max(0, (1 - (rho ?? 0)) / 2))));
+  let clusters = symbols.map((symbol, i) => ({ label: symbol, members: [i] }));
+  const merges = [];
+
+  while (clusters.length > 1) {
+    let best = null;
+    for (let a = 0; a < clusters.length; a++) {
+      for (let b = a + 1; b < clusters.length; b++) {
+        const d = mean(clusters[a].members.flatMap(i => clusters[b].members.map(j => distance[i][j])));
+        if (!best || d < best.d) best = { a, b, d };
+      }
+    }
+
+    const left = clusters[best.a];
+    const right = clusters[best.b];
+    const merged = { label: `cluster-${merges.length + 1}`, members: [...left.members, ...right.members] };
+    merges.push({
+      label: merged.label,
+      left: left.label,
+      right: right.label,
+      distance: round(best.d),
+      // Average-linkage distance restated as a correlation
+      correlation: round(1 - 2 * best.d ** 2),
+      members: merged.members.map(i => symbols[i])
+    });
+    clusters = [...clusters.filter((_, k) => k !== best.a && k !== best.b), merged];
+  }
+
+  // Cut where the linkage correlation falls below the threshold: a merge belongs
+  // to a cluster when it and every merge beneath it meet the threshold
+  const groups = new Map(symbols.map((symbol, i) => [symbol, [i]]));
+  for (const merge of merges) {
+    if (merge.correlation < threshold || !groups.has(merge.left) || !groups.has(merge.right)) continue;
+    groups.set(merge.label, [...groups.get(merge.left), ...groups.get(merge.right)]);
+    groups.delete(merge.left);
+    groups.delete(merge.right);
+  }
+
+  return {
+    order: clusters[0]?.members.map(i => symbols[i]) ?? [],
+    merges,
+    clusters: [...groups.values()]
+      .map(members => ({
+        symbols: members.map(i => symbols[i]),
+        averageCorrelation: members.length > 1
+          ? round(mean(members.flatMap((i, k) => members.slice(k + 1).map(j => matrix[i][j] ?? 0))))
+          : null
+      }))
+      .sort((x, y) => y.symbols.length - x.symbols.length)
+  };
+}
+
+/**
+ * Effective number of independent bets from the correlation eigenvalues
+ * The exponentiated entropy of the eigenvalues' shares of total variance:
+ * 1 when every symbol moves together, the number of symbols when they are
+ * uncorrelated. It does not depend on weights.
+ * @param {Array<Array<number|null>>} matrix - Correlation matrix (null treated as 0)
+ * @returns {number} Effective number of bets
+ */
+export function effectiveBets(matrix) {
+  const { values } = symmetricEigen(matrix.map((row, i) => row.map((rho, j) => (i === j ? 1 : rho ?? 0))));
+  const shares = values.map(v => Math.max(0, v) / matrix.length);
+  return Math.exp(shares.reduce((sum, p) => (p > 0 ? sum - p * Math.log(p) : sum), 0));
+}
+
+/**
+ * Diversification ratio: weighted average volatility over portfolio volatility
+ * Its square approximates the number of independent bets the weights take.
+ * @param {Array<Array<number>>} series - Equal-length return series
+ * @param {Array<number>} weights - Portfolio weights, summing to 1
+ * @returns {number|null} Ratio (1 for a single bet), or null when the portfolio has no variance
+ */
+export function diversificationRatio(series, weights) {
+  const portfolio = series[0].map((_, t) => series.reduce((sum, s, i) => sum + weights[i] * s[t], 0));
+  const volatility = stdDev(portfolio);
+  return volatility > 0 ? series.reduce((sum, s, i) => sum + weights[i] * stdDev(s), 0) / volatility : null;
+}
+
+/**
+ * Correlation and diversification analysis for a set of symbols
+ * @param {Object} barsBySymbol - Ascending daily bars keyed by symbol
+ * @param {Object} [options] - window and step (trading days) for the rolling matrices, threshold (correlation for
+ *   clustering and highlighted pairs) and weights by symbol (default equal) for the diversification ratio
+ * @returns {Object} symbols, excluded, matrix (full period), rolling matrices, clustering and diversification
+ */
+export function analyzeCorrelations(barsBySymbol, { window = 60, step = 20, threshold = 0.7, weights = null } = {}) {
+  const { symbols, excluded, dates, returns } = alignedReturns(barsBySymbol);
+  if (symbols.length < 2) {
+    throw new Error(`Insufficient historical data: ${symbols.length} symbol(s) with stored prices, need at least 2`);
+  }
+  if (dates.length < Math.max(MIN_OBSERVATIONS, window)) {
+    throw new Error(`Insufficient historical data: ${dates.length} overlapping daily returns, need at least ${Math.max(MIN_OBSERVATIONS, window)}`);
+  }
+
+  const series = symbols.map(s => returns[s]);
+  const matrix = correlationMatrix(series);
+
+  const rolling = [];
+  for (let end = dates.length; end >= window && rolling.length < MAX_WINDOWS; end -= step) {
+    const windowMatrix = correlationMatrix(series.map(s => s.slice(end - window, end)));
+    rolling.unshift({
+      startDate: dates[end - window],
+      endDate: dates[end - 1],
+      averageCorrelation: round(averageOffDiagonal(windowMatrix)),
+      matrix: roundMatrix(windowMatrix)
+    });
+  }
+
+  const raw = symbols.map(s => weights?.[s] ?? 1);
+  const total = raw.reduce((sum, w) => sum + w, 0);
+  const bets = effectiveBets(matrix);
+  const ratio = diversificationRatio(series, raw.map(w => w / total));
+
+  const pairs = [];
+  symbols.forEach((a, i) => symbols.slice(i + 1).forEach((b, k) => {
+    const correlation = matrix[i][i + 1 + k];
+    if (correlation !== null && correlation >= threshold) pairs.push({ symbols: [a, b], correlation: round(correlation) });
+  }));
+
+  return {
+    symbols,
+    excluded,
+    startDate: dates[0],
+    endDate: dates[dates.length - 1],
+    observations: dates.length,
+    window,
+    step,
+    threshold,
+    matrix: roundMatrix(matrix),
+    rolling,
+    clustering: clusterSymbols(symbols, matrix, threshold),
+    diversification: {
+      effectiveBets: round(bets, 2),
+      // Effective bets per symbol: 1 when every symbol is an independent bet
+      score: round(bets / symbols.length),
+      diversificationRatio: round(ratio, 3),
+      averageCorrelation: round(averageOffDiagonal(matrix)),
+      correlatedPairs: pairs.sort((x, y) => y.correlation - x.correlation)
+    }
+  };
+}
+
+function averageOffDiagonal(matrix) {
+  const values = matrix.flatMap((row, i) => row.filter((rho, j) => j !== i && rho !== null));
+  return values.length > 0 ? mean(values) : null;
+}
+
+function roundMatrix(matrix) {
+  return matrix.map(row => row.map(rho => round(rho, 3)));
+}
+
+function dayOf(date) {
+  return (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+}
@@ -0,0 +1,247 @@
+// lib/portfolio/Optimizer.js
+// Minimum-variance, maximum-Sharpe, risk-parity and target-volatility weights with an efficient-frontier sample
+
+import { symmetricEigen } from '../indicators/math.js';
+
+export const SHRINKAGE_METHODS = ['none', 'ledoit-wolf'];
+
+const TRADING_DAYS = 252;
+const MAX_ITERATIONS = 5000;
+const TOLERANCE = 1e-10;
+
+const round = (value, digits = 4) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+const multiply = (matrix, vector) => matrix.map(row => dot(row, vector));
+
+/**
+ * Annualized mean returns and covariance, optionally shrunk
+ * Ledoit-Wolf shrinks the sample covariance toward a scaled identity with
+ * the intensity that minimizes expected error (Ledoit and Wolf, 2004); a
+ * number from 0 to 1 fixes the intensity instead.
+ * @param {Array<Array<number>>} series - Equal-length daily return series
+ * @param {string|number} [shrinkage] - 'none' (default), 'ledoit-wolf' or an intensity from 0 to 1
+ * @returns {Object} expectedReturns and covariance (annualized) and the shrinkage intensity applied
+ */
+export function estimateMoments(series, shrinkage = 'none') {
+  const n = series.length;
+  const T = series[0].length;
+  const means = series.map(mean);
+  const centered = series.map((s, i) => s.map(r => r - means[i]));
+  const sample = centered.map(a => centered.map(b => dot(a, b) / T));
+
+  let intensity = 0;
+  if (shrinkage === 'ledoit-wolf') {
+    const mu = sample.reduce((sum, row, i) => sum + row[i], 0) / n;
+    const d2 = sample.reduce((sum, row, i) => sum + row.reduce((s, v, j) => s + (v - (i === j ? mu : 0)) ** 2, 0), 0) / n;
+    const normS = sample.reduce((sum, row) => sum + dot(row, row), 0);
+    let b2 = 0;
+    for (let t = 0; t < T; t++) {
+      const x = centered.map(s => s[t]);
+      const xx = dot(x, x);
+      b2 += (xx * xx - 2 * dot(x, multiply(sample, x)) + normS) / n;
+    }
+    b2 /= T * T;
+    intensity = d2 > 0 ? Math.min(b2, d2) / d2 : 1;
+  } else if (typeof shrinkage === 'number') {
+    intensity = shrinkage;
+  }
+
+  const target = sample.reduce((sum, row, i) => sum + row[i], 0) / n;
+  const covariance = sample.map((row, i) => row.map((v, j) => ((1 - intensity) * v + (i === j ? intensity * target : 0)) * TRADING_DAYS));
+
+  return { expectedReturns: means.map(m => m * TRADING_DAYS), covariance, shrinkage: round(intensity) };
+}
+
+/**
+ * Optimized weights for a set of assets
+ * Every portfolio is fully invested with weights between the lower bound
+ * (0 long-only, otherwise -maxWeight) and maxWeight. Minimum variance and the
+ * frontier minimize variance less a return reward; maximum Sharpe is the
+ * frontier portfolio with the best excess return per unit of volatility.
+ * Risk parity gives each asset an equal share of portfolio variance and is
+ * always long-only; with a binding maxWeight the capped assets contribute
+ * less. With targetVolatility, the highest-return frontier portfolio at or
+ * below it is added, holding cash when even minimum variance is more
+ * volatile than the target.
+ * @param {Array<string>} symbols - Asset names, in the order of the moments
+ * @param {Object} moments - estimateMoments result
+ * @param {Object} [constraints] - maxWeight (default 1), longOnly (default true), targetVolatility (annual fraction),
+ *   riskFreeRate (annual, default 0) and frontierPoints (default 20)
+ * @returns {Object} minimumVariance, maximumSharpe, riskParity and targetVolatility portfolios and the frontier
+ */
+export function optimizePortfolio(symbols, moments, {
+  maxWeight = 1, longOnly = true, targetVolatility = null, riskFreeRate = 0, frontierPoints = 20
+} = {}) {
+  const { expectedReturns: mu, covariance } = moments;
+  const n = symbols.length;
+  if (maxWeight * n < 1 - 1e-9) {
+    throw new Error(`Invalid maxWeight: ${n} symbols at ${maxWeight} cannot be fully invested`);
+  }
+
+  const bounds = { lower: longOnly ? 0 : -maxWeight, upper: maxWeight };
+  const lipschitz = 2 * Math.max(symmetricEigen(covariance).values[0], 1e-12);
+  const describe = (weights, extra = {}) => portfolio(symbols, weights, mu, covariance, riskFreeRate, extra);
+
+  // Minimize w'Cw - gamma * mu'w, warm-started from the previous solution
+  let last = new Array(n).fill(1 / n);
+  const solve = (gamma) => {
+    last = minimize(w => multiply(covariance, w).map((v, i) => 2 * v - gamma * mu[i]), last, lipschitz, bounds);
+    return last;
+  };
+  const volatility = (w) => Math.sqrt(Math.max(0, dot(w, multiply(covariance, w))));
+  const sharpe = (w) => (dot(w, mu) - riskFreeRate) / (volatility(w) || Infinity);
+
+  const minimumVariance = solve(0);
+
+  // Reward scale at which returns start to matter against variance
+  const scale = 2 * mean(covariance.map((row, i) => row[i])) / Math.max(...mu.map(Math.abs), 1e-9);
+  const gammas = [0, ...Array.from({ length: Math.max(2, frontierPoints) - 1 }, (_, k) => scale * 10 ** (-2 + 4 * k / (Math.max(2, frontierPoints) - 2)))];
+  last = minimumVariance;
+  const frontier = [];
+  for (const gamma of gammas) {
+    const w = solve(gamma);
+    const point = { volatilityPct: round(volatility(w) * 100, 2), expectedReturnPct: round(dot(w, mu) * 100, 2) };
+    const previous = frontier[frontier.length - 1];
+    if (!previous || point.volatilityPct !== previous.volatilityPct || point.expectedReturnPct !== previous.expectedReturnPct) {
+      frontier.push({ ...point, sharpe: round(sharpe(w), 3), weights: roundWeights(symbols, w), gamma });
+    }
+  }
+
+  // Sharpe is unimodal along the frontier: golden-section search on log(gamma)
+  const best = frontier.reduce((a, b) => (b.sharpe > a.sharpe ? b : a));
+  let lo = Math.log(Math.max(best.gamma, scale * 1e-3) / 10);
+  let hi = Math.log(Math.max(best.gamma, scale * 1e-3) * 10);
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  for (let k = 0; k < 40 && hi - lo > 1e-4; k++) {
+    const a = hi - ratio * (hi - lo);
+    const b = lo + ratio * (hi - lo);
+    if (sharpe(solve(Math.exp(a))) >= sharpe(solve(Math.exp(b)))) hi = b; else lo = a;
+  }
+  const candidate = solve(Math.exp((lo + hi) / 2));
+  const maximumSharpe = sharpe(candidate) >= best.sharpe ? candidate : solve(best.gamma);
+
+  let target = null;
+  if (targetVolatility !== null) {
+    target = targetPortfolio(targetVolatility, minimumVariance, solve, volatility, scale, describe);
+  }
+
+  return {
+    minimumVariance: describe(minimumVariance),
+    maximumSharpe: describe(maximumSharpe),
+    riskParity: describe(riskParityWeights(covariance, maxWeight)),
+    targetVolatility: target,
+    frontier: frontier.map(({ gamma, ...point }) => point)
+  };
+}
+
+// Bisection on the return reward for the most rewarding portfolio within the target volatility
+function targetPortfolio(targetVolatility, minimumVariance, solve, volatility, scale, describe) {
+  const minimum = volatility(minimumVariance);
+  if (minimum >= targetVolatility) {
+    const exposure = targetVolatility / minimum;
+    return describe(minimumVariance.map(w => w * exposure), { cash: round(1 - exposure) });
+  }
+
+  // Beyond this reward the solution is the highest-return corner of the constraints
+  let hi = scale * 1e4;
+  let weights = solve(hi);
+  if (volatility(weights) <= targetVolatility) {
+    return describe(weights, { cash: 0 });
+  }
+
+  let lo = 0;
+  weights = minimumVariance;
+  for (let k = 0; k < 60 && hi - lo > 1e-9 * scale; k++) {
+    const gamma = (lo + hi) / 2;
+    const w = solve(gamma);
+    if (volatility(w) <= targetVolatility) {
+      lo = gamma;
+      weights = w;
+    } else {
+      hi = gamma;
+    }
+  }
+  return describe(weights, { cash: 0 });
+}
+
+/**
+ * Equal risk contribution weights (long-only)
+ * Multiplicative updates scale each weight by how far its risk contribution
+ * is from an equal share, then cap at maxWeight and renormalize.
+ * @param {Array<Array<number>>} covariance - Covariance matrix
+ * @param {number} [maxWeight] - Largest weight per asset
+ * @returns {Array<number>} Weights summing to 1
+ */
+export function riskParityWeights(covariance, maxWeight = 1) {
+  const n = covariance.length;
+  // Start from inverse volatility, the solution when assets are uncorrelated
+  const inverse = covariance.map((row, i) => 1 / Math.sqrt(Math.max(row[i], 1e-12)));
+  const total = inverse.reduce((sum, v) => sum + v, 0);
+  let weights = project(inverse.map(v => v / total), { lower: 0, upper: maxWeight });
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const marginal = multiply(covariance, weights);
+    const variance = dot(weights, marginal);
+    if (variance <= 0) break;
+
+    const next = project(weights.map((w, i) => w * Math.sqrt(variance / n / Math.max(w * marginal[i], 1e-18))), { lower: 0, upper: maxWeight });
+    const change = next.reduce((sum, w, i) => sum + Math.abs(w - weights[i]), 0);
+    weights = next;
+    if (change < TOLERANCE) break;
+  }
+  return weights;
+}
+
+// Accelerated projected gradient descent (FISTA) over the bounded, fully invested set
+function minimize(gradient, start, lipschitz, bounds) {
+  let x = project(start, bounds);
+  let y = x;
+  let t = 1;
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const g = gradient(y);
+    const next = project(y.map((v, i) => v - g[i] / lipschitz), bounds);
+    const tNext = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+    y = next.map((v, i) => v + (t - 1) / tNext * (v - x[i]));
+    const change = next.reduce((sum, v, i) => sum + (v - x[i]) ** 2, 0);
+    x = next;
+    t = tNext;
+    if (change < TOLERANCE ** 2) break;
+  }
+  return x;
+}
+
+// Euclidean projection onto { sum(w) = 1, lower <= w <= upper }: bisection on a common shift
+function project(values, { lower, upper }) {
+  const total = (shift) => values.reduce((sum, v) => sum + Math.min(upper, Math.max(lower, v - shift)), 0);
+  let lo = Math.min(...values) - upper - 1;
+  let hi = Math.max(...values) - lower + 1;
+  for (let k = 0; k < 100; k++) {
+    const mid = (lo + hi) / 2;
+    if (total(mid) > 1) lo = mid; else hi = mid;
+  }
+  const shift = (lo + hi) / 2;
+  return values.map(v => Math.min(upper, Math.max(lower, v - shift)));
+}
+
+function portfolio(symbols, weights, mu, covariance, riskFreeRate, extra) {
+  const marginal = multiply(covariance, weights);
+  const variance = dot(weights, marginal);
+  const volatility = Math.sqrt(Math.max(0, variance));
+  // Uninvested weight (target volatility below minimum variance) earns the risk-free rate
+  const expectedReturn = dot(weights, mu) + (1 - weights.reduce((sum, w) => sum + w, 0)) * riskFreeRate;
+
+  return {
+    weights: roundWeights(symbols, weights),
+    expectedReturnPct: round(expectedReturn * 100, 2),
+    volatilityPct: round(volatility * 100, 2),
+    sharpe: volatility > 0 ? round((expectedReturn - riskFreeRate) / volatility, 3) : null,
+    // Share of portfolio variance by symbol
+    riskContributions: Object.fromEntries(symbols.map((s, i) => [s, variance > 0 ? round(weights[i] * marginal[i] / variance) : null])),
+    ...extra
+  };
+}
+
+function roundWeights(symbols, weights) {
+  return Object.fromEntries(symbols.map((s, i) => [s, round(Math.abs(weights[i]) < 1e-6 ? 0 : weights[i])]));
+}
@@ -0,0 +1,248 @@
+// lib/portfolio/PortfolioService.js
+// Portfolio CRUD over the transaction ledger, keeping derived positions in step with it
+
+import winston from 'winston';
+import { parseTransaction, buildPositions, valuePositions, valuationHistory } from './Positions.js';
+import { isTSXSymbol, toBars } from '../analyze.js';
+
+// The app has no accounts yet; every portfolio belongs to this user
+export const DEFAULT_USER = 'default';
+
+export class PortfolioService {
+  /**
+   * @param {Object} databaseService - DatabaseService or a DatabaseInterface implementation
+   */
+  constructor(databaseService) {
+    this.db = databaseService;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'portfolio-service' }
+    });
+  }
+
+  /**
+   * All portfolios
+   * @returns {Promise<Array<Object>>} id, name, createdAt and updatedAt
+   */
+  async list() {
+    const rows = await this.db.getPortfolios(DEFAULT_USER);
+    return rows.map(toPortfolio);
+  }
+
+  /**
+   * Create an empty portfolio
+   * @param {string} name - Portfolio name
+   * @returns {Promise<Object>} The new portfolio
+   */
+  async create(name) {
+    const id = await this.db.createPortfolio({ userId: DEFAULT_USER, name: parseName(name) });
+    this.logger.info(`Created portfolio ${id}`);
+    return toPortfolio(await this.db.getPortfolio(id));
+  }
+
+  /**
+   * Rename a portfolio
+   * @param {number} id - Portfolio id
+   * @param {string} name - New name
+   * @returns {Promise<Object|null>} The portfolio, or null when it does not exist
+   */
+  async rename(id, name) {
+    const updated = await this.db.updatePortfolio(id, { name: parseName(name) });
+    return updated ? toPortfolio(await this.db.getPortfolio(id)) : null;
+  }
+
+  /**
+   * Delete a portfolio with its transactions and positions
+   * @param {number} id - Portfolio id
+   * @returns {Promise<boolean>} False when the portfolio does not exist
+   */
+  async remove(id) {
+    return this.db.deletePortfolio(id);
+  }
+
+  /**
+   * A portfolio with its positions marked at the latest stored close
+   * @param {number} id - Portfolio id
+   * @returns {Promise<Object|null>} Portfolio with positions and totals by currency, or null
+   */
+  async get(id) {
+    const portfolio = await this.db.getPortfolio(id);
+    if (!portfolio) return null;
+
+    const positions = (await this.db.getPortfolioPositions(id)).map(toPosition);
+    const prices = {};
+    for (const position of positions.filter(p => p.quantity > 0)) {
+      const record = await this.db.getLastOHLCVRecord(position.symbol);
+      if (record) prices[position.symbol] = { price: record.close, date: String(record.date).split('T')[0] };
+    }
+
+    return { ...toPortfolio(portfolio), ...valuePositions(positions, prices) };
+  }
+
+  /**
+   * A portfolio's transactions in trade order
+   * @param {number} id - Portfolio id
+   * @returns {Promise<Array<Object>>} Normalized transactions with id and currency
+   */
+  async transactions(id) {
+    return (await this.db.getPortfolioTransactions(id)).map(toTransaction);
+  }
+
+  /**
+   * Record a transaction and rebuild positions
+   * The ledger is replayed with the new transaction before anything is saved,
+   * so a sale of more shares than are held at that date is rejected.
+   * @param {number} id - Portfolio id
+   * @param {Object} input - Transaction fields (see parseTransaction)
+   * @returns {Promise<Object>} The saved transaction
+   */
+  async addTransaction(id, input) {
+    const transaction = parseTransaction(input);
+    const ledger = await this.transactions(id);
+    buildPositions([...ledger, { ...transaction, id: Infinity }]);
+
+    await this.ensureStock(transaction.symbol);
+    const transactionId = await this.db.savePortfolioTransaction(id, transaction);
+    await this.rebuildPositions(id);
+    return { id: transactionId, ...transaction };
+  }
+
+  /**
+   * Replace a transaction and rebuild positions
+   * @param {number} id - Portfolio id
+   * @param {number} transactionId - Transaction id
+   * @param {Object} input - Transaction fields (see parseTransaction)
+   * @returns {Promise<Object|null>} The updated transaction, or null when it is not in the portfolio
+   */
+  async updateTransaction(id, transactionId, input) {
+    const transaction = parseTransaction(input);
+    const ledger = await this.transactions(id);
+    if (!ledger.some(t => t.id === transactionId)) return null;
+    buildPositions(ledger.map(t => (t.id === transactionId ? { ...transaction, id: t.id } : t)));
+
+    await this.ensureStock(transaction.symbol);
+    await this.db.updatePortfolioTransaction(id, transactionId, transaction);
+    await this.rebuildPositions(id);
+    return { id: transactionId, ...transaction };
+  }
+
+  /**
+   * Delete a transaction and rebuild positions
+   * @param {number} id - Portfolio id
+   * @param {number} transactionId - Transaction id
+   * @returns {Promise<boolean>} False when the transaction is not in the portfolio
+   */
+  async deleteTransaction(id, transactionId) {
+    const ledger = await this.transactions(id);
+    if (!ledger.some(t => t.id === transactionId)) return false;
+    // Removing a buy must not leave a later sale uncovered
+    buildPositions(ledger.filter(t => t.id !== transactionId));
+
+    await this.db.deletePortfolioTransaction(id, transactionId);
+    await this.rebuildPositions(id);
+    return true;
+  }
+
+  /**
+   * Recompute and store positions from the ledger
+   * @param {number} id - Portfolio id
+   * @returns {Promise<Array<Object>>} Positions
+   */
+  async rebuildPositions(id) {
+    const positions = buildPositions(await this.transactions(id));
+    await this.db.savePortfolioPositions(id, positions);
+    this.logger.debug(`Rebuilt ${positions.length} positions for portfolio ${id}`);
+    return positions;
+  }
+
+  /**
+   * Daily value of a portfolio from stored closes
+   * @param {number} id - Portfolio id
+   * @param {Object} [range] - startDate and endDate (Date); defaults to the first trade through today
+   * @returns {Promise<Object|null>} Series by currency (see valuationHistory), or null when the portfolio does not exist
+   */
+  async valuation(id, { startDate, endDate = new Date() } = {}) {
+    if (!(await this.db.getPortfolio(id))) return null;
+
+    const ledger = await this.transactions(id);
+    if (ledger.length === 0) return {};
+
+    const from = startDate || new Date(ledger[0].tradeDate);
+    const barsBySymbol = {};
+    for (const symbol of new Set(ledger.map(t => t.symbol))) {
+      // A little earlier, to carry a close into the first day
+      const lookback = new Date(from.getTime() - 10 * 86400000);
+      barsBySymbol[symbol] = toBars(await this.db.getOHLCV(symbol, lookback, endDate));
+    }
+
+    return valuationHistory(ledger, barsBySymbol, {
+      startDate: from.toISOString().split('T')[0],
+      endDate: endDate.toISOString().split('T')[0]
+    });
+  }
+
+  /**
+   * Create the stocks row for a symbol not seen before
+   * @param {string} symbol - Stock symbol
+   */
+  async ensureStock(symbol) {
+    if (await this.db.getStock(symbol)) return;
+    await this.db.createStock({
+      symbol,
+      name: `${symbol} Stock`,
+      currency: isTSXSymbol(symbol) ? 'CAD' : 'USD'
+    });
+  }
+}
+
+function parseName(name) {
+  const trimmed = String(name ?? '').trim();
+  if (trimmed.length === 0 || trimmed.length > 100) {
+    throw new Error('Invalid portfolio name: expected 1-100 characters');
+  }
+  return trimmed;
+}
+
+function toPortfolio(row) {
+  return {
+    id: row.id,
+    name: row.portfolio_name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toTransaction(row) {
+  return {
+    id: row.id,
+    symbol: row.symbol,
+    currency: row.currency || 'USD',
+    type: row.type,
+    tradeDate: String(row.trade_date).split('T')[0],
+    quantity: row.quantity,
+    price: row.price,
+    fees: row.fees,
+    amount: row.amount,
+    ratio: row.split_ratio,
+    notes: row.notes
+  };
+}
+
+function toPosition(row) {
+  return {
+    symbol: row.symbol,
+    currency: row.currency || 'USD',
+    quantity: row.quantity,
+    averageCost: row.average_cost,
+    costBasis: row.cost_basis,
+    realizedPnl: row.realized_pnl,
+    dividends: row.dividends,
+    fees: row.fees,
+    openedDate: row.opened_date,
+    lastTradeDate: row.last_trade_date
+  };
+}
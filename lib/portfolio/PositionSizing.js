@@ -0,0 +1,122 @@
+// lib/portfolio/PositionSizing.js
+// ATR stop levels and share quantities for a long entry, from account equity and risk per trade
+
+export const SIZING_MODES = ['fixed-fractional', 'volatility-target'];
+
+export const SIZING_DEFAULTS = {
+  mode: 'fixed-fractional',
+  riskPct: 1,
+  atrMultiple: 2,
+  atrPeriod: 14,
+  targetVolatility: 0.1
+};
+
+const TRADING_DAYS = 252;
+
+const round = (value, digits = 2) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * Parse account parameters for position sizing from a query string
+ * @param {Object} query - equity, riskPct (percent of equity per trade), atrMultiple, atrPeriod, sizing (mode),
+ *   targetVolatility (annual fraction) and accountCurrency
+ * @param {Array<string>} [currencies] - Accepted account currencies
+ * @returns {Object|null} Sizing options, or null when no equity is given
+ */
+export function parseSizingOptions(query = {}, currencies = ['USD', 'CAD']) {
+  if (query.equity === undefined || query.equity === '') return null;
+
+  const number = (name, min, max) => {
+    const raw = query[name];
+    if (raw === undefined || raw === '') return SIZING_DEFAULTS[name];
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= min || value > max) {
+      throw new Error(`Invalid ${name}: expected a number above ${min} and at most ${max}`);
+    }
+    return value;
+  };
+
+  const equity = Number(query.equity);
+  if (!Number.isFinite(equity) || equity <= 0) {
+    throw new Error('Invalid equity: expected a positive account value');
+  }
+
+  const mode = String(query.sizing || SIZING_DEFAULTS.mode).toLowerCase();
+  if (!SIZING_MODES.includes(mode)) {
+    throw new Error(`Invalid sizing mode: ${query.sizing}. Use ${SIZING_MODES.join(', ')}`);
+  }
+
+  const atrPeriod = number('atrPeriod', 1, 100);
+  if (!Number.isInteger(atrPeriod)) {
+    throw new Error('Invalid atrPeriod: expected a whole number of bars');
+  }
+
+  let accountCurrency = null;
+  if (query.accountCurrency) {
+    accountCurrency = String(query.accountCurrency).toUpperCase();
+    if (!currencies.includes(accountCurrency)) {
+      throw new Error(`Invalid accountCurrency: ${query.accountCurrency}. Use ${currencies.join(', ')}`);
+    }
+  }
+
+  return {
+    equity,
+    mode,
+    riskPct: number('riskPct', 0, 100),
+    atrMultiple: number('atrMultiple', 0, 20),
+    atrPeriod,
+    targetVolatility: number('targetVolatility', 0, 2),
+    accountCurrency
+  };
+}
+
+/**
+ * Shares to buy and a stop below the entry
+ * The stop sits atrMultiple ATRs under the entry price. Fixed-fractional
+ * buys as many shares as lose riskPct of equity if the stop is hit.
+ * Volatility-target buys the position whose annualized volatility, estimated
+ * as ATR / price scaled by the square root of 252, contributes
+ * targetVolatility to the account, and never risks more than riskPct at the
+ * stop. Neither mode buys more than the equity covers. Quantities are whole
+ * shares, rounded down.
+ * @param {number|null} atr - ATR(atrPeriod) over the symbol's full daily history (buildAnalysis sizingAtr)
+ * @param {Object} options - entryPrice and parseSizingOptions fields, with equity in the quote currency
+ * @returns {Object} mode, atr, stopPrice, shares, positionValue, riskAmount (loss at the stop) and what limited the size
+ */
+export function sizePosition(atr, { entryPrice, equity, mode, riskPct, atrMultiple, atrPeriod, targetVolatility }) {
+  if (atr === null || atr === undefined || atr <= 0) {
+    throw new Error(`Insufficient data for ATR(${atrPeriod}): need at least ${atrPeriod + 1} bars with a range`);
+  }
+
+  const stopDistance = atr * atrMultiple;
+  const stopPrice = Math.max(0, entryPrice - stopDistance);
+  const riskBudget = equity * riskPct / 100;
+  const annualizedVolatility = atr / entryPrice * Math.sqrt(TRADING_DAYS);
+
+  const limits = { risk: riskBudget / Math.min(stopDistance, entryPrice), equity: equity / entryPrice };
+  if (mode === 'volatility-target') {
+    limits.volatility = equity * targetVolatility / annualizedVolatility / entryPrice;
+  }
+  const [limitedBy, quantity] = Object.entries(limits).reduce((min, entry) => (entry[1] < min[1] ? entry : min));
+  const shares = Math.floor(quantity + 1e-9);
+  const riskAmount = shares * (entryPrice - stopPrice);
+
+  return {
+    mode,
+    entryPrice: round(entryPrice),
+    atr: round(atr, 4),
+    atrPct: round(atr / entryPrice * 100),
+    atrMultiple,
+    atrPeriod,
+    stopPrice: round(stopPrice),
+    stopDistancePct: round((entryPrice - stopPrice) / entryPrice * 100),
+    shares,
+    positionValue: round(shares * entryPrice),
+    positionPct: round(shares * entryPrice / equity * 100),
+    riskPct,
+    riskAmount: round(riskAmount),
+    riskPctOfEquity: round(riskAmount / equity * 100, 3),
+    annualizedVolatilityPct: round(annualizedVolatility * 100),
+    targetVolatility: mode === 'volatility-target' ? targetVolatility : null,
+    limitedBy
+  };
+}
@@ -0,0 +1,293 @@
+// lib/portfolio/Positions.js
+// Positions, average cost basis, P&L and daily valuation derived from a portfolio's transaction ledger
+
+export const TRANSACTION_TYPES = ['BUY', 'SELL', 'DIVIDEND', 'SPLIT'];
+
+// Quantities below this are treated as a closed position (fractional-share rounding)
+const EPSILON = 1e-9;
+
+const round = (value, digits = 4) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * Validate a transaction and normalize its fields
+ * BUY/SELL need a positive quantity and price (fees optional); DIVIDEND needs
+ * the gross cash amount (fees for tax withheld); SPLIT needs the ratio of new
+ * shares per old share, e.g. 4 for a 4-for-1 split or 0.1 for a 1-for-10
+ * reverse split.
+ * @param {Object} input - symbol, type, tradeDate (YYYY-MM-DD), quantity, price, fees, amount, ratio and notes
+ * @returns {Object} Normalized transaction
+ */
+export function parseTransaction(input = {}) {
+  const type = String(input.type || '').toUpperCase();
+  if (!TRANSACTION_TYPES.includes(type)) {
+    throw new Error(`Invalid transaction type: ${input.type}. Use ${TRANSACTION_TYPES.join(', ')}`);
+  }
+
+  const symbol = String(input.symbol || '').toUpperCase();
+  if (!/^[A-Z0-9.-]{1,10}$/.test(symbol)) {
+    throw new Error('Invalid symbol format. Use 1-10 alphanumeric chars, dots, hyphens.');
+  }
+
+  const tradeDate = String(input.tradeDate || '');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(tradeDate) || isNaN(new Date(tradeDate).getTime())) {
+    throw new Error('Invalid tradeDate format. Use YYYY-MM-DD.');
+  }
+
+  const positive = (name) => {
+    const value = input[name];
+    if (!(typeof value === 'number' && Number.isFinite(value) && value > 0)) {
+      throw new Error(`Invalid ${name}: expected a positive number for a ${type}`);
+    }
+    return value;
+  };
+  const fees = input.fees ?? 0;
+  if (!(typeof fees === 'number' && Number.isFinite(fees) && fees >= 0)) {
+    throw new Error('Invalid fees: expected a non-negative number');
+  }
+
+  const transaction = {
+    symbol,
+    type,
+    tradeDate,
+    quantity: null,
+    price: null,
+    fees,
+    amount: null,
+    ratio: null,
+    notes: input.notes ? String(input.notes).slice(0, 500) : null
+  };
+
+  if (type === 'BUY' || type === 'SELL') {
+    transaction.quantity = positive('quantity');
+    transaction.price = positive('price');
+  } else if (type === 'DIVIDEND') {
+    transaction.amount = positive('amount');
+  } else {
+    transaction.ratio = positive('ratio');
+    transaction.fees = 0;
+  }
+
+  return transaction;
+}
+
+/**
+ * Replay a ledger into per-symbol positions using average cost
+ * Buys add their cost plus fees to the cost basis. Sells realize proceeds
+ * less fees against the average cost of the shares sold. Splits scale the
+ * quantity and leave the cost basis unchanged. Dividends (net of fees) are
+ * income and do not change the cost basis. A symbol that has been fully sold
+ * keeps its realized P&L and dividends with a quantity of zero.
+ * @param {Array<Object>} transactions - Normalized transactions with symbol, type, tradeDate and amounts
+ * @returns {Array<Object>} Positions: symbol, quantity, averageCost, costBasis, realizedPnl, dividends, fees,
+ *   openedDate and lastTradeDate
+ */
+export function buildPositions(transactions) {
+  const positions = new Map();
+
+  for (const t of sortTransactions(transactions)) {
+    if (!positions.has(t.symbol)) {
+      positions.set(t.symbol, {
+        symbol: t.symbol,
+        quantity: 0,
+        costBasis: 0,
+        realizedPnl: 0,
+        dividends: 0,
+        fees: 0,
+        openedDate: null,
+        lastTradeDate: null
+      });
+    }
+    applyTransaction(positions.get(t.symbol), t);
+  }
+
+  return [...positions.values()].map(p => ({
+    ...p,
+    quantity: round(p.quantity, 6),
+    averageCost: p.quantity > EPSILON ? round(p.costBasis / p.quantity) : 0,
+    costBasis: round(p.costBasis),
+    realizedPnl: round(p.realizedPnl),
+    dividends: round(p.dividends),
+    fees: round(p.fees)
+  }));
+}
+
+function applyTransaction(position, t) {
+  position.lastTradeDate = t.tradeDate;
+
+  switch (t.type) {
+    case 'BUY':
+      if (position.quantity <= EPSILON) position.openedDate = t.tradeDate;
+      position.quantity += t.quantity;
+      position.costBasis += t.quantity * t.price + t.fees;
+      position.fees += t.fees;
+      break;
+    case 'SELL': {
+      if (t.quantity > position.quantity + EPSILON) {
+        throw new Error(`Cannot sell ${t.quantity} ${t.symbol} on ${t.tradeDate}: only ${round(position.quantity, 6)} held`);
+      }
+      const averageCost = position.costBasis / position.quantity;
+      position.realizedPnl += t.quantity * t.price - t.fees - t.quantity * averageCost;
+      position.costBasis -= t.quantity * averageCost;
+      position.quantity -= t.quantity;
+      position.fees += t.fees;
+      if (position.quantity <= EPSILON) {
+        position.quantity = 0;
+        position.costBasis = 0;
+      }
+      break;
+    }
+    case 'DIVIDEND':
+      position.dividends += t.amount - t.fees;
+      position.fees += t.fees;
+      break;
+    case 'SPLIT':
+      position.quantity *= t.ratio;
+      break;
+    default:
+      throw new Error(`Invalid transaction type: ${t.type}`);
+  }
+}
+
+/**
+ * Mark positions to market
+ * @param {Array<Object>} positions - Result of buildPositions, each with currency
+ * @param {Object} prices - Latest { price, date } by symbol
+ * @returns {Object} positions with marketValue, unrealizedPnl, unrealizedPnlPct and weight (within
+ *   their currency), and totals by currency
+ */
+export function valuePositions(positions, prices) {
+  const valued = positions.map(p => {
+    const quote = prices[p.symbol];
+    const marketValue = quote && p.quantity > 0 ? p.quantity * quote.price : p.quantity > 0 ? null : 0;
+    const unrealizedPnl = marketValue === null ? null : marketValue - p.costBasis;
+    return {
+      ...p,
+      price: quote?.price ?? null,
+      priceDate: quote?.date ?? null,
+      marketValue: round(marketValue, 2),
+      unrealizedPnl: round(unrealizedPnl, 2),
+      unrealizedPnlPct: unrealizedPnl !== null && p.costBasis > 0 ? round(unrealizedPnl / p.costBasis * 100, 2) : null
+    };
+  });
+
+  const totals = {};
+  for (const p of valued) {
+    const total = totals[p.currency] ||= {
+      marketValue: 0, costBasis: 0, unrealizedPnl: 0, realizedPnl: 0, dividends: 0, totalPnl: 0, unpriced: 0
+    };
+    if (p.quantity > 0 && p.marketValue === null) total.unpriced++;
+    total.marketValue += p.marketValue || 0;
+    total.costBasis += p.costBasis;
+    total.unrealizedPnl += p.unrealizedPnl || 0;
+    total.realizedPnl += p.realizedPnl;
+    total.dividends += p.dividends;
+    total.totalPnl += (p.unrealizedPnl || 0) + p.realizedPnl + p.dividends;
+  }
+  for (const total of Object.values(totals)) {
+    for (const key of ['marketValue', 'costBasis', 'unrealizedPnl', 'realizedPnl', 'dividends', 'totalPnl']) {
+      total[key] = round(total[key], 2);
+    }
+  }
+
+  return {
+    positions: valued.map(p => ({
+      ...p,
+      weight: p.marketValue && totals[p.currency].marketValue > 0 ? round(p.marketValue / totals[p.currency].marketValue) : 0
+    })),
+    totals
+  };
+}
+
+/**
+ * Daily portfolio value from stored closes
+ * Each day replays the ledger up to that date and marks holdings at the
+ * day's close, carrying the last close over days a symbol did not trade.
+ * Stored closes are split-adjusted, so quantities held before a recorded
+ * split are restated in post-split shares before pricing. Holdings with no
+ * stored close yet are left out rather than valued at zero.
+ * @param {Array<Object>} transactions - Normalized transactions with currency
+ * @param {Object} barsBySymbol - Ascending daily bars keyed by symbol
+ * @param {Object} [options] - startDate and endDate (YYYY-MM-DD), defaulting to the first trade and the last bar
+ * @returns {Object} Series by currency of { date, marketValue, costBasis, unrealizedPnl, realizedPnl, dividends, totalPnl }
+ */
+export function valuationHistory(transactions, barsBySymbol, { startDate, endDate } = {}) {
+  const ledger = sortTransactions(transactions);
+  if (ledger.length === 0) return {};
+
+  const from = startDate || ledger[0].tradeDate;
+  const dates = [...new Set(Object.values(barsBySymbol).flatMap(bars => bars.map(b => dayOf(b.date))))]
+    .filter(d => d >= from && (!endDate || d <= endDate))
+    .sort();
+
+  const closes = Object.fromEntries(Object.entries(barsBySymbol).map(([symbol, bars]) => [
+    symbol,
+    new Map(bars.map(b => [dayOf(b.date), b.close]))
+  ]));
+  const currencyOf = Object.fromEntries(ledger.map(t => [t.symbol, t.currency || 'USD']));
+  const lastClose = {};
+  const history = {};
+  let applied = 0;
+  const positions = new Map();
+
+  for (const date of dates) {
+    // Apply the ledger incrementally up to and including this date
+    while (applied < ledger.length && ledger[applied].tradeDate <= date) {
+      const t = ledger[applied++];
+      if (!positions.has(t.symbol)) {
+        positions.set(t.symbol, { quantity: 0, costBasis: 0, realizedPnl: 0, dividends: 0, fees: 0 });
+      }
+      applyTransaction(positions.get(t.symbol), t);
+    }
+
+    const day = {};
+    for (const [symbol, p] of positions) {
+      const close = closes[symbol]?.get(date);
+      if (close !== undefined) lastClose[symbol] = close;
+      if (p.quantity > 0 && lastClose[symbol] === undefined) continue;
+
+      const currency = currencyOf[symbol];
+      const total = day[currency] ||= { marketValue: 0, costBasis: 0, realizedPnl: 0, dividends: 0 };
+      if (p.quantity > 0) {
+        total.marketValue += p.quantity * splitFactorAfter(ledger, symbol, date) * lastClose[symbol];
+      }
+      total.costBasis += p.costBasis;
+      total.realizedPnl += p.realizedPnl;
+      total.dividends += p.dividends;
+    }
+
+    for (const [currency, total] of Object.entries(day)) {
+      const unrealizedPnl = total.marketValue - total.costBasis;
+      (history[currency] ||= []).push({
+        date,
+        marketValue: round(total.marketValue, 2),
+        costBasis: round(total.costBasis, 2),
+        unrealizedPnl: round(unrealizedPnl, 2),
+        realizedPnl: round(total.realizedPnl, 2),
+        dividends: round(total.dividends, 2),
+        totalPnl: round(unrealizedPnl + total.realizedPnl + total.dividends, 2)
+      });
+    }
+  }
+
+  return history;
+}
+
+// Product of split ratios recorded after a date, to restate older quantities in today's shares
+function splitFactorAfter(ledger, symbol, date) {
+  return ledger
+    .filter(t => t.type === 'SPLIT' && t.symbol === symbol && t.tradeDate > date)
+    .reduce((factor, t) => factor * t.ratio, 1);
+}
+
+/**
+ * Ledger in replay order: chronological, with the order entered breaking ties within a day
+ * @param {Array<Object>} transactions - Transactions with tradeDate and optional id
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortTransactions(transactions) {
+  return [...transactions].sort((a, b) => a.tradeDate.localeCompare(b.tradeDate) || (a.id ?? 0) - (b.id ?? 0));
+}
+
+function dayOf(date) {
+  return (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+}
@@ -0,0 +1,375 @@
+// lib/portfolio/Rebalance.js
+// Trade lists that move a portfolio toward target weights, with estimated costs and tax-lot impact.
+// Plans only: nothing here places orders.
+
+import { sortTransactions } from './Positions.js';
+
+export const REBALANCE_DEFAULTS = {
+  driftBand: 0.02,
+  minTrade: 100,
+  wholeShares: true,
+  commission: 0,
+  commissionPerShare: 0,
+  minimumCommission: 0,
+  slippageBps: 5,
+  fxFeeBps: 150
+};
+
+// Lots held longer than this realize a long-term gain (US rules; Canada taxes on average cost only)
+export const LONG_TERM_DAYS = 365;
+
+// Quantities below this are treated as zero (fractional-share rounding)
+const EPSILON = 1e-9;
+
+const round = (value, digits = 4) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+/**
+ * Validate a rebalance request
+ * Targets are fractions of the whole portfolio including cash; weight not
+ * assigned to a symbol is left in cash, and held symbols without a target are
+ * sold down to zero.
+ * @param {Object} input - targets ({ symbol: weight }), cash ({ CAD, USD }), currency, driftBand, minTrade,
+ *   wholeShares, commission, commissionPerShare, minimumCommission, slippageBps, fxFeeBps and asOf (YYYY-MM-DD)
+ * @param {Array<string>} currencies - Accepted cash and reporting currencies
+ * @returns {Object} Normalized request
+ */
+export function parseRebalanceRequest(input = {}, currencies = ['USD', 'CAD']) {
+  if (!input.targets || typeof input.targets !== 'object' || Array.isArray(input.targets)) {
+    throw new Error('Invalid targets: expected an object of symbol weights, e.g. { "AAPL": 0.3, "RY.TO": 0.2 }');
+  }
+  const targets = {};
+  for (const [key, weight] of Object.entries(input.targets)) {
+    const symbol = key.trim().toUpperCase();
+    if (!/^[A-Z0-9.-]{1,10}$/.test(symbol)) {
+      throw new Error('Invalid symbol format. Use 1-10 alphanumeric chars, dots, hyphens.');
+    }
+    if (!(typeof weight === 'number' && weight >= 0 && weight <= 1)) {
+      throw new Error(`Invalid target weight for ${symbol}: expected a fraction from 0 to 1`);
+    }
+    targets[symbol] = (targets[symbol] || 0) + weight;
+  }
+  const allocated = Object.values(targets).reduce((sum, w) => sum + w, 0);
+  if (Object.keys(targets).length === 0 || allocated > 1 + 1e-6) {
+    throw new Error(`Invalid targets: weights must sum to at most 1, got ${round(allocated)}`);
+  }
+
+  const currency = String(input.currency || 'USD').toUpperCase();
+  if (!currencies.includes(currency)) {
+    throw new Error(`Invalid currency: ${input.currency}. Use ${currencies.join(', ')}`);
+  }
+
+  const cash = Object.fromEntries(currencies.map(c => [c, 0]));
+  for (const [key, amount] of Object.entries(input.cash || {})) {
+    const code = key.toUpperCase();
+    if (!currencies.includes(code)) {
+      throw new Error(`Invalid cash currency: ${key}. Use ${currencies.join(', ')}`);
+    }
+    if (!(typeof amount === 'number' && Number.isFinite(amount) && amount >= 0)) {
+      throw new Error(`Invalid cash for ${code}: expected a non-negative number`);
+    }
+    cash[code] = amount;
+  }
+
+  const request = { targets, cash, currency };
+  for (const name of ['driftBand', 'minTrade', 'commission', 'commissionPerShare', 'minimumCommission', 'slippageBps', 'fxFeeBps']) {
+    const value = input[name] ?? REBALANCE_DEFAULTS[name];
+    const valid = name === 'driftBand' ? value >= 0 && value < 1 : name === 'fxFeeBps' ? value >= 0 && value < 10000 : value >= 0;
+    if (!(typeof value === 'number' && Number.isFinite(value) && valid)) {
+      throw new Error(name === 'driftBand'
+        ? 'Invalid driftBand: expected a weight fraction from 0 to 1, e.g. 0.02'
+        : `Invalid ${name}: expected a non-negative number`);
+    }
+    request[name] = value;
+  }
+
+  if (input.wholeShares !== undefined && typeof input.wholeShares !== 'boolean') {
+    throw new Error('Invalid wholeShares: expected true or false');
+  }
+  request.wholeShares = input.wholeShares ?? REBALANCE_DEFAULTS.wholeShares;
+
+  const asOf = input.asOf ?? new Date().toISOString().split('T')[0];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || isNaN(new Date(asOf).getTime())) {
+    throw new Error('Invalid asOf date format. Use YYYY-MM-DD.');
+  }
+  request.asOf = asOf;
+
+  return request;
+}
+
+/**
+ * Open tax lots by symbol, matching sales first in, first out
+ * Splits restate each lot's quantity and per-share cost, so lots are in
+ * today's shares like stored closes and positions.
+ * @param {Array<Object>} transactions - Normalized transactions
+ * @returns {Object} Lots by symbol: { tradeDate, quantity, costPerShare } oldest first
+ */
+export function openLots(transactions) {
+  const lots = {};
+  for (const t of sortTransactions(transactions)) {
+    const open = lots[t.symbol] ||= [];
+    if (t.type === 'BUY') {
+      open.push({ tradeDate: t.tradeDate, quantity: t.quantity, costPerShare: (t.quantity * t.price + t.fees) / t.quantity });
+    } else if (t.type === 'SELL') {
+      let remaining = t.quantity;
+      while (remaining > EPSILON && open.length > 0) {
+        const used = Math.min(open[0].quantity, remaining);
+        open[0].quantity -= used;
+        remaining -= used;
+        if (open[0].quantity <= EPSILON) open.shift();
+      }
+    } else if (t.type === 'SPLIT') {
+      for (const lot of open) {
+        lot.quantity *= t.ratio;
+        lot.costPerShare /= t.ratio;
+      }
+    }
+  }
+  return lots;
+}
+
+/**
+ * Trades that bring holdings back to target weights
+ * Weights are of the whole portfolio, holdings plus cash, in the reporting
+ * currency. A symbol is traded only when its weight has drifted from target
+ * by more than the drift band and the trade is worth at least minTrade; it
+ * then goes back to its target. Whole-share orders are rounded toward zero,
+ * except that a symbol with a zero target is sold in full. Sales settle
+ * first and fund purchases in their own currency; a purchase short of cash
+ * converts the other currency (at the current rate less fxFeeBps), and is
+ * cut back to what the cash covers when both run out.
+ * Selling costs reduce realized gains. Gains are reported on average cost,
+ * as the ledger books them, and by first-in-first-out lots with the holding
+ * period of each, in the listing's currency and in the reporting currency at
+ * the current rate.
+ * @param {Array<Object>} holdings - symbol, currency, quantity, price, averageCost and lots (see openLots), including
+ *   unheld target symbols with a quantity of zero
+ * @param {Object} request - parseRebalanceRequest result
+ * @param {Object} rates - Value in the reporting currency of one unit of each currency
+ * @returns {Object} totalValue, trades, held (symbols not traded, with the reason), cash before and after,
+ *   fxConversions, costs, tax, turnoverPct and resulting weights
+ */
+export function planRebalance(holdings, request, rates) {
+  const { targets, driftBand, minTrade, wholeShares, asOf } = request;
+  const slippage = request.slippageBps / 10000;
+  const fxFee = request.fxFeeBps / 10000;
+  const toBase = (amount, currency) => amount * rates[currency];
+  const commissionFor = (quantity) => (quantity > 0
+    ? Math.max(request.minimumCommission, request.commission + request.commissionPerShare * quantity)
+    : 0);
+
+  const cash = { ...request.cash };
+  const holdingsValue = holdings.reduce((sum, h) => sum + toBase(h.quantity * h.price, h.currency), 0);
+  const cashValue = Object.entries(cash).reduce((sum, [currency, amount]) => sum + toBase(amount, currency), 0);
+  const totalValue = holdingsValue + cashValue;
+  if (totalValue <= 0) {
+    throw new Error('Invalid rebalance: the portfolio has no priced holdings or cash');
+  }
+
+  const rows = holdings.map(h => {
+    const currentWeight = toBase(h.quantity * h.price, h.currency) / totalValue;
+    const targetWeight = targets[h.symbol] ?? 0;
+    return { ...h, currentWeight, targetWeight, drift: currentWeight - targetWeight };
+  });
+
+  const held = [];
+  const orders = [];
+  for (const row of rows) {
+    const hold = (reason) => held.push({
+      symbol: row.symbol,
+      currentWeight: round(row.currentWeight),
+      targetWeight: round(row.targetWeight),
+      drift: round(row.drift),
+      reason
+    });
+
+    if (Math.abs(row.drift) <= driftBand) {
+      if (row.quantity > 0 || row.targetWeight > 0) hold('within drift band');
+      continue;
+    }
+
+    const sellAll = row.targetWeight === 0;
+    let quantity = sellAll ? -row.quantity : (row.targetWeight - row.currentWeight) * totalValue / rates[row.currency] / row.price;
+    if (wholeShares && !sellAll) quantity = Math.sign(quantity) * Math.floor(Math.abs(quantity) + EPSILON);
+
+    if (Math.abs(quantity) <= EPSILON) {
+      hold('less than one share');
+    } else if (toBase(Math.abs(quantity) * row.price, row.currency) < minTrade) {
+      hold('below minimum trade');
+    } else {
+      orders.push({ row, quantity });
+    }
+  }
+
+  const cashBefore = { ...cash };
+  const conversions = new Map();
+  const trades = [];
+
+  // Sales first, so their proceeds can fund purchases
+  for (const { row, quantity } of orders.filter(o => o.quantity < 0)) {
+    const shares = -quantity;
+    const costs = tradeCosts(shares, row.price, commissionFor(shares), slippage);
+    cash[row.currency] += shares * row.price - costs.total;
+    trades.push({ ...describe(row, 'SELL', shares), costs, tax: saleTax(row, shares, costs.total, asOf) });
+  }
+
+  // Then purchases, most underweight first
+  const purchases = orders.filter(o => o.quantity > 0).sort((a, b) => a.row.drift - b.row.drift);
+  for (const order of purchases) {
+    const { row } = order;
+    let { quantity } = order;
+    const need = (q) => q * row.price * (1 + slippage) + commissionFor(q);
+    const others = Object.keys(cash).filter(c => c !== row.currency);
+    const convertible = (c) => Math.max(0, cash[c]) * rates[c] / rates[row.currency] * (1 - fxFee);
+    const available = Math.max(0, cash[row.currency]) + others.reduce((sum, c) => sum + convertible(c), 0);
+
+    if (need(quantity) > available + EPSILON) {
+      quantity = affordableQuantity(available, row.price, slippage, request, wholeShares);
+      while (wholeShares && quantity > 0 && need(quantity) > available + EPSILON) quantity--;
+      if (quantity <= EPSILON || toBase(quantity * row.price, row.currency) < minTrade) {
+        held.push({
+          symbol: row.symbol,
+          currentWeight: round(row.currentWeight),
+          targetWeight: round(row.targetWeight),
+          drift: round(row.drift),
+          reason: 'insufficient cash'
+        });
+        continue;
+      }
+    }
+
+    const costs = tradeCosts(quantity, row.price, commissionFor(quantity), slippage);
+    let shortfall = quantity * row.price + costs.total - Math.max(0, cash[row.currency]);
+    for (const from of others) {
+      if (shortfall <= EPSILON) break;
+      const amount = Math.min(Math.max(0, cash[from]), shortfall * rates[row.currency] / rates[from] / (1 - fxFee));
+      if (amount <= 0) continue;
+      const received = amount * rates[from] / rates[row.currency] * (1 - fxFee);
+      cash[from] -= amount;
+      cash[row.currency] += received;
+      shortfall -= received;
+
+      const key = `${from}->${row.currency}`;
+      const conversion = conversions.get(key) || { from, to: row.currency, amount: 0, received: 0, fee: 0 };
+      conversion.amount += amount;
+      conversion.received += received;
+      conversion.fee += amount * fxFee;
+      conversions.set(key, conversion);
+    }
+    cash[row.currency] -= quantity * row.price + costs.total;
+    trades.push({ ...describe(row, 'BUY', quantity), costs });
+  }
+
+  const quantities = Object.fromEntries(rows.map(r => [r.symbol, r.quantity]));
+  for (const trade of trades) quantities[trade.symbol] += trade.action === 'BUY' ? trade.quantity : -trade.quantity;
+  const afterValue = rows.reduce((sum, r) => sum + toBase(quantities[r.symbol] * r.price, r.currency), 0)
+    + Object.entries(cash).reduce((sum, [currency, amount]) => sum + toBase(amount, currency), 0);
+  for (const trade of trades) {
+    const row = rows.find(r => r.symbol === trade.symbol);
+    trade.resultingWeight = round(toBase(quantities[row.symbol] * row.price, row.currency) / afterValue);
+  }
+
+  const fxConversions = [...conversions.values()].map(c => ({
+    from: c.from,
+    to: c.to,
+    amount: round(c.amount, 2),
+    received: round(c.received, 2),
+    fee: round(c.fee, 2)
+  }));
+  const sum = (values) => values.reduce((total, v) => total + v, 0);
+  const commissions = sum(trades.map(t => toBase(t.costs.commission, t.currency)));
+  const slippageCost = sum(trades.map(t => toBase(t.costs.slippage, t.currency)));
+  const fxCost = sum([...conversions.values()].map(c => toBase(c.fee, c.from)));
+  const sales = trades.filter(t => t.action === 'SELL');
+
+  return {
+    totalValue: round(totalValue, 2),
+    trades: trades.map(t => ({ ...t, reportingValue: round(t.reportingValue, 2) })),
+    held,
+    cash: {
+      before: Object.fromEntries(Object.entries(cashBefore).map(([c, v]) => [c, round(v, 2)])),
+      after: Object.fromEntries(Object.entries(cash).map(([c, v]) => [c, round(v, 2)]))
+    },
+    fxConversions,
+    costs: {
+      commissions: round(commissions, 2),
+      slippage: round(slippageCost, 2),
+      fx: round(fxCost, 2),
+      total: round(commissions + slippageCost + fxCost, 2),
+      pctOfValue: round((commissions + slippageCost + fxCost) / totalValue * 100, 3)
+    },
+    tax: {
+      realizedGain: round(sum(sales.map(t => toBase(t.tax.realizedGain, t.currency))), 2),
+      fifoRealizedGain: round(sum(sales.map(t => toBase(t.tax.fifo.realizedGain, t.currency))), 2),
+      shortTermGain: round(sum(sales.map(t => toBase(t.tax.fifo.shortTermGain, t.currency))), 2),
+      longTermGain: round(sum(sales.map(t => toBase(t.tax.fifo.longTermGain, t.currency))), 2)
+    },
+    turnoverPct: round(sum(trades.map(t => t.reportingValue)) / totalValue * 100, 2),
+    weights: {
+      ...Object.fromEntries(rows.map(r => [r.symbol, round(toBase(quantities[r.symbol] * r.price, r.currency) / afterValue)])),
+      cash: round(sum(Object.entries(cash).map(([c, v]) => toBase(v, c))) / afterValue)
+    }
+  };
+
+  function describe(row, action, quantity) {
+    return {
+      symbol: row.symbol,
+      currency: row.currency,
+      action,
+      quantity: round(quantity, 6),
+      price: row.price,
+      value: round(quantity * row.price, 2),
+      reportingValue: toBase(quantity * row.price, row.currency),
+      currentWeight: round(row.currentWeight),
+      targetWeight: round(row.targetWeight),
+      drift: round(row.drift)
+    };
+  }
+}
+
+function tradeCosts(quantity, price, commission, slippage) {
+  const slippageCost = quantity * price * slippage;
+  return { commission: round(commission, 2), slippage: round(slippageCost, 2), total: round(commission + slippageCost, 2) };
+}
+
+// Largest quantity whose cost, slippage and commission fit in the available cash
+function affordableQuantity(available, price, slippage, request, wholeShares) {
+  const unit = price * (1 + slippage);
+  let quantity = Math.max(0, (available - request.commission) / (unit + request.commissionPerShare));
+  if (request.commission + request.commissionPerShare * quantity < request.minimumCommission) {
+    quantity = Math.max(0, (available - request.minimumCommission) / unit);
+  }
+  return wholeShares ? Math.floor(quantity + EPSILON) : quantity;
+}
+
+// Realized gain of a sale on average cost, and lot by lot first in, first out
+function saleTax(row, quantity, sellingCosts, asOf) {
+  const costPerShareSold = sellingCosts / quantity;
+  const lots = [];
+  let remaining = quantity;
+  for (const lot of row.lots || []) {
+    if (remaining <= EPSILON) break;
+    const used = Math.min(lot.quantity, remaining);
+    remaining -= used;
+    const holdingDays = Math.round((new Date(asOf) - new Date(lot.tradeDate)) / 86400000);
+    lots.push({
+      tradeDate: lot.tradeDate,
+      quantity: round(used, 6),
+      costPerShare: round(lot.costPerShare),
+      holdingDays,
+      term: holdingDays > LONG_TERM_DAYS ? 'long' : 'short',
+      gain: round(used * (row.price - costPerShareSold - lot.costPerShare), 2)
+    });
+  }
+
+  const fifoGain = (term) => lots.filter(l => !term || l.term === term).reduce((sum, l) => sum + l.gain, 0);
+  return {
+    averageCost: row.averageCost,
+    realizedGain: round(quantity * (row.price - costPerShareSold - row.averageCost), 2),
+    fifo: {
+      realizedGain: round(fifoGain(), 2),
+      shortTermGain: round(fifoGain('short'), 2),
+      longTermGain: round(fifoGain('long'), 2),
+      lots
+    }
+  };
+}
@@ -0,0 +1,89 @@
+// lib/portfolio/RebalanceService.js
+// Prices a portfolio's holdings and target symbols and plans the trades that rebalance it
+
+import winston from 'winston';
+import { openLots, planRebalance } from './Rebalance.js';
+import { isTSXSymbol } from '../analyze.js';
+import { REPORTING_CURRENCIES } from './RiskService.js';
+
+export class RebalanceService {
+  /**
+   * @param {Object} databaseService - DatabaseService or a DatabaseInterface implementation
+   * @param {Object} currencyService - CurrencyService for current exchange rates
+   */
+  constructor(databaseService, currencyService) {
+    this.db = databaseService;
+    this.currencyService = currencyService;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'rebalance-service' }
+    });
+  }
+
+  /**
+   * Trade list that moves a portfolio to target weights
+   * Open positions are valued at their latest stored close and target
+   * symbols not yet held at theirs. Nothing is recorded in the ledger; the
+   * trades are a plan to place with a broker.
+   * @param {Object} portfolio - PortfolioService.get result
+   * @param {Array<Object>} transactions - The portfolio's ledger, for tax lots
+   * @param {Object} request - parseRebalanceRequest result
+   * @returns {Promise<Object>} planRebalance result with portfolioId, currency, rates and asOf
+   */
+  async plan(portfolio, transactions, request) {
+    const lots = openLots(transactions);
+    const holdings = [];
+    for (const position of portfolio.positions.filter(p => p.quantity > 0)) {
+      if (position.price === null) {
+        throw new Error(`No stored close for ${position.symbol}; fetch its history before rebalancing`);
+      }
+      holdings.push({
+        symbol: position.symbol,
+        currency: position.currency,
+        quantity: position.quantity,
+        price: position.price,
+        averageCost: position.averageCost,
+        lots: lots[position.symbol] || []
+      });
+    }
+
+    for (const symbol of Object.keys(request.targets)) {
+      if (holdings.some(h => h.symbol === symbol)) continue;
+      const record = await this.db.getLastOHLCVRecord(symbol);
+      if (!record) {
+        throw new Error(`No stored close for ${symbol}; fetch its history before rebalancing`);
+      }
+      const stock = await this.db.getStock(symbol);
+      holdings.push({
+        symbol,
+        currency: stock?.currency || (isTSXSymbol(symbol) ? 'CAD' : 'USD'),
+        quantity: 0,
+        price: record.close,
+        averageCost: 0,
+        lots: []
+      });
+    }
+
+    const rates = {};
+    for (const currency of new Set([...REPORTING_CURRENCIES, ...holdings.map(h => h.currency)])) {
+      rates[currency] = await this.currencyService.convert(currency, request.currency, 1);
+    }
+
+    // A cash balance for every currency traded, so sales in any of them settle somewhere
+    const cash = Object.fromEntries(Object.keys(rates).map(c => [c, request.cash[c] || 0]));
+    const plan = planRebalance(holdings, { ...request, cash }, rates);
+    this.logger.info(`Planned ${plan.trades.length} trades for portfolio ${portfolio.id}`, { held: plan.held.length });
+
+    return {
+      portfolioId: portfolio.id,
+      currency: request.currency,
+      asOf: request.asOf,
+      rates,
+      ...plan
+    };
+  }
+}
@@ -0,0 +1,173 @@
+// lib/portfolio/Risk.js
+// Return-based risk statistics for a weighted set of holdings: volatility, beta, Sharpe/Sortino, VaR/CVaR, drawdown
+
+import { curveStats } from '../backtest/Backtest.js';
+import { relativeStats } from '../backtest/Report.js';
+import { stdDev, normalQuantile } from '../indicators/math.js';
+
+export const VAR_LEVELS = [0.95, 0.99];
+
+// Fewer overlapping daily returns than this make the tail statistics meaningless
+export const MIN_RETURNS = 20;
+
+const TRADING_DAYS = 252;
+
+const round = (value, digits = 2) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Restate a bar series in another currency
+ * Each close is multiplied by the exchange rate on its date, carrying the
+ * last known rate over days the FX series has no quote (and the first rate
+ * back to earlier days). Without an FX series the spot rate applies to every
+ * day, which leaves returns unchanged.
+ * @param {Array<Object>} bars - Ascending daily bars
+ * @param {Array<Object>|null} fxBars - Ascending daily bars of the exchange rate (close = units of target per unit of source)
+ * @param {number} spotRate - Current rate, used when fxBars is empty
+ * @returns {Array<Object>} { date, close } in the target currency
+ */
+export function convertCloses(bars, fxBars, spotRate) {
+  if (!fxBars?.length) {
+    return bars.map(b => ({ date: dayOf(b.date), close: b.close * spotRate }));
+  }
+
+  const rates = fxBars.map(b => [dayOf(b.date), b.close]);
+  let index = 0;
+  let rate = rates[0][1];
+  return bars.map(b => {
+    const date = dayOf(b.date);
+    while (index < rates.length && rates[index][0] <= date) {
+      rate = rates[index++][1];
+    }
+    return { date, close: b.close * rate };
+  });
+}
+
+/**
+ * Daily returns of a constant-weight mix of holdings
+ * Returns are taken between consecutive dates on which every holding has a
+ * close (TSX and US market holidays differ), and the weights apply every day,
+ * so the mix is rebalanced daily.
+ * @param {Object} barsBySymbol - Ascending daily bars (or { date, close }) keyed by symbol
+ * @param {Object} weights - Weight by symbol, summing to 1
+ * @returns {Object} dates (one more than returns, starting with the base date), returns and bySymbol returns
+ */
+export function weightedReturns(barsBySymbol, weights) {
+  const symbols = Object.keys(weights);
+  const closes = symbols.map(symbol => new Map((barsBySymbol[symbol] || []).map(b => [dayOf(b.date), b.close])));
+  const dates = [...closes[0].keys()].filter(date => closes.every(c => c.has(date))).sort();
+
+  const returns = [];
+  const bySymbol = Object.fromEntries(symbols.map(symbol => [symbol, []]));
+  for (let i = 1; i < dates.length; i++) {
+    let total = 0;
+    symbols.forEach((symbol, k) => {
+      const r = closes[k].get(dates[i]) / closes[k].get(dates[i - 1]) - 1;
+      bySymbol[symbol].push(r);
+      total += weights[symbol] * r;
+    });
+    returns.push(total);
+  }
+
+  return { dates, returns, bySymbol };
+}
+
+/**
+ * Risk statistics for weighted holdings over their common price history
+ * Volatility, return and drawdown come from the daily-rebalanced equity curve
+ * (curveStats). Sharpe and Sortino are annualized excess returns over
+ * riskFreeRate, Sortino against downside deviation only. VaR and CVaR
+ * (expected shortfall) are one-day losses at each of VAR_LEVELS, reported
+ * as positive percentages: historical from the empirical return distribution
+ * and parametric from a normal fit. With a value they are also given as
+ * amounts. Beta, correlation and alpha are against the benchmark's daily
+ * returns on shared dates.
+ * @param {Object} barsBySymbol - Ascending daily bars keyed by symbol, all in one currency
+ * @param {Object} weights - Weight by symbol, summing to 1
+ * @param {Object} [options] - benchmarkBars, riskFreeRate (annual, default 0) and value (for VaR amounts)
+ * @returns {Object} Portfolio statistics, valueAtRisk by level, relative (to the benchmark) and holdings
+ */
+export function portfolioRisk(barsBySymbol, weights, { benchmarkBars = null, riskFreeRate = 0, value = null } = {}) {
+  const { dates, returns, bySymbol } = weightedReturns(barsBySymbol, weights);
+  if (returns.length < MIN_RETURNS) {
+    throw new Error(`Insufficient historical data: ${returns.length} overlapping daily returns, need at least ${MIN_RETURNS}`);
+  }
+
+  const curve = equityCurve(dates, returns);
+  const { totalReturnPct, cagrPct, maxDrawdownPct, volatilityPct } = curveStats(curve);
+  const benchmarkCurve = benchmarkBars?.length ? benchmarkBars.map(b => ({ date: dayOf(b.date), equity: b.close })) : null;
+
+  const variance = stdDev(returns) ** 2;
+  const holdings = Object.keys(weights).map(symbol => {
+    const symbolReturns = bySymbol[symbol];
+    const symbolMean = mean(symbolReturns);
+    const portfolioMean = mean(returns);
+    const covariance = mean(symbolReturns.map((r, i) => (r - symbolMean) * (returns[i] - portfolioMean)));
+    return {
+      symbol,
+      weight: round(weights[symbol], 4),
+      volatilityPct: round(stdDev(symbolReturns) * Math.sqrt(TRADING_DAYS) * 100),
+      beta: benchmarkCurve ? relativeStats(equityCurve(dates, symbolReturns), benchmarkCurve)?.beta ?? null : null,
+      // Share of portfolio variance (the contributions sum to 100)
+      riskContributionPct: variance > 0 ? round(weights[symbol] * covariance / variance * 100) : null
+    };
+  });
+
+  return {
+    startDate: dates[0],
+    endDate: dates[dates.length - 1],
+    days: returns.length,
+    totalReturnPct,
+    cagrPct,
+    volatilityPct,
+    maxDrawdownPct,
+    ...riskAdjusted(returns, riskFreeRate),
+    valueAtRisk: VAR_LEVELS.map(level => valueAtRisk(returns, level, value)),
+    relative: benchmarkCurve ? relativeStats(curve, benchmarkCurve) : null,
+    holdings
+  };
+}
+
+function riskAdjusted(returns, riskFreeRate) {
+  const excess = returns.map(r => r - riskFreeRate / TRADING_DAYS);
+  const meanExcess = mean(excess);
+  const volatility = stdDev(returns);
+  const downside = Math.sqrt(mean(excess.map(r => Math.min(0, r) ** 2)));
+  return {
+    riskFreeRate,
+    sharpe: volatility > 0 ? round(meanExcess / volatility * Math.sqrt(TRADING_DAYS)) : null,
+    sortino: downside > 0 ? round(meanExcess / downside * Math.sqrt(TRADING_DAYS)) : null
+  };
+}
+
+function valueAtRisk(returns, level, value) {
+  const tail = 1 - level;
+  const sorted = [...returns].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * tail;
+  const lower = Math.floor(index);
+  const quantile = sorted[lower] + (sorted[Math.ceil(index)] - sorted[lower]) * (index - lower);
+  const tailReturns = sorted.filter(r => r <= quantile);
+
+  const mu = mean(returns);
+  const sigma = stdDev(returns);
+  const z = normalQuantile(tail);
+  const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+  const loss = (fraction) => ({
+    pct: round(fraction * 100, 3),
+    amount: value === null ? null : round(fraction * value)
+  });
+  const historical = { var: loss(-quantile), cvar: loss(-mean(tailReturns)) };
+  const parametric = { var: loss(-(mu + z * sigma)), cvar: loss(-(mu - sigma * density / tail)) };
+
+  return { level, historical, parametric };
+}
+
+function equityCurve(dates, returns) {
+  let equity = 100;
+  return [{ date: dates[0], equity }, ...returns.map((r, i) => ({ date: dates[i + 1], equity: equity *= 1 + r }))];
+}
+
+function dayOf(date) {
+  return (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+}
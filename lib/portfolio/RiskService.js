@@ -0,0 +1,335 @@
+// lib/portfolio/RiskService.js
+// Loads price history for holdings, converts it to one reporting currency and computes portfolio risk
+
+import winston from 'winston';
+import { portfolioRisk, convertCloses } from './Risk.js';
+import { analyzeCorrelations, alignedReturns, MIN_OBSERVATIONS } from './Correlation.js';
+import { estimateMoments, optimizePortfolio, SHRINKAGE_METHODS } from './Optimizer.js';
+import { fetchBenchmarkBars, isTSXSymbol, toBars } from '../analyze.js';
+import { BENCHMARK_SYMBOL } from '../indicators/MarketRegime.js';
+
+export const REPORTING_CURRENCIES = ['USD', 'CAD'];
+
+// Default lookback when no startDate is given
+const DEFAULT_DAYS = 365;
+
+export class RiskService {
+  /**
+   * @param {Object} databaseService - DatabaseService or a DatabaseInterface implementation
+   * @param {Object} currencyService - CurrencyService for current exchange rates
+   */
+  constructor(databaseService, currencyService) {
+    this.db = databaseService;
+    this.currencyService = currencyService;
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'risk-service' }
+    });
+  }
+
+  /**
+   * Risk of a portfolio's open positions, weighted by market value
+   * Market values are converted to the reporting currency with CurrencyService
+   * before weighting, so CAD and USD holdings aggregate. Positions without a
+   * stored close are left out and listed as excluded.
+   * @param {Object} portfolio - PortfolioService.get result
+   * @param {Object} [options] - See analyze
+   * @returns {Promise<Object>} See analyze, plus value and excluded
+   */
+  async analyzePortfolio(portfolio, options = {}) {
+    const currency = options.currency || 'USD';
+    const open = portfolio.positions.filter(p => p.quantity > 0);
+    const priced = open.filter(p => p.marketValue !== null);
+    if (priced.length === 0) {
+      throw new Error(`Portfolio ${portfolio.id} has no priced open positions`);
+    }
+
+    const holdings = [];
+    for (const position of priced) {
+      holdings.push({
+        symbol: position.symbol,
+        currency: position.currency,
+        value: await this.currencyService.convert(position.currency, currency, position.marketValue)
+      });
+    }
+    const value = holdings.reduce((sum, h) => sum + h.value, 0);
+
+    const risk = await this.analyze(
+      holdings.map(h => ({ symbol: h.symbol, currency: h.currency, weight: h.value / value })),
+      { ...options, currency, value }
+    );
+    return {
+      portfolioId: portfolio.id,
+      ...risk,
+      excluded: open.filter(p => p.marketValue === null).map(p => p.symbol)
+    };
+  }
+
+  /**
+   * Risk of weighted holdings over their stored daily closes
+   * Closes are restated in the reporting currency with daily Yahoo Finance FX
+   * rates where available (fxAdjusted), otherwise at the current rate, which
+   * leaves that holding's returns in its own currency. Weights are normalized
+   * to sum to 1.
+   * @param {Array<Object>} holdings - { symbol, weight, currency? }; currency defaults to the stocks table, then CAD for .TO
+   * @param {Object} [options] - currency (reporting, default USD), benchmark (default SPY), startDate and endDate (Date),
+   *   riskFreeRate (annual) and value (in the reporting currency, for VaR amounts)
+   * @returns {Promise<Object>} portfolioRisk result with currency, value, benchmark, fxRates and per-holding currency
+   */
+  async analyze(holdings, { currency = 'USD', benchmark = BENCHMARK_SYMBOL, startDate, endDate = new Date(), riskFreeRate = 0, value = null } = {}) {
+    const from = startDate || new Date(endDate.getTime() - DEFAULT_DAYS * 86400000);
+    const total = holdings.reduce((sum, h) => sum + h.weight, 0);
+    const weights = {};
+    const currencies = {};
+    for (const holding of holdings) {
+      weights[holding.symbol] = (weights[holding.symbol] || 0) + holding.weight / total;
+      currencies[holding.symbol] = holding.currency || await this.currencyOf(holding.symbol);
+    }
+
+    const fx = {};
+    const barsBySymbol = {};
+    for (const symbol of Object.keys(weights)) {
+      const bars = toBars(await this.db.getOHLCV(symbol, from, endDate));
+      if (bars.length === 0) {
+        throw new Error(`Insufficient historical data: no stored prices for ${symbol}`);
+      }
+      barsBySymbol[symbol] = await this.inCurrency(bars, currencies[symbol], currency, from, endDate, fx);
+    }
+
+    // Stored benchmark bars first, then Yahoo Finance; relative statistics are omitted without either
+    let benchmarkBars = toBars(await this.db.getOHLCV(benchmark, from, endDate));
+    if (benchmarkBars.length === 0) {
+      benchmarkBars = await fetchBenchmarkBars(undefined, { symbol: benchmark, startDate: from, endDate }) || [];
+      if (benchmarkBars.length === 0) {
+        this.logger.warn(`Benchmark ${benchmark} unavailable; relative statistics omitted`);
+      }
+    }
+    if (benchmarkBars.length > 0) {
+      benchmarkBars = await this.inCurrency(benchmarkBars, await this.currencyOf(benchmark), currency, from, endDate, fx);
+    }
+
+    const risk = portfolioRisk(barsBySymbol, weights, { benchmarkBars, riskFreeRate, value });
+    this.logger.info(`Computed risk for ${Object.keys(weights).length} holdings`, { currency, days: risk.days });
+
+    return {
+      currency,
+      value: value === null ? null : parseFloat(value.toFixed(2)),
+      benchmark: benchmarkBars.length > 0 ? benchmark : null,
+      fxRates: Object.fromEntries(Object.entries(fx).map(([from, { rate, daily }]) => [from, { rate, fxAdjusted: daily }])),
+      ...risk,
+      holdings: risk.holdings.map(h => ({ ...h, currency: currencies[h.symbol] }))
+    };
+  }
+
+  /**
+   * Correlation matrices, clustering and diversification of a symbol set
+   * Returns are in each listing's own currency. Symbols without stored prices
+   * in the range are listed as excluded.
+   * @param {Array<string>} symbols - Symbols to compare
+   * @param {Object} [options] - startDate and endDate (Date, default the last year), plus analyzeCorrelations options
+   * @returns {Promise<Object>} analyzeCorrelations result
+   */
+  async correlations(symbols, { startDate, endDate, ...options } = {}) {
+    const { barsBySymbol, missing } = await this.storedBars(symbols, startDate, endDate);
+    const result = analyzeCorrelations(barsBySymbol, options);
+    this.logger.info(`Computed correlations for ${result.symbols.length} symbols`, { excluded: missing.length + result.excluded.length });
+    return { ...result, excluded: [...missing, ...result.excluded] };
+  }
+
+  /**
+   * Minimum-variance, maximum-Sharpe, risk-parity and target-volatility weights
+   * Expected returns and covariance are estimated from daily returns on the
+   * dates all symbols traded, in each listing's own currency.
+   * @param {Array<string>} symbols - Symbols to weight
+   * @param {Object} [options] - startDate and endDate (Date, default the last year), shrinkage, plus
+   *   optimizePortfolio constraints (maxWeight, longOnly, targetVolatility, riskFreeRate, frontierPoints)
+   * @returns {Promise<Object>} optimizePortfolio result with symbols, excluded, date range, observations and shrinkage
+   */
+  async optimize(symbols, { startDate, endDate, shrinkage = 'none', ...constraints } = {}) {
+    const { barsBySymbol, missing } = await this.storedBars(symbols, startDate, endDate);
+    const aligned = alignedReturns(barsBySymbol);
+    if (aligned.symbols.length < 2 || aligned.dates.length < MIN_OBSERVATIONS) {
+      throw new Error(`Insufficient historical data: ${aligned.symbols.length} symbol(s) with ${aligned.dates.length} overlapping daily returns, need 2 and ${MIN_OBSERVATIONS}`);
+    }
+
+    const moments = estimateMoments(aligned.symbols.map(s => aligned.returns[s]), shrinkage);
+    const result = optimizePortfolio(aligned.symbols, moments, constraints);
+    this.logger.info(`Optimized ${aligned.symbols.length} symbols`, { shrinkage: moments.shrinkage });
+
+    return {
+      symbols: aligned.symbols,
+      excluded: [...missing, ...aligned.excluded],
+      startDate: aligned.dates[0],
+      endDate: aligned.dates[aligned.dates.length - 1],
+      observations: aligned.dates.length,
+      shrinkage: moments.shrinkage,
+      expectedReturnsPct: Object.fromEntries(aligned.symbols.map((s, i) => [s, parseFloat((moments.expectedReturns[i] * 100).toFixed(2))])),
+      volatilitiesPct: Object.fromEntries(aligned.symbols.map((s, i) => [s, parseFloat((Math.sqrt(moments.covariance[i][i]) * 100).toFixed(2))])),
+      ...result
+    };
+  }
+
+  // Stored daily bars per symbol over the range (default the last year), with the symbols that have none
+  async storedBars(symbols, startDate, endDate = new Date()) {
+    const from = startDate || new Date(endDate.getTime() - DEFAULT_DAYS * 86400000);
+    const barsBySymbol = {};
+    const missing = [];
+    for (const symbol of symbols) {
+      const bars = toBars(await this.db.getOHLCV(symbol, from, endDate));
+      if (bars.length > 0) {
+        barsBySymbol[symbol] = bars;
+      } else {
+        missing.push(symbol);
+      }
+    }
+    return { barsBySymbol, missing };
+  }
+
+  // Bars restated in the reporting currency, caching each currency's rates in fx
+  async inCurrency(bars, from, to, startDate, endDate, fx) {
+    if (from === to) return bars;
+
+    if (!fx[from]) {
+      const rate = await this.currencyService.getExchangeRate(from, to);
+      if (rate === null) {
+        throw new Error(`Unable to get exchange rate for ${from}/${to}`);
+      }
+      const fxBars = await fetchBenchmarkBars(undefined, { symbol: `${from}${to}=X`, startDate, endDate });
+      if (!fxBars?.length) {
+        this.logger.warn(`Daily ${from}/${to} rates unavailable; converting at the current rate`);
+      }
+      fx[from] = { rate, fxBars, daily: Boolean(fxBars?.length) };
+    }
+    return convertCloses(bars, fx[from].fxBars, fx[from].rate);
+  }
+
+  async currencyOf(symbol) {
+    const stock = await this.db.getStock(symbol);
+    return stock?.currency || (isTSXSymbol(symbol) ? 'CAD' : 'USD');
+  }
+}
+
+/**
+ * Validate risk request options from a query string or JSON body
+ * @param {Object} input - currency, benchmark, startDate, endDate (YYYY-MM-DD), riskFreeRate and value
+ * @returns {Object} Options for RiskService.analyze
+ */
+export function parseRiskOptions(input = {}) {
+  const options = {};
+
+  const currency = String(input.currency || 'USD').toUpperCase();
+  if (!REPORTING_CURRENCIES.includes(currency)) {
+    throw new Error(`Invalid currency: ${input.currency}. Use ${REPORTING_CURRENCIES.join(', ')}`);
+  }
+  options.currency = currency;
+
+  if (input.benchmark !== undefined) {
+    const benchmark = String(input.benchmark).toUpperCase();
+    if (!/^[A-Z0-9.-]{1,10}$/.test(benchmark)) {
+      throw new Error('Invalid benchmark symbol format. Use 1-10 alphanumeric chars, dots, hyphens.');
+    }
+    options.benchmark = benchmark;
+  }
+
+  for (const name of ['startDate', 'endDate']) {
+    const value = input[name];
+    if (value === undefined || value === '') continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+      throw new Error('Invalid date format. Use YYYY-MM-DD.');
+    }
+    options[name] = new Date(value);
+  }
+
+  for (const name of ['riskFreeRate', 'value']) {
+    if (input[name] === undefined || input[name] === '') continue;
+    const value = Number(input[name]);
+    const valid = name === 'riskFreeRate' ? value >= 0 && value < 1 : value > 0;
+    if (!Number.isFinite(value) || !valid) {
+      throw new Error(name === 'riskFreeRate'
+        ? 'Invalid riskFreeRate: expected an annual rate from 0 to 1, e.g. 0.04'
+        : 'Invalid value: expected a positive amount');
+    }
+    options[name] = value;
+  }
+
+  return options;
+}
+
+/**
+ * Validate ad-hoc holdings
+ * @param {Array<Object>} input - { symbol, weight } with positive weights (normalized later)
+ * @returns {Array<Object>} Holdings with upper-case symbols
+ */
+export function parseHoldings(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > 50) {
+    throw new Error('Invalid holdings: expected 1-50 { symbol, weight } entries');
+  }
+  return input.map(holding => {
+    const symbol = String(holding?.symbol || '').toUpperCase();
+    if (!/^[A-Z0-9.-]{1,10}$/.test(symbol)) {
+      throw new Error('Invalid symbol format. Use 1-10 alphanumeric chars, dots, hyphens.');
+    }
+    const weight = holding.weight ?? 1;
+    if (!(typeof weight === 'number' && Number.isFinite(weight) && weight > 0)) {
+      throw new Error(`Invalid weight for ${symbol}: expected a positive number`);
+    }
+    return { symbol, weight };
+  });
+}
+
+/**
+ * Validate an optimization request
+ * @param {Object} input - symbols, maxWeight, longOnly, targetVolatility, riskFreeRate, shrinkage, frontierPoints,
+ *   startDate and endDate (YYYY-MM-DD)
+ * @returns {Object} symbols and options for RiskService.optimize
+ */
+export function parseOptimization(input = {}) {
+  const symbols = Array.isArray(input.symbols)
+    ? [...new Set(input.symbols.map(s => String(s).trim().toUpperCase()).filter(Boolean))]
+    : [];
+  if (symbols.length < 2 || symbols.length > 50 || !symbols.every(s => /^[A-Z0-9.-]{1,10}$/.test(s))) {
+    throw new Error('Invalid symbols: expected 2-50 symbols of 1-10 alphanumeric chars, dots, hyphens');
+  }
+
+  const { startDate, endDate, riskFreeRate } = parseRiskOptions(input);
+  const options = { startDate, endDate, riskFreeRate };
+
+  const maxWeight = input.maxWeight ?? 1;
+  if (!(typeof maxWeight === 'number' && maxWeight > 0 && maxWeight <= 1)) {
+    throw new Error('Invalid maxWeight: expected a fraction above 0 and at most 1');
+  }
+  if (maxWeight * symbols.length < 1) {
+    throw new Error(`Invalid maxWeight: ${symbols.length} symbols at ${maxWeight} cannot be fully invested`);
+  }
+  options.maxWeight = maxWeight;
+
+  if (input.longOnly !== undefined && typeof input.longOnly !== 'boolean') {
+    throw new Error('Invalid longOnly: expected true or false');
+  }
+  options.longOnly = input.longOnly ?? true;
+
+  if (input.targetVolatility !== undefined && input.targetVolatility !== null) {
+    if (!(typeof input.targetVolatility === 'number' && input.targetVolatility > 0 && input.targetVolatility < 2)) {
+      throw new Error('Invalid targetVolatility: expected an annual fraction, e.g. 0.15');
+    }
+    options.targetVolatility = input.targetVolatility;
+  }
+
+  const shrinkage = input.shrinkage ?? 'none';
+  if (!SHRINKAGE_METHODS.includes(shrinkage) && !(typeof shrinkage === 'number' && shrinkage >= 0 && shrinkage <= 1)) {
+    throw new Error(`Invalid shrinkage: use ${SHRINKAGE_METHODS.join(', ')} or an intensity from 0 to 1`);
+  }
+  options.shrinkage = shrinkage;
+
+  const frontierPoints = input.frontierPoints ?? 20;
+  if (!Number.isInteger(frontierPoints) || frontierPoints < 2 || frontierPoints > 100) {
+    throw new Error('Invalid frontierPoints: expected 2-100');
+  }
+  options.frontierPoints = frontierPoints;
+
+  return { symbols, options };
+}
@@ -240,6 +240,140 @@ const migrations = [
       CREATE INDEX IF NOT EXISTS idx_portfolio_user ON portfolios(user_id);
       CREATE INDEX IF NOT EXISTS idx_holdings_portfolio ON portfolio_holdings(portfolio_id);
     `
+  },
+  {
+    id: '004_candlestick_patterns',
+    description: 'Candlestick pattern detections',
+    sql: `
+      -- Candlestick pattern detections, one row per stock, bar and pattern
+      CREATE TABLE IF NOT EXISTS candlestick_patterns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          stock_id INTEGER NOT NULL,
+          date DATE NOT NULL,
+          pattern TEXT NOT NULL, -- 'ENGULFING', 'HAMMER', 'SHOOTING_STAR', 'DOJI', 'MORNING_STAR', ...
+          direction TEXT NOT NULL, -- 'bullish', 'bearish', 'neutral'
+          strength REAL NOT NULL, -- 0-1
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (stock_id) REFERENCES stocks(id),
+          UNIQUE(stock_id, date, pattern)
+      );
+
+      -- Screening by pattern and day across many stocks
+      CREATE INDEX IF NOT EXISTS idx_patterns_date_pattern ON candlestick_patterns(date, pattern, direction);
+      CREATE INDEX IF NOT EXISTS idx_patterns_stock_date ON candlestick_patterns(stock_id, date);
+    `
+  },
+  {
+    id: '005_predictions',
+    description: 'Forecast and signal predictions for accuracy tracking',
+    sql: `
+      -- Forecasts and signals as emitted, resolved later against ohlcv_data
+      CREATE TABLE IF NOT EXISTS predictions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          stock_id INTEGER NOT NULL,
+          source TEXT NOT NULL, -- 'analyze', 'top-picks'
+          model TEXT NOT NULL, -- 'holtWinters', 'ar', 'randomWalk', 'ensemble', 'signal', 'composite', 'ml'
+          prediction_date DATE NOT NULL, -- date of the last bar the prediction was made from
+          horizon INTEGER NOT NULL, -- trading days
+          base_price REAL NOT NULL, -- close at prediction_date
+          predicted_price REAL, -- NULL for signals
+          lower_bound REAL,
+          upper_bound REAL,
+          signal TEXT, -- 'STRONG_BUY', 'BUY', 'HOLD', 'SELL', 'STRONG_SELL', NULL for forecasts
+          actual_date DATE,
+          actual_price REAL,
+          resolved_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (stock_id) REFERENCES stocks(id),
+          UNIQUE(stock_id, source, model, prediction_date, horizon)
+      );
+
+      -- The resolver scans unresolved rows, metrics group resolved rows by stock and model
+      CREATE INDEX IF NOT EXISTS idx_predictions_unresolved ON predictions(resolved_at, prediction_date);
+      CREATE INDEX IF NOT EXISTS idx_predictions_stock_model ON predictions(stock_id, model, horizon);
+    `
+  },
+  {
+    id: '006_ml_models',
+    description: 'Versioned machine learning models',
+    sql: `
+      -- Trained model versions, serialized as JSON (weights, standardization, metrics)
+      CREATE TABLE IF NOT EXISTS ml_models (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL, -- 'direction'
+          version INTEGER NOT NULL,
+          horizon INTEGER NOT NULL, -- label horizon in trading days
+          model_json TEXT NOT NULL,
+          metrics_json TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(name, version)
+      );
+    `
+  },
+  {
+    id: '007_optimization_runs',
+    description: 'Walk-forward optimization runs',
+    sql: `
+      -- Walk-forward optimization runs: the recommended parameter set and its fold-by-fold report
+      CREATE TABLE IF NOT EXISTS optimization_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          mode TEXT NOT NULL, -- 'rsi' or 'score'
+          symbols TEXT NOT NULL, -- JSON array of the symbols optimized over
+          objective TEXT NOT NULL, -- 'sharpe', 'cagrPct' or 'totalReturnPct'
+          params_json TEXT NOT NULL, -- recommended parameters
+          report_json TEXT NOT NULL, -- settings, folds, stability and out-of-sample summary
+          validated BOOLEAN NOT NULL DEFAULT 0, -- stable across folds and profitable out of sample
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_optimization_runs_mode ON optimization_runs(mode, validated, created_at);
+    `
+  },
+  {
+    id: '008_portfolio_transactions',
+    description: 'Portfolio transactions and derived positions',
+    sql: `
+      -- Portfolio ledger, every position is derived from it
+      CREATE TABLE IF NOT EXISTS portfolio_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          portfolio_id INTEGER NOT NULL,
+          stock_id INTEGER NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('BUY', 'SELL', 'DIVIDEND', 'SPLIT')),
+          trade_date DATE NOT NULL,
+          quantity REAL, -- shares bought or sold
+          price REAL, -- per share, in the stock's currency
+          fees REAL NOT NULL DEFAULT 0, -- commission, or tax withheld from a dividend
+          amount REAL, -- gross dividend cash
+          split_ratio REAL, -- new shares per old share, e.g. 4 for a 4-for-1 split
+          notes TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
+          FOREIGN KEY (stock_id) REFERENCES stocks(id)
+      );
+
+      -- Average-cost positions rebuilt from the ledger whenever it changes
+      -- (supersedes the manually maintained portfolio_holdings)
+      CREATE TABLE IF NOT EXISTS portfolio_positions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          portfolio_id INTEGER NOT NULL,
+          stock_id INTEGER NOT NULL,
+          quantity REAL NOT NULL, -- 0 once fully sold, the row keeps realized P&L
+          average_cost REAL NOT NULL,
+          cost_basis REAL NOT NULL,
+          realized_pnl REAL NOT NULL DEFAULT 0,
+          dividends REAL NOT NULL DEFAULT 0, -- net of withholding
+          fees REAL NOT NULL DEFAULT 0,
+          opened_date DATE,
+          last_trade_date DATE,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (portfolio_id) REFERENCES portfolios(id),
+          FOREIGN KEY (stock_id) REFERENCES stocks(id),
+          UNIQUE(portfolio_id, stock_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_portfolio_transactions_portfolio ON portfolio_transactions(portfolio_id, trade_date);
+      CREATE INDEX IF NOT EXISTS idx_portfolio_positions_portfolio ON portfolio_positions(portfolio_id);
+    `
   }
 ];
 
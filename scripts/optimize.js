@@ -0,0 +1,130 @@
+// scripts/optimize.js
+// Walk-forward optimize strategy parameters on stored bars and save the run
+//
+// Usage: npm run optimize -- [--mode rsi|score] [--symbols AAPL,MSFT] [--years 6]
+//   [--objective sharpe] [--search grid|random] [--samples 60] [--in-sample 504] [--out-of-sample 126]
+//   [--profile balanced]
+
+import { createDatabaseService } from '../lib/database/DatabaseService.js';
+import { walkForwardOptimize } from '../lib/backtest/WalkForward.js';
+import { toBars } from '../lib/analyze.js';
+import { WATCHLIST } from '../lib/watchlist.js';
+import winston from 'winston';
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'optimize' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+const INTEGER_FLAGS = {
+  '--years': 'years',
+  '--samples': 'samples',
+  '--in-sample': 'inSampleBars',
+  '--out-of-sample': 'outOfSampleBars'
+};
+const STRING_FLAGS = {
+  '--mode': 'mode',
+  '--objective': 'objective',
+  '--search': 'search',
+  '--profile': 'profile'
+};
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} symbols, years and walkForwardOptimize settings
+ */
+function parseArgs(argv) {
+  const args = { mode: 'rsi', symbols: WATCHLIST, years: 6 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    if (INTEGER_FLAGS[flag]) {
+      const number = parseInt(value, 10);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Invalid ${flag}: expected a positive whole number`);
+      }
+      args[INTEGER_FLAGS[flag]] = number;
+    } else if (STRING_FLAGS[flag]) {
+      args[STRING_FLAGS[flag]] = value;
+    } else if (flag === '--symbols') {
+      args.symbols = value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Main optimization function
+ */
+async function main() {
+  const environment = process.env.ENVIRONMENT || 'development';
+
+  try {
+    const { symbols, years, ...spec } = parseArgs(process.argv.slice(2));
+    logger.info(`Walk-forward optimizing ${spec.mode} parameters on ${symbols.length} symbols`);
+
+    const dbService = createDatabaseService(null, environment);
+    if (environment === 'development') {
+      await dbService.getDatabase().init();
+    }
+
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setFullYear(endDate.getFullYear() - years);
+
+    const barsBySymbol = {};
+    for (const symbol of symbols) {
+      const bars = toBars(await dbService.getOHLCV(symbol, startDate, endDate));
+      if (bars.length === 0) {
+        logger.warn(`Skipping ${symbol}: no stored bars`);
+        continue;
+      }
+      barsBySymbol[symbol] = bars;
+    }
+
+    const report = walkForwardOptimize(barsBySymbol, spec);
+    const id = await dbService.saveOptimizationRun({
+      mode: report.settings.mode,
+      symbols: report.settings.symbols,
+      objective: report.settings.objective,
+      params: report.recommended,
+      report,
+      validated: report.validated
+    });
+
+    logger.info(`Saved optimization run ${id} (${report.validated ? 'validated' : 'not validated'})`, {
+      params: report.recommended,
+      folds: report.folds.length,
+      outOfSample: report.outOfSample
+    });
+    for (const [name, { mode, modeShare }] of Object.entries(report.stability.parameters)) {
+      logger.info(`${name}: ${mode} chosen in ${Math.round(modeShare * 100)}% of folds`);
+    }
+  } catch (error) {
+    logger.error('Optimization failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+// Optimize if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,52 @@
+// scripts/resolve-predictions.js
+// Resolve recorded predictions against stored closes; run daily after market data is refreshed
+
+import { createDatabaseService } from '../lib/database/DatabaseService.js';
+import { PredictionTracker } from '../lib/data/PredictionTracker.js';
+import winston from 'winston';
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'resolve-predictions' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+/**
+ * Main resolver function
+ */
+async function main() {
+  const environment = process.env.ENVIRONMENT || 'development';
+  logger.info(`Resolving predictions for environment: ${environment}`);
+
+  try {
+    const dbService = createDatabaseService(null, environment);
+
+    if (environment === 'development') {
+      await dbService.getDatabase().init();
+    }
+
+    const tracker = new PredictionTracker(dbService);
+    const { resolved, pending } = await tracker.resolve();
+    logger.info(`Resolved ${resolved} predictions, ${pending} still pending`);
+  } catch (error) {
+    logger.error('Prediction resolution failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+// Run the resolver if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
@@ -0,0 +1,99 @@
+// scripts/train-model.js
+// Train the next-N-day direction classifier from stored bars and save it as a new model version
+//
+// Usage: npm run train-model -- [--horizon 5] [--symbols AAPL,MSFT] [--years 5]
+
+import { createDatabaseService } from '../lib/database/DatabaseService.js';
+import { trainDirectionModel } from '../lib/ml/DirectionClassifier.js';
+import { FEATURE_LOOKBACK } from '../lib/ml/features.js';
+import { toBars } from '../lib/analyze.js';
+import { WATCHLIST } from '../lib/watchlist.js';
+import winston from 'winston';
+
+// Configure logger
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'train-model' },
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+/**
+ * Read --name value pairs from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} horizon, symbols and years
+ */
+function parseArgs(argv) {
+  const args = { horizon: 5, symbols: WATCHLIST, years: 5 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    if (flag === '--horizon') args.horizon = parseInt(value, 10);
+    else if (flag === '--years') args.years = parseInt(value, 10);
+    else if (flag === '--symbols') args.symbols = value.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+  if (!Number.isInteger(args.horizon) || args.horizon < 1 || args.horizon > 60) {
+    throw new Error('Invalid --horizon: expected 1-60 trading days');
+  }
+  if (!Number.isInteger(args.years) || args.years < 1) {
+    throw new Error('Invalid --years: expected a whole number of years');
+  }
+  return args;
+}
+
+/**
+ * Main training function
+ */
+async function main() {
+  const environment = process.env.ENVIRONMENT || 'development';
+
+  try {
+    const { horizon, symbols, years } = parseArgs(process.argv.slice(2));
+    logger.info(`Training direction model (${horizon}-day horizon) on ${symbols.length} symbols`);
+
+    const dbService = createDatabaseService(null, environment);
+    if (environment === 'development') {
+      await dbService.getDatabase().init();
+    }
+
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setFullYear(endDate.getFullYear() - years);
+
+    // Features are recomputed from the bars; see lib/ml/features.js for why stored indicator rows are not joined
+    const barsBySymbol = {};
+    for (const symbol of symbols) {
+      const bars = toBars(await dbService.getOHLCV(symbol, startDate, endDate));
+      if (bars.length < FEATURE_LOOKBACK + horizon) {
+        logger.warn(`Skipping ${symbol}: only ${bars.length} stored bars`);
+        continue;
+      }
+      barsBySymbol[symbol] = bars;
+    }
+
+    const model = trainDirectionModel(barsBySymbol, { horizon });
+    const version = await dbService.saveModel(model);
+    logger.info(`Saved ${model.name} model version ${version}`, { metrics: model.metrics });
+  } catch (error) {
+    logger.error('Model training failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+// Train if this script is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
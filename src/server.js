@@ -11,6 +11,24 @@ import { createDatabaseService } from '../lib/database/DatabaseService.js';
 import { CacheManager } from '../lib/cache/CacheManager.js';
 import { CurrencyService } from '../lib/data/CurrencyService.js';
 import { DataNormalizer } from '../lib/data/DataNormalizer.js';
+import { PredictionTracker } from '../lib/data/PredictionTracker.js';
+import { PortfolioService } from '../lib/portfolio/PortfolioService.js';
+import { RiskService, parseRiskOptions, parseHoldings, parseOptimization, REPORTING_CURRENCIES } from '../lib/portfolio/RiskService.js';
+import { RebalanceService } from '../lib/portfolio/RebalanceService.js';
+import { parseSizingOptions, sizePosition } from '../lib/portfolio/PositionSizing.js';
+import { parseRebalanceRequest } from '../lib/portfolio/Rebalance.js';
+import { indicatorRegistry } from '../lib/indicators/index.js';
+import { detectCandlestickPatterns, PATTERN_NAMES, PATTERN_DIRECTIONS } from '../lib/indicators/CandlestickPatterns.js';
+import { ScoringEngine, DEFAULT_PROFILE } from '../lib/indicators/ScoringEngine.js';
+import { explainScore } from '../lib/indicators/Rationale.js';
+import { WATCHLIST } from '../lib/watchlist.js';
+import { MODEL_NAME } from '../lib/ml/DirectionClassifier.js';
+import { parseStrategy, runBacktest, warmupBars } from '../lib/backtest/Backtest.js';
+import { OPTIMIZATION_MODES } from '../lib/backtest/WalkForward.js';
+import { benchmarkComparison, monteCarlo } from '../lib/backtest/Report.js';
+import { renderReportHtml } from '../lib/backtest/ReportHtml.js';
+import { BENCHMARK_SYMBOL } from '../lib/indicators/MarketRegime.js';
+import { DEFAULT_INDICATORS, buildAnalysis, parseIndicatorList, parseIndicatorParams, paramsKey, parseTimeframes, historyDays, toBars, indicatorRecords, fetchBenchmarkBars } from '../lib/analyze.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -57,6 +75,10 @@ let dbService = null;
 let cacheManager = null;
 let currencyService = null;
 let dataNormalizer = null;
+let predictionTracker = null;
+let portfolioService = null;
+let riskService = null;
+let rebalanceService = null;
 
 try {
   // Initialize services
@@ -73,6 +95,11 @@ try {
   dataNormalizer = new DataNormalizer(dbService);
   logger.info(`[DEBUG] Data normalizer created: ${dataNormalizer ? 'success' : 'failed'}`);
 
+  predictionTracker = new PredictionTracker(dbService);
+  portfolioService = new PortfolioService(dbService);
+  riskService = new RiskService(dbService, currencyService);
+  rebalanceService = new RebalanceService(dbService, currencyService);
+
   logger.info('Database and caching services initialized');
 } catch (error) {
   logger.error('Failed to initialize services', {
@@ -81,7 +108,28 @@ try {
   });
 }
 
+// Direction model for the `ml` probability, reloaded hourly so a newly trained
+// version is picked up; ML_MODEL_VERSION pins a specific version
+const MODEL_RELOAD_MS = 60 * 60 * 1000;
+let directionModel = { model: null, loadedAt: 0 };
+
+async function getDirectionModel() {
+  if (!dbService || Date.now() - directionModel.loadedAt < MODEL_RELOAD_MS) {
+    return directionModel.model;
+  }
+
+  try {
+    const version = process.env.ML_MODEL_VERSION ? parseInt(process.env.ML_MODEL_VERSION, 10) : undefined;
+    directionModel = { model: await dbService.getModel(MODEL_NAME, version), loadedAt: Date.now() };
+  } catch (error) {
+    logger.debug('Direction model unavailable', { error: error.message });
+    directionModel = { model: null, loadedAt: Date.now() };
+  }
+  return directionModel.model;
+}
+
 app.use(cors());
+app.use(express.json());
 app.use(express.static('public'));
 
 // Health endpoint for deployment platforms
@@ -169,6 +217,49 @@ app.get('/metrics/performance', async (req, res) => {
   }
 });
 
+// Registered indicators, for clients choosing ?indicators= on the analyze endpoint
+app.get('/api/indicators', (req, res) => {
+  res.json({
+    indicators: indicatorRegistry.list(),
+    defaults: DEFAULT_INDICATORS
+  });
+});
+
+// Share quantity and ATR stop for the account in ?equity=&riskPct=&atrMultiple=&sizing=, added per
+// response rather than cached since it depends on the caller's account. Equity is in the
+// symbol's currency unless ?accountCurrency= says otherwise.
+async function withPositionSizing(analysis, sizing) {
+  if (!sizing) return analysis;
+
+  try {
+    const currency = analysis.currency || 'USD';
+    const accountCurrency = sizing.accountCurrency || currency;
+    if (accountCurrency !== currency && !currencyService) {
+      throw new Error(`Unable to get exchange rate for ${accountCurrency}/${currency}`);
+    }
+    const equity = accountCurrency === currency
+      ? sizing.equity
+      : await currencyService.convert(accountCurrency, currency, sizing.equity);
+
+    return {
+      ...analysis,
+      positionSizing: {
+        accountCurrency,
+        accountEquity: sizing.equity,
+        currency,
+        equity: parseFloat(equity.toFixed(2)),
+        ...sizePosition(
+          analysis.sizingAtr?.period === sizing.atrPeriod ? analysis.sizingAtr.value : null,
+          { ...sizing, entryPrice: analysis.currentPrice, equity }
+        )
+      }
+    };
+  } catch (error) {
+    logger.warn('Position sizing failed', { error: error.message });
+    return { ...analysis, positionSizing: { error: error.message } };
+  }
+}
+
 // Enhanced analyze endpoint with database integration
 app.get('/api/analyze/:symbol', async (req, res) => {
   let symbol = req.params.symbol.toUpperCase();
@@ -177,9 +268,46 @@ app.get('/api/analyze/:symbol', async (req, res) => {
     return res.status(400).json({ error: 'Invalid symbol format. Use 1-10 alphanumeric chars, dots, hyphens.' });
   }
 
-  const cacheKey = `analyze_${symbol}`;
+  let indicators;
+  let timeframes;
+  let params;
+  let scoring;
+  let sizing;
+  try {
+    indicators = parseIndicatorList(req.query.indicators);
+    timeframes = parseTimeframes(req.query.timeframes);
+    params = parseIndicatorParams(req.query);
+    scoring = new ScoringEngine({ profile: req.query.profile || DEFAULT_PROFILE });
+    sizing = parseSizingOptions(req.query, REPORTING_CURRENCIES);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  let cacheKey = indicators.length > 0
+    ? `analyze_${symbol}_${indicators.join(',')}`
+    : `analyze_${symbol}`;
+  if (timeframes.length > 0) {
+    cacheKey += `_tf_${timeframes.join(',')}`;
+  }
+  // Different indicator settings must never share a cached result
+  if (Object.keys(params).length > 0) {
+    cacheKey += `_p_${paramsKey(params)}`;
+  }
+  if (scoring.profile !== DEFAULT_PROFILE) {
+    cacheKey += `_${scoring.profile}`;
+  }
+  // Sized requests carry the ATR for their period, measured before historical is trimmed
+  const atrPeriod = sizing?.atrPeriod ?? null;
+  if (atrPeriod) {
+    cacheKey += `_atr${atrPeriod}`;
+  }
 
   try {
+    const model = await getDirectionModel();
+    if (model) {
+      cacheKey += `_ml${model.version}`;
+    }
+
     logger.info(`[DEBUG] Starting analysis for ${symbol}, cacheKey: ${cacheKey}`);
     logger.info(`[DEBUG] cacheManager exists: ${!!cacheManager}, dbService exists: ${!!dbService}`);
 
@@ -190,7 +318,7 @@ app.get('/api/analyze/:symbol', async (req, res) => {
         const cached = await cacheManager.get(cacheKey);
         if (cached) {
           logger.info(`[NEW CACHE HIT] ${symbol}`);
-          return res.json(cached);
+          return res.json(await withPositionSizing(cached, sizing));
         }
       } catch (cacheError) {
         logger.error(`[DEBUG] Cache manager error for ${symbol}`, {
@@ -205,42 +333,40 @@ app.get('/api/analyze/:symbol', async (req, res) => {
     const legacyCached = cache.get(cacheKey);
     if (legacyCached) {
       logger.info(`[LEGACY CACHE HIT] ${symbol}`);
-      return res.json(legacyCached);
+      return res.json(await withPositionSizing(legacyCached, sizing));
     }
 
-    // 3. Try to get from database if available
+    // 3. Try to get from database if available (stored history is too short for higher timeframes)
     let result = null;
-    if (dbService) {
+    if (dbService && timeframes.length === 0) {
       logger.info(`[DEBUG] Checking database service for ${symbol}`);
       try {
         const endDate = new Date();
         const startDate = new Date();
-        startDate.setDate(endDate.getDate() - 50);
+        startDate.setDate(endDate.getDate() - Math.max(
+          historyDays(indicators, '1d', params),
+          atrPeriod ? historyDays(['ATR'], '1d', { ATR: { period: atrPeriod } }) : 0
+        ));
 
         logger.info(`[DEBUG] Calling dbService.getStockAnalysisData for ${symbol}`);
         const analysisData = await dbService.getStockAnalysisData(symbol, startDate, endDate);
-
-        if (analysisData.ohlcv && analysisData.ohlcv.length > 0) {
-          // Compute indicators from cached data
-          const closes = analysisData.ohlcv.map(h => h.close);
-          const rsi = calculateRSI(closes);
-          const sma50 = calculateSMA50(closes);
-
-          if (rsi !== null && !isNaN(sma50)) {
-            const currentPrice = analysisData.ohlcv[analysisData.ohlcv.length - 1].close;
-
-            result = {
-              currentPrice: parseFloat(currentPrice.toFixed(2)),
-              currency: analysisData.ohlcv[0]?.currency || 'USD',
-              sma50: parseFloat(sma50.toFixed(2)),
-              rsi: parseFloat(rsi.toFixed(2)),
-              signal: getSignal(rsi),
-              historical: analysisData.ohlcv.slice(-50).map(h => ({
-                date: h.date,
-                close: parseFloat(h.close)
-              }))
-            };
-          }
+        const bars = toBars(analysisData.ohlcv || []);
+
+        // Only trust stored history when it covers every requested indicator
+        // (no benchmark here, so the market regime comes from the symbol's own bars)
+        const lookback = Math.max(
+          indicatorRegistry.maxLookback([...DEFAULT_INDICATORS, ...indicators, ...Object.keys(params)], params),
+          atrPeriod ? indicatorRegistry.lookback('ATR', { period: atrPeriod }) : 0
+        );
+        if (bars.length >= lookback) {
+          result = buildAnalysis(bars, {
+            currentPrice: bars[bars.length - 1].close,
+            currency: analysisData.ohlcv[0]?.currency || 'USD',
+            indicators,
+            params,
+            model,
+            atrPeriod
+          });
         }
       } catch (error) {
         logger.debug(`Database lookup failed for ${symbol}`, { error: error.message });
@@ -258,11 +384,11 @@ app.get('/api/analyze/:symbol', async (req, res) => {
           const analyzeModule = await import('./lib/analyze.js');
           const { analyzeSymbol } = analyzeModule;
           logger.info(`[DEBUG] Successfully imported analyzeSymbol for ${symbol} in Jest`);
-          result = await analyzeSymbol(symbol);
+          result = await analyzeSymbol(symbol, '1d', { indicators, timeframes, params, model, atrPeriod });
         } else {
           const { analyzeSymbol } = await import('../lib/analyze.js');
           logger.info(`[DEBUG] Successfully imported analyzeSymbol for ${symbol}`);
-          result = await analyzeSymbol(symbol);
+          result = await analyzeSymbol(symbol, '1d', { indicators, timeframes, params, model, atrPeriod });
         }
       } catch (importError) {
         logger.error(`[DEBUG] Import failed for ${symbol}`, {
@@ -285,32 +411,26 @@ app.get('/api/analyze/:symbol', async (req, res) => {
           // Save OHLCV data
           const ohlcvData = result.historical.map(h => ({
             date: new Date(h.date),
-            open: h.close * 0.995, // Approximate
-            high: h.close * 1.01,  // Approximate
-            low: h.close * 0.99,   // Approximate
+            open: h.open,
+            high: h.high,
+            low: h.low,
             close: h.close,
-            volume: 1000000,       // Default volume
+            volume: h.volume,
             currency: result.currency || 'USD',
             data_source: 'YAHOO'
           }));
 
           await dbService.saveOHLCV(symbol, ohlcvData);
 
-          // Save indicators
-          await dbService.saveIndicators(symbol, [
-            {
-              type: 'RSI',
-              value: result.rsi,
-              date: new Date(),
-              parameters: JSON.stringify({ period: 14 })
-            },
-            {
-              type: 'SMA50',
-              value: result.sma50,
-              date: new Date(),
-              parameters: JSON.stringify({ period: 50 })
-            }
-          ]);
+          // Save indicators as of the latest bar, with the regime-adjusted RSI thresholds actually used
+          const lastBar = result.historical[result.historical.length - 1];
+          const usedParams = { ...params, RSI: result.parameters.RSI };
+          await dbService.saveIndicators(symbol, indicatorRecords(result.indicators, new Date(lastBar.date), usedParams));
+
+          // Save candlestick patterns across the stored bars
+          const patterns = detectCandlestickPatterns(result.historical)
+            .map(p => ({ ...p, date: new Date(p.date) }));
+          await dbService.saveCandlestickPatterns(symbol, patterns);
 
           logger.debug(`Saved analysis data for ${symbol} to database`);
         } catch (error) {
@@ -319,6 +439,19 @@ app.get('/api/analyze/:symbol', async (req, res) => {
       }
     }
 
+    // Score the analysis and explain the score
+    const composite = scoring.score(result);
+    result = { ...result, composite, reasons: explainScore(result, composite) };
+
+    // Record the emitted signals (and forecasts, when requested) for accuracy tracking
+    if (predictionTracker) {
+      try {
+        await predictionTracker.record(symbol, result, 'analyze');
+      } catch (error) {
+        logger.error(`Failed to record predictions for ${symbol}`, { error: error.message });
+      }
+    }
+
     // 6. Cache the result
     if (cacheManager) {
       await cacheManager.set(cacheKey, result, 60, 'ANALYSIS'); // 1 hour TTL
@@ -331,7 +464,7 @@ app.get('/api/analyze/:symbol', async (req, res) => {
       signal: result.signal
     });
 
-    res.json(result);
+    res.json(await withPositionSizing(result, sizing));
   } catch (error) {
     logger.error(`Error analyzing ${symbol}`, {
       error: error.message,
@@ -354,6 +487,497 @@ app.get('/api/analyze/:symbol', async (req, res) => {
   }
 });
 
+// Stored candlestick patterns, e.g. ?pattern=ENGULFING&direction=bullish&date=2024-05-01
+// Defaults to the watchlist and the last 7 days when symbols/date are omitted
+app.get('/api/patterns', async (req, res) => {
+  const { pattern, direction, date, symbols } = req.query;
+
+  if (pattern && !PATTERN_NAMES.includes(pattern.toUpperCase())) {
+    return res.status(400).json({ error: `Unknown pattern: ${pattern}. Use one of ${PATTERN_NAMES.join(', ')}` });
+  }
+  if (direction && !PATTERN_DIRECTIONS.includes(direction.toLowerCase())) {
+    return res.status(400).json({ error: `Invalid direction: ${direction}. Use bullish, bearish or neutral` });
+  }
+  if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()))) {
+    return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+  }
+
+  if (!dbService) {
+    return res.status(503).json({ error: 'Database service not available' });
+  }
+
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - 7);
+
+  try {
+    const detections = await dbService.getCandlestickPatterns({
+      symbols: symbols ? symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : WATCHLIST,
+      pattern: pattern?.toUpperCase(),
+      direction: direction?.toLowerCase(),
+      date: date ? new Date(date) : undefined,
+      startDate: date ? undefined : startDate
+    });
+
+    res.json({
+      count: detections.length,
+      patterns: detections,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Pattern lookup failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accuracy of resolved predictions, e.g. ?model=ensemble&horizon=5&symbols=AAPL,MSFT&days=90
+// Predictions are resolved by `npm run resolve-predictions`
+app.get('/api/predictions/metrics', async (req, res) => {
+  const { symbols, model, source, horizon, days } = req.query;
+
+  if (horizon && !/^\d+$/.test(horizon)) {
+    return res.status(400).json({ error: 'Invalid horizon: expected a whole number of trading days' });
+  }
+  if (days && !/^\d+$/.test(days)) {
+    return res.status(400).json({ error: 'Invalid days: expected a whole number' });
+  }
+  if (source && !['analyze', 'top-picks'].includes(source)) {
+    return res.status(400).json({ error: `Invalid source: ${source}. Use analyze or top-picks` });
+  }
+
+  if (!predictionTracker) {
+    return res.status(503).json({ error: 'Database service not available' });
+  }
+
+  let startDate;
+  if (days) {
+    startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(days, 10));
+  }
+
+  try {
+    const metrics = await predictionTracker.metrics({
+      symbols: symbols ? symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean) : undefined,
+      model,
+      source,
+      horizon: horizon ? parseInt(horizon, 10) : undefined,
+      startDate
+    });
+
+    res.json({
+      ...metrics,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Prediction metrics failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replay a strategy over stored daily bars, e.g.
+// { "symbol": "AAPL", "startDate": "2022-01-01", "strategy": { "entry": [{ "left": "rsi", "operator": "<", "right": 30 }],
+//   "exit": [{ "left": "rsi", "operator": ">", "right": 70 }] }, "commission": 1, "slippageBps": 5,
+//   "benchmark": "SPY", "monteCarlo": 1000 }
+// Defaults to the getSignal RSI rule over the last 3 years. ?format=html downloads the
+// report as a standalone HTML file and ?format=json as a JSON file
+app.post('/api/backtest', async (req, res) => {
+  const { symbol: rawSymbol, startDate: rawStart, endDate: rawEnd, strategy: rawStrategy } = req.body || {};
+  const symbol = String(rawSymbol || '').toUpperCase();
+  const benchmark = String(req.body?.benchmark || BENCHMARK_SYMBOL).toUpperCase();
+  const simulations = req.body?.monteCarlo ?? 1000;
+  const format = req.query.format;
+
+  if (!/^[A-Z0-9.-]{1,10}$/.test(symbol) || !/^[A-Z0-9.-]{1,10}$/.test(benchmark)) {
+    return res.status(400).json({ error: 'Invalid symbol format. Use 1-10 alphanumeric chars, dots, hyphens.' });
+  }
+  if (!Number.isInteger(simulations) || simulations < 0 || simulations > 10000) {
+    return res.status(400).json({ error: 'Invalid monteCarlo: expected 0-10000 simulations' });
+  }
+  if (format && !['json', 'html'].includes(format)) {
+    return res.status(400).json({ error: `Invalid format: ${format}. Use json or html` });
+  }
+  for (const value of [rawStart, rawEnd]) {
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+  }
+
+  const options = {
+    initialCapital: req.body.initialCapital ?? 10000,
+    commission: req.body.commission ?? 1,
+    slippageBps: req.body.slippageBps ?? 5
+  };
+  if (!(typeof options.initialCapital === 'number' && options.initialCapital > 0)) {
+    return res.status(400).json({ error: 'Invalid initialCapital: expected a positive number' });
+  }
+  if (!(typeof options.commission === 'number' && options.commission >= 0) ||
+      !(typeof options.slippageBps === 'number' && options.slippageBps >= 0)) {
+    return res.status(400).json({ error: 'Invalid costs: commission and slippageBps must be non-negative numbers' });
+  }
+
+  let strategy;
+  try {
+    strategy = parseStrategy(rawStrategy);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!dbService) {
+    return res.status(503).json({ error: 'Database service not available' });
+  }
+
+  const endDate = rawEnd ? new Date(rawEnd) : new Date();
+  const startDate = rawStart ? new Date(rawStart) : new Date(endDate.getTime() - 3 * 365 * 86400000);
+  // Calendar days of warm-up history for the strategy's indicators
+  const warmupStart = new Date(startDate.getTime() - Math.ceil(warmupBars(strategy) * 365 / 252 + 10) * 86400000);
+
+  try {
+    const bars = toBars(await dbService.getOHLCV(symbol, warmupStart, endDate));
+    if (bars.length === 0) {
+      return res.status(404).json({ error: `No stored price history for ${symbol}` });
+    }
+
+    const result = runBacktest(bars, strategy, { ...options, startDate });
+
+    // Stored benchmark bars first, then Yahoo Finance; the comparison omits the benchmark without either
+    let benchmarkBars = toBars(await dbService.getOHLCV(benchmark, startDate, endDate));
+    if (benchmarkBars.length === 0) {
+      benchmarkBars = await fetchBenchmarkBars(undefined, { symbol: benchmark, startDate, endDate });
+      if (!benchmarkBars) {
+        logger.warn(`Benchmark ${benchmark} unavailable; backtest reported without comparison`);
+      }
+    }
+
+    const report = {
+      symbol,
+      strategy,
+      ...options,
+      ...result,
+      comparison: benchmarkComparison(result, bars.filter(b => new Date(b.date) >= startDate), { symbol: benchmark, bars: benchmarkBars }),
+      monteCarlo: monteCarlo(result.trades, options.initialCapital, { simulations }),
+      timestamp: new Date().toISOString()
+    };
+
+    const filename = `backtest-${symbol}-${report.timestamp.split('T')[0]}`;
+    if (format === 'html') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.html"`);
+      return res.type('html').send(renderReportHtml(report));
+    }
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    }
+    res.json(report);
+  } catch (error) {
+    logger.error(`Backtest failed for ${symbol}`, { error: error.message });
+    const status = error.message.includes('Insufficient historical') ? 404 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Latest walk-forward optimization run (saved by `npm run optimize`), e.g. ?mode=rsi&validated=1
+app.get('/api/optimizations/latest', async (req, res) => {
+  const { mode, validated } = req.query;
+
+  if (mode && !OPTIMIZATION_MODES[mode]) {
+    return res.status(400).json({ error: `Invalid mode: ${mode}. Use ${Object.keys(OPTIMIZATION_MODES).join(', ')}` });
+  }
+  if (validated && !['0', '1', 'true', 'false'].includes(validated)) {
+    return res.status(400).json({ error: 'Invalid validated: use 1 or 0' });
+  }
+
+  if (!dbService) {
+    return res.status(503).json({ error: 'Database service not available' });
+  }
+
+  try {
+    const run = await dbService.getLatestOptimizationRun({
+      mode,
+      validated: validated ? ['1', 'true'].includes(validated) : undefined
+    });
+    if (!run) {
+      return res.status(404).json({ error: 'No optimization runs found' });
+    }
+    res.json(run);
+  } catch (error) {
+    logger.error('Loading optimization run failed', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Portfolios: transactions (BUY, SELL, DIVIDEND, SPLIT) are the source of truth,
+// positions and P&L are derived from them
+app.use('/api/portfolios', (req, res, next) => {
+  if (!portfolioService) {
+    return res.status(503).json({ error: 'Database service not available' });
+  }
+  next();
+});
+
+for (const name of ['portfolioId', 'transactionId']) {
+  app.param(name, (req, res, next, value) => {
+    if (!/^\d+$/.test(value)) {
+      return res.status(400).json({ error: `Invalid ${name}: expected a whole number` });
+    }
+    req[name] = parseInt(value, 10);
+    next();
+  });
+}
+
+// Validation and ledger errors (e.g. selling more than is held) are the caller's;
+// risk needs stored prices and, across currencies, an exchange rate
+function sendPortfolioError(res, error, action) {
+  if (/^(Invalid|Cannot sell)/.test(error.message)) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (/^(Insufficient historical|No stored close)|has no priced open positions/.test(error.message)) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.startsWith('Unable to get exchange rate')) {
+    return res.status(503).json({ error: error.message });
+  }
+  logger.error(`${action} failed`, { error: error.message });
+  res.status(500).json({ error: error.message });
+}
+
+app.get('/api/portfolios', async (req, res) => {
+  try {
+    res.json({ portfolios: await portfolioService.list() });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Listing portfolios');
+  }
+});
+
+app.post('/api/portfolios', async (req, res) => {
+  try {
+    res.status(201).json(await portfolioService.create(req.body?.name));
+  } catch (error) {
+    sendPortfolioError(res, error, 'Creating portfolio');
+  }
+});
+
+app.get('/api/portfolios/:portfolioId', async (req, res) => {
+  try {
+    const portfolio = await portfolioService.get(req.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ error: `Portfolio ${req.portfolioId} not found` });
+    }
+    res.json({ ...portfolio, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Loading portfolio');
+  }
+});
+
+app.patch('/api/portfolios/:portfolioId', async (req, res) => {
+  try {
+    const portfolio = await portfolioService.rename(req.portfolioId, req.body?.name);
+    if (!portfolio) {
+      return res.status(404).json({ error: `Portfolio ${req.portfolioId} not found` });
+    }
+    res.json(portfolio);
+  } catch (error) {
+    sendPortfolioError(res, error, 'Renaming portfolio');
+  }
+});
+
+app.delete('/api/portfolios/:portfolioId', async (req, res) => {
+  try {
+    if (!(await portfolioService.remove(req.portfolioId))) {
+      return res.status(404).json({ error: `Portfolio ${req.portfolioId} not found` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendPortfolioError(res, error, 'Deleting portfolio');
+  }
+});
+
+// Daily value and P&L from stored closes, by currency, e.g. ?startDate=2024-01-01
+app.get('/api/portfolios/:portfolioId/valuation', async (req, res) => {
+  const { startDate, endDate } = req.query;
+  for (const value of [startDate, endDate]) {
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+  }
+
+  try {
+    const history = await portfolioService.valuation(req.portfolioId, {
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined
+    });
+    if (!history) {
+      return res.status(404).json({ error: `Portfolio ${req.portfolioId} not found` });
+    }
+    res.json({ portfolioId: req.portfolioId, history, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Portfolio valuation');
+  }
+});
+
+// Volatility, beta, Sharpe/Sortino, VaR/CVaR and drawdown of the open positions,
+// e.g. ?currency=CAD&benchmark=SPY&startDate=2024-01-01&riskFreeRate=0.04
+app.get('/api/portfolios/:portfolioId/risk', async (req, res) => {
+  try {
+    const options = parseRiskOptions(req.query);
+    const portfolio = await portfolioService.get(req.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ error: `Portfolio ${req.portfolioId} not found` });
+    }
+    res.json({ ...(await riskService.analyzePortfolio(portfolio, options)), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Portfolio risk');
+  }
+});
+
+// Trade list to reach target weights; a plan only, nothing is recorded or sent to a broker, e.g.
+// { "targets": { "AAPL": 0.3, "RY.TO": 0.4 }, "cash": { "CAD": 2000, "USD": 500 }, "currency": "CAD", "driftBand": 0.03 }
+app.post('/api/portfolios/:portfolioId/rebalance', async (req, res) => {
+  try {
+    const request = parseRebalanceRequest(req.body || {}, REPORTING_CURRENCIES);
+    const portfolio = await portfolioService.get(req.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ error: `Portfolio ${req.portfolioId} not found` });
+    }
+    const transactions = await portfolioService.transactions(req.portfolioId);
+    res.json({ ...(await rebalanceService.plan(portfolio, transactions, request)), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Rebalance planning');
+  }
+});
+
+app.get('/api/portfolios/:portfolioId/transactions', async (req, res) => {
+  try {
+    if (!(await dbService.getPortfolio(req.portfolioId))) {
+      return res.status(404).json({ error: `Portfolio ${req.portfolioId} not found` });
+    }
+    res.json({ transactions: await portfolioService.transactions(req.portfolioId) });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Listing transactions');
+  }
+});
+
+// e.g. { "symbol": "AAPL", "type": "BUY", "tradeDate": "2024-03-01", "quantity": 10, "price": 180.5, "fees": 1 }
+app.post('/api/portfolios/:portfolioId/transactions', async (req, res) => {
+  try {
+    if (!(await dbService.getPortfolio(req.portfolioId))) {
+      return res.status(404).json({ error: `Portfolio ${req.portfolioId} not found` });
+    }
+    res.status(201).json(await portfolioService.addTransaction(req.portfolioId, req.body));
+  } catch (error) {
+    sendPortfolioError(res, error, 'Adding transaction');
+  }
+});
+
+app.put('/api/portfolios/:portfolioId/transactions/:transactionId', async (req, res) => {
+  try {
+    const transaction = await portfolioService.updateTransaction(req.portfolioId, req.transactionId, req.body);
+    if (!transaction) {
+      return res.status(404).json({ error: `Transaction ${req.transactionId} not found in portfolio ${req.portfolioId}` });
+    }
+    res.json(transaction);
+  } catch (error) {
+    sendPortfolioError(res, error, 'Updating transaction');
+  }
+});
+
+app.delete('/api/portfolios/:portfolioId/transactions/:transactionId', async (req, res) => {
+  try {
+    if (!(await portfolioService.deleteTransaction(req.portfolioId, req.transactionId))) {
+      return res.status(404).json({ error: `Transaction ${req.transactionId} not found in portfolio ${req.portfolioId}` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendPortfolioError(res, error, 'Deleting transaction');
+  }
+});
+
+// Risk of an ad-hoc list of symbols, e.g.
+// { "holdings": [{ "symbol": "AAPL", "weight": 0.6 }, { "symbol": "RY.TO", "weight": 0.4 }], "currency": "USD", "value": 50000 }
+app.post('/api/risk', async (req, res) => {
+  let holdings;
+  let options;
+  try {
+    holdings = parseHoldings(req.body?.holdings);
+    options = parseRiskOptions(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!riskService) {
+    return res.status(503).json({ error: 'Database service not available' });
+  }
+
+  try {
+    res.json({ ...(await riskService.analyze(holdings, options)), timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Risk analysis');
+  }
+});
+
+// Rolling return correlations, clusters and effective number of bets, defaulting to the
+// watchlist over the last year, e.g. ?symbols=GOOG,GOOGL,MSFT&window=60&step=20&threshold=0.7
+app.get('/api/correlations', async (req, res) => {
+  const { symbols: rawSymbols, startDate, endDate } = req.query;
+  const symbols = rawSymbols
+    ? [...new Set(rawSymbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean))]
+    : WATCHLIST;
+  const window = req.query.window === undefined ? 60 : Number(req.query.window);
+  const step = req.query.step === undefined ? 20 : Number(req.query.step);
+  const threshold = req.query.threshold === undefined ? 0.7 : Number(req.query.threshold);
+
+  if (symbols.length < 2 || symbols.length > 100 || !symbols.every(s => /^[A-Z0-9.-]{1,10}$/.test(s))) {
+    return res.status(400).json({ error: 'Invalid symbols: expected 2-100 comma-separated symbols of 1-10 alphanumeric chars, dots, hyphens' });
+  }
+  if (!Number.isInteger(window) || window < 10 || window > 250 || !Number.isInteger(step) || step < 1 || step > 250) {
+    return res.status(400).json({ error: 'Invalid window or step: expected 10-250 and 1-250 trading days' });
+  }
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    return res.status(400).json({ error: 'Invalid threshold: expected a correlation from 0 to 1' });
+  }
+  for (const value of [startDate, endDate]) {
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+  }
+
+  if (!riskService) {
+    return res.status(503).json({ error: 'Database service not available' });
+  }
+
+  try {
+    const result = await riskService.correlations(symbols, {
+      startDate: startDate ? new Date(startDate) : undefined,
+      endDate: endDate ? new Date(endDate) : undefined,
+      window,
+      step,
+      threshold
+    });
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Correlation analysis');
+  }
+});
+
+// Portfolio weights from stored OHLCV, e.g.
+// { "symbols": ["AAPL", "MSFT", "XOM", "JNJ"], "maxWeight": 0.4, "targetVolatility": 0.15, "shrinkage": "ledoit-wolf" }
+app.post('/api/optimize', async (req, res) => {
+  let request;
+  try {
+    request = parseOptimization(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!riskService) {
+    return res.status(503).json({ error: 'Database service not available' });
+  }
+
+  try {
+    const result = await riskService.optimize(request.symbols, request.options);
+    res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendPortfolioError(res, error, 'Portfolio optimization');
+  }
+});
+
 // Currency conversion endpoint
 app.get('/api/currency/convert', async (req, res) => {
   const { from, to, amount } = req.query;
@@ -415,48 +1039,4 @@ server.on('error', (err) => {
   process.exit(1);
 });
 
-// Helper functions (moved from analyze.js for reuse)
-function calculateRSI(closes, period = 14) {
-  if (closes.length < period + 1) {
-    return null;
-  }
-
-  const changes = [];
-  for (let i = 1; i < closes.length; i++) {
-    changes.push(closes[i] - closes[i - 1]);
-  }
-
-  let avgGain = 0;
-  let avgLoss = 0;
-  for (let i = 0; i < period; i++) {
-    avgGain += Math.max(0, changes[i]);
-    avgLoss += Math.abs(Math.min(0, changes[i]));
-  }
-  avgGain /= period;
-  avgLoss /= period;
-
-  for (let i = period; i < changes.length; i++) {
-    avgGain = (avgGain * (period - 1) + Math.max(0, changes[i])) / period;
-    avgLoss = (avgLoss * (period - 1) + Math.abs(Math.min(0, changes[i]))) / period;
-  }
-
-  if (avgLoss === 0) {
-    return 100;
-  }
-  const rs = avgGain / avgLoss;
-  return 100 - (100 / (1 + rs));
-}
-
-function calculateSMA50(closes) {
-  const period = Math.min(50, closes.length);
-  const sma50 = closes.slice(-period).reduce((sum, price) => sum + price, 0) / period;
-  return sma50;
-}
-
-function getSignal(rsi) {
-  if (rsi < 30) return 'buy';
-  if (rsi > 70) return 'sell';
-  return 'hold';
-}
-
 export default app;